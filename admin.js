@@ -0,0 +1,177 @@
+"use strict";
+
+const ADMIN_TOKEN_STORAGE_KEY = "prompt_forge_admin_token_v1";
+const PAGE_SIZE = 50;
+const API_BASE = readApiBase();
+let currentPage = 1;
+
+const tokenForm = document.getElementById("admin-token-form");
+const tokenInput = document.getElementById("admin-token");
+const lookupForm = document.getElementById("trace-lookup-form");
+const lookupInput = document.getElementById("trace-lookup");
+const filtersForm = document.getElementById("trace-filters");
+const rootCauseSelect = document.getElementById("filter-root-cause");
+const fallbackSelect = document.getElementById("filter-fallback");
+const sinceInput = document.getElementById("filter-since");
+const untilInput = document.getElementById("filter-until");
+const statusNode = document.getElementById("status");
+const rowsNode = document.getElementById("trace-rows");
+const prevBtn = document.getElementById("trace-prev-btn");
+const nextBtn = document.getElementById("trace-next-btn");
+const detailNode = document.getElementById("trace-detail");
+const detailTitle = document.getElementById("trace-detail-title");
+const traceJson = document.getElementById("trace-json");
+const copyBtn = document.getElementById("trace-copy-btn");
+
+// The token lives in sessionStorage only: closing the tab logs out.
+tokenInput.value = sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || "";
+
+tokenForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, tokenInput.value.trim());
+  loadTraces(1);
+});
+
+filtersForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadTraces(1);
+});
+
+lookupForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const requestId = lookupInput.value.trim();
+  if (requestId) {
+    openTrace(requestId);
+  }
+});
+
+prevBtn.addEventListener("click", () => loadTraces(currentPage - 1));
+nextBtn.addEventListener("click", () => loadTraces(currentPage + 1));
+
+rowsNode.addEventListener("click", (event) => {
+  const row = event.target.closest("tr[data-request-id]");
+  if (row) {
+    openTrace(row.dataset.requestId);
+  }
+});
+
+copyBtn.addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(traceJson.textContent);
+    setStatus("Trace copiata.", false);
+  } catch (_error) {
+    setStatus("Copia non riuscita: seleziona il testo a mano.", true);
+  }
+});
+
+// /admin?id=<requestId> opens a trace straight away, handy in support threads.
+if (tokenInput.value) {
+  const linkedId = new URLSearchParams(window.location.search).get("id");
+  loadTraces(1);
+  if (linkedId) {
+    lookupInput.value = linkedId;
+    openTrace(linkedId);
+  }
+}
+
+async function loadTraces(page) {
+  const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+  if (rootCauseSelect.value) {
+    params.set("rootCause", rootCauseSelect.value);
+  }
+  if (fallbackSelect.value) {
+    params.set("fallback", fallbackSelect.value);
+  }
+  if (sinceInput.value) {
+    params.set("since", new Date(sinceInput.value).toISOString());
+  }
+  if (untilInput.value) {
+    params.set("until", new Date(untilInput.value).toISOString());
+  }
+
+  setStatus("Carico...", false);
+  try {
+    const data = await requestAdmin(`/api/debug?${params}`);
+    currentPage = data.page;
+    renderRootCauses(data.rootCauses);
+    renderRows(data.items);
+    prevBtn.disabled = data.page <= 1;
+    nextBtn.disabled = !data.hasMore;
+    setStatus(`${data.total} richieste, pagina ${data.page}.`, false);
+  } catch (error) {
+    renderRows([]);
+    setStatus(error.message, true);
+  }
+}
+
+async function openTrace(requestId) {
+  try {
+    const entry = await requestAdmin(`/api/debug/${encodeURIComponent(requestId)}`);
+    detailTitle.textContent = `Trace ${entry.id}`;
+    traceJson.textContent = JSON.stringify(entry.debug, null, 2);
+    detailNode.hidden = false;
+    detailNode.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+async function requestAdmin(path) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    headers: { Authorization: `Bearer ${sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || ""}` }
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `Errore ${response.status}`);
+  }
+  return data;
+}
+
+// Keeps the current choice even if its root cause has expired meanwhile.
+function renderRootCauses(rootCauses) {
+  const selected = rootCauseSelect.value;
+  const values = Array.from(new Set([...rootCauses, selected].filter(Boolean))).sort();
+  rootCauseSelect.replaceChildren(new Option("Tutte", ""), ...values.map((value) => new Option(value, value)));
+  rootCauseSelect.value = selected;
+}
+
+function renderRows(items) {
+  rowsNode.replaceChildren(
+    ...items.map((item) => {
+      const row = document.createElement("tr");
+      row.dataset.requestId = item.id;
+      row.className = "trace-row";
+      [
+        new Date(item.createdAt).toLocaleString("it-IT"),
+        item.id,
+        item.route,
+        String(item.status),
+        item.provider || "-",
+        item.rootCause || "-",
+        item.usedLocalFallback ? "si" : "no",
+        item.totalElapsedMs === null ? "-" : `${item.totalElapsedMs} ms`
+      ].forEach((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.classList.toggle("check-fail", item.status !== 200 || item.usedLocalFallback);
+      return row;
+    })
+  );
+}
+
+function readApiBase() {
+  const meta = document.querySelector('meta[name="prompt-api-base"]');
+  const value = meta && typeof meta.content === "string" ? meta.content.trim() : "";
+  if (!value) {
+    return "";
+  }
+  return value.replace(/\/+$/, "");
+}
+
+function setStatus(message, isError) {
+  statusNode.textContent = message;
+  statusNode.classList.toggle("status-error", isError);
+  statusNode.classList.toggle("status-ok", !isError);
+}
@@ -1,22 +1,106 @@
 "use strict";
 
 const INPUT_STORAGE_KEY = "prompt_forge_single_input_v3";
+const TARGET_STORAGE_KEY = "prompt_forge_target_v1";
+const FORMAT_STORAGE_KEY = "prompt_forge_format_v1";
+const CLARIFY_MODE_STORAGE_KEY = "prompt_forge_clarify_mode_v1";
+const CLARIFY_STORAGE_KEY = "prompt_forge_clarify_session_v1";
+const VERSIONS_STORAGE_KEY = "prompt_forge_versions_v1";
+const VARIANTS_STORAGE_KEY = "prompt_forge_variants_v1";
 const DEFAULT_RESULT = "Il prompt ottimizzato apparira qui.";
 const BACKEND_TIMEOUT_MS = 160000;
 const NETWORK_RETRY_DELAYS_MS = [700, 1500];
+const RATE_LIMIT_DEFAULT_RETRY_SECONDS = 30;
+const HISTORY_DB_NAME = "prompt-forge";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "history";
+const HISTORY_MAX_ENTRIES = 500;
+const DIFF_MAX_CELLS = 4000000;
+const PROGRESS_STEP_LABELS = {
+  initial_web_search: "ricerca web",
+  retry_web_search_direct_text: "nuovo tentativo",
+  finalize_from_previous_web_search: "finalizzazione risultati web",
+  retry_model_only: "tentativo senza web",
+  finalize_from_previous_model_only: "finalizzazione senza web",
+  timeout_retry: "nuovo tentativo dopo timeout",
+  provider_failover: "provider di riserva",
+  local_fallback: "fallback locale",
+  repair_structured_output: "correzione JSON",
+  refine: "revisione",
+  cache_hit: "risultato in cache"
+};
 const API_BASE = readApiBase();
+let rateLimitCountdownId = null;
+let historyDbPromise = null;
+let historyEntries = [];
+let templateLibrary = null;
+let versionSession = null;
+let candidateSession = null;
+let lastResult = null;
 
 const form = document.getElementById("prompt-form");
 const rawPromptInput = document.getElementById("raw-prompt");
+const targetSelect = document.getElementById("target-select");
+const structuredToggle = document.getElementById("structured-toggle");
+const clarifyToggle = document.getElementById("clarify-toggle");
+const variantsSelect = document.getElementById("variants-select");
+const clarifyPanel = document.getElementById("clarify-panel");
+const clarifyForm = document.getElementById("clarify-form");
+const clarifyQuestionsNode = document.getElementById("clarify-questions");
+const clarifySubmitBtn = document.getElementById("clarify-submit-btn");
+const clarifyCancelBtn = document.getElementById("clarify-cancel-btn");
+const candidatesNode = document.getElementById("candidates");
 const resultNode = document.getElementById("result");
+const resultSectionsNode = document.getElementById("result-sections");
+const resultDiffNode = document.getElementById("result-diff");
+const diffToggle = document.getElementById("diff-toggle");
+const diffOptionsNode = document.getElementById("diff-options");
+const diffBaseSelect = document.getElementById("diff-base");
+const diffModeSelect = document.getElementById("diff-mode");
+const diffSummaryNode = document.getElementById("diff-summary");
+const analysisPanel = document.getElementById("analysis-panel");
+const analysisSummaryNode = document.getElementById("analysis-summary");
+const analysisBody = document.getElementById("analysis-body");
+const refinePanel = document.getElementById("refine-panel");
+const refineForm = document.getElementById("refine-form");
+const refineInput = document.getElementById("refine-input");
+const refineBtn = document.getElementById("refine-btn");
+const versionPrevBtn = document.getElementById("version-prev-btn");
+const versionNextBtn = document.getElementById("version-next-btn");
+const versionLabelNode = document.getElementById("version-label");
 const statusNode = document.getElementById("status");
 
 const generateBtn = document.getElementById("generate-btn");
 const copyBtn = document.getElementById("copy-btn");
 const clearBtn = document.getElementById("clear-btn");
 
+const authPanel = document.getElementById("auth-panel");
+const loginForm = document.getElementById("login-form");
+const loginUsernameInput = document.getElementById("login-username");
+const loginPasswordInput = document.getElementById("login-password");
+const authSessionNode = document.getElementById("auth-session");
+const authUserNode = document.getElementById("auth-user");
+const logoutBtn = document.getElementById("logout-btn");
+
+const historyPanel = document.getElementById("history-panel");
+const historyList = document.getElementById("history-list");
+const historyEmptyNode = document.getElementById("history-empty");
+const historySearchInput = document.getElementById("history-search");
+const historyFavoritesOnlyInput = document.getElementById("history-favorites-only");
+const historyExportBtn = document.getElementById("history-export-btn");
+
 copyBtn.addEventListener("click", onCopy);
 clearBtn.addEventListener("click", onClear);
+logoutBtn.addEventListener("click", onLogout);
+historySearchInput.addEventListener("input", renderHistory);
+historyFavoritesOnlyInput.addEventListener("change", renderHistory);
+historyExportBtn.addEventListener("click", onHistoryExport);
+historyList.addEventListener("click", onHistoryAction);
+
+loginForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await onLogin();
+});
 
 form.addEventListener("submit", async (event) => {
   event.preventDefault();
@@ -27,8 +111,56 @@ rawPromptInput.addEventListener("input", () => {
   localStorage.setItem(INPUT_STORAGE_KEY, rawPromptInput.value);
 });
 
+targetSelect.addEventListener("change", () => {
+  localStorage.setItem(TARGET_STORAGE_KEY, targetSelect.value);
+  syncStructuredToggle();
+});
+
+structuredToggle.addEventListener("change", () => {
+  localStorage.setItem(FORMAT_STORAGE_KEY, structuredToggle.checked ? "structured" : "text");
+});
+
+clarifyToggle.addEventListener("change", () => {
+  localStorage.setItem(CLARIFY_MODE_STORAGE_KEY, clarifyToggle.checked ? "1" : "0");
+});
+
+variantsSelect.addEventListener("change", () => {
+  localStorage.setItem(VARIANTS_STORAGE_KEY, variantsSelect.value);
+});
+
+candidatesNode.addEventListener("click", onCandidateAction);
+resultSectionsNode.addEventListener("input", renderAnalysis);
+diffToggle.addEventListener("change", renderResultView);
+diffBaseSelect.addEventListener("change", renderDiff);
+diffModeSelect.addEventListener("change", renderDiff);
+versionPrevBtn.addEventListener("click", () => showVersion(versionSession.index - 1));
+versionNextBtn.addEventListener("click", () => showVersion(versionSession.index + 1));
+refineForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await onRefine();
+});
+
+clarifyQuestionsNode.addEventListener("input", onClarifyAnswerInput);
+clarifyCancelBtn.addEventListener("click", () => {
+  clearClarifySession();
+  setStatus("Domande di chiarimento annullate.", false);
+});
+
+clarifyForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const session = readClarifySession();
+  if (session) {
+    await submitClarification(session);
+  }
+});
+
 restoreDraft();
 registerServiceWorker();
+refreshAuthState();
+loadHistory();
+loadTemplateLibrary();
+restoreVersionSession();
+restoreClarifySession();
 
 async function improvePrompt() {
   const rawPrompt = normalizePrompt(rawPromptInput.value);
@@ -38,49 +170,635 @@ async function improvePrompt() {
     return;
   }
 
+  const options = {
+    target: targetSelect.value,
+    format: structuredToggle.checked && !structuredToggle.disabled ? "structured" : "text"
+  };
+  const variants = Number(variantsSelect.value);
+  if (variants > 1) {
+    options.variants = variants;
+  }
+  if (clarifyToggle.checked) {
+    await startClarification(rawPrompt, options);
+    return;
+  }
+  await runDirectImprovement(rawPrompt, options);
+}
+
+async function runDirectImprovement(rawPrompt, options) {
+  stopRateLimitCountdown();
   setBusy(true);
   setStatus("Ottimizzo...", false);
 
+  let streamedText = "";
   try {
-    const result = await improveViaBackend(rawPrompt);
-    resultNode.textContent = result.prompt;
-    if (result.usedLocalFallback) {
-      const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
-      setStatus(`Output generato con fallback locale per evitare risposta vuota del modello.${debugSuffix}`, false);
-    } else if (result.usedNoWebRecovery) {
-      const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
-      setStatus(`Output recuperato con tentativo finale del modello primario.${debugSuffix}`, false);
-    } else if (result.recoveredFromEmptyOutput) {
-      const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
-      setStatus(`Il modello ha risposto vuoto al primo tentativo: retry automatico completato.${debugSuffix}`, false);
-    } else {
-      setStatus("Prompt ottimizzato con web research.", false);
+    const result = await improveWithStreaming(rawPrompt, options, {
+      onProgress: (progress) => {
+        const label = PROGRESS_STEP_LABELS[progress?.step] || "";
+        setStatus(label ? `Ottimizzo... (${label})` : "Ottimizzo...", false);
+        if (streamedText) {
+          streamedText = "";
+          resultNode.textContent = "";
+        }
+      },
+      onDelta: (text) => {
+        streamedText += text;
+        showStreamingText(streamedText);
+      }
+    });
+    applyImprovementResult(rawPrompt, result);
+  } catch (error) {
+    await handleImproveError(error, rawPrompt, options.target);
+  } finally {
+    setBusy(false);
+  }
+}
+
+function applyImprovementResult(rawPrompt, result) {
+  showResult(result.prompt, result.sections);
+  startVersionSession(rawPrompt, result);
+  const historyEntry = buildHistoryEntry(rawPrompt, result);
+  startCandidateSession(rawPrompt, result, historyEntry.id);
+  if (result.candidates.length > 1) {
+    const failedSuffix = result.failedCandidates ? ` (${result.failedCandidates} scartati)` : "";
+    setStatus(`${result.candidates.length} candidati generati${failedSuffix}: scegli quello da usare.`, false);
+  } else if (result.cached) {
+    setStatus("Prompt ottimizzato (risultato dalla cache).", false);
+  } else if (result.usedLocalFallback) {
+    const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
+    setStatus(`Output generato con fallback locale per evitare risposta vuota del modello.${debugSuffix}`, false);
+  } else if (result.usedProviderFailover) {
+    const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
+    setStatus(`Provider primario non disponibile: output generato da ${result.usedProvider}.${debugSuffix}`, false);
+  } else if (result.usedNoWebRecovery) {
+    const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
+    setStatus(`Output recuperato con tentativo finale del modello primario.${debugSuffix}`, false);
+  } else if (result.structuredRecovery === "heuristic") {
+    setStatus("Il modello non ha restituito JSON valido: sezioni ricavate dal testo, controllale prima di copiare.", false);
+  } else if (result.recoveredFromEmptyOutput) {
+    const debugSuffix = result.debugHint ? ` [${result.debugHint}]` : "";
+    setStatus(`Il modello ha risposto vuoto al primo tentativo: retry automatico completato.${debugSuffix}`, false);
+  } else {
+    setStatus(result.usedWebSearch ? "Prompt ottimizzato con web research." : "Prompt ottimizzato.", false);
+  }
+  saveHistoryEntry(historyEntry);
+  if (!authPanel.hidden) {
+    refreshAuthState();
+  }
+  if (
+    result.debug &&
+    (
+      result.recoveredFromEmptyOutput ||
+      result.usedNoWebRecovery ||
+      result.usedLocalFallback ||
+      result.usedProviderFailover
+    )
+  ) {
+    console.info("Debug modello (/api/improve):", result.debug);
+  }
+}
+
+// Login and rate-limit errors are reported as such; anything else falls back to
+// the local template so the user still gets a prompt.
+async function handleImproveError(error, rawPrompt, target) {
+  if (error && error.authRequired) {
+    setStatus(error.message, true);
+    await refreshAuthState();
+    if (!loginForm.hidden) {
+      loginUsernameInput.focus();
+    }
+    return;
+  }
+  if (error && error.retryAfterSeconds) {
+    startRateLimitCountdown(error.retryAfterSeconds, error.rateLimitScope);
+    return;
+  }
+  const fallbackPrompt = buildClientFallbackPrompt(rawPrompt, target);
+  showResult(fallbackPrompt);
+  clearVersionSession();
+  clearCandidateSession();
+  const reason = formatBackendErrorForStatus(error);
+  setStatus(`Backend non disponibile (${reason}). Output generato in locale.`, false);
+  saveHistoryEntry(buildHistoryEntry(rawPrompt, { prompt: fallbackPrompt, target, clientFallback: true }));
+  if (error) {
+    console.warn("Errore backend /api/improve:", error);
+  }
+}
+
+// Every server result starts a version stack; refinements are appended to it and
+// always apply to the version currently shown. The stack is kept in
+// localStorage so it survives a reload.
+function startVersionSession(rawPrompt, result) {
+  if (!result.requestId) {
+    clearVersionSession();
+    return;
+  }
+  versionSession = {
+    rawPrompt,
+    target: result.target || "chat",
+    versions: [{ requestId: result.requestId, prompt: result.prompt, sections: result.sections || null, feedback: "" }],
+    index: 0
+  };
+  saveVersionSession();
+}
+
+function clearVersionSession() {
+  versionSession = null;
+  localStorage.removeItem(VERSIONS_STORAGE_KEY);
+  renderVersionNav();
+}
+
+function saveVersionSession() {
+  localStorage.setItem(VERSIONS_STORAGE_KEY, JSON.stringify(versionSession));
+  renderVersionNav();
+}
+
+function restoreVersionSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(VERSIONS_STORAGE_KEY) || "null");
+    if (stored && Array.isArray(stored.versions) && stored.versions[stored.index]) {
+      versionSession = stored;
+      const version = stored.versions[stored.index];
+      showResult(version.prompt, version.sections);
+    }
+  } catch (_error) {
+    versionSession = null;
+  }
+  renderVersionNav();
+}
+
+function renderVersionNav() {
+  refinePanel.hidden = !versionSession;
+  // The diff bases are the versions of the stack.
+  renderResultView();
+  if (!versionSession) {
+    return;
+  }
+  const { versions, index } = versionSession;
+  const feedback = versions[index].feedback;
+  versionLabelNode.textContent = `Versione ${index + 1}/${versions.length}${feedback ? ` - "${feedback}"` : ""}`;
+  versionPrevBtn.disabled = index === 0;
+  versionNextBtn.disabled = index === versions.length - 1;
+}
+
+function showVersion(index) {
+  if (!versionSession || !versionSession.versions[index]) {
+    return;
+  }
+  versionSession.index = index;
+  const version = versionSession.versions[index];
+  showResult(version.prompt, version.sections);
+  saveVersionSession();
+}
+
+// Candidates from a variants request are shown as cards above the result. The
+// one in use is also the current history entry, so reopening it from the
+// history refines the right result.
+function startCandidateSession(rawPrompt, result, historyId) {
+  if (result.candidates.length < 2) {
+    clearCandidateSession();
+    return;
+  }
+  candidateSession = { rawPrompt, historyId, candidates: result.candidates, selected: 0 };
+  renderCandidates();
+}
+
+function clearCandidateSession() {
+  candidateSession = null;
+  renderCandidates();
+}
+
+function renderCandidates() {
+  candidatesNode.hidden = !candidateSession;
+  if (!candidateSession) {
+    candidatesNode.replaceChildren();
+    return;
+  }
+  candidatesNode.replaceChildren(...candidateSession.candidates.map((candidate, index) => {
+    const selected = index === candidateSession.selected;
+    const card = document.createElement("article");
+    card.className = selected ? "candidate is-selected" : "candidate";
+    card.dataset.index = String(index);
+
+    const meta = document.createElement("p");
+    meta.className = "candidate-meta";
+    const source = candidate.usedLocalFallback ? "template locale" : candidate.usedModel || candidate.usedProvider;
+    meta.textContent = [`Candidato ${index + 1}`, source].filter(Boolean).join(" · ");
+
+    const preview = document.createElement("p");
+    preview.className = "candidate-preview";
+    preview.textContent = candidate.prompt;
+
+    const actions = document.createElement("div");
+    actions.className = "candidate-actions";
+    const useButton = createHistoryButton("use", selected ? "In uso" : "Usa questo", "Mostra e usa questo candidato");
+    useButton.disabled = selected;
+    actions.append(useButton, createHistoryButton("copy", "Copia", "Copia questo candidato"));
+
+    card.append(meta, preview, actions);
+    return card;
+  }));
+}
+
+async function onCandidateAction(event) {
+  const button = event.target.closest("button[data-action]");
+  const card = button?.closest(".candidate");
+  if (!button || !card || !candidateSession) {
+    return;
+  }
+  const index = Number(card.dataset.index);
+  const candidate = candidateSession.candidates[index];
+  if (!candidate) {
+    return;
+  }
+
+  if (button.dataset.action === "copy") {
+    try {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(candidate.prompt);
+      } else {
+        copyWithTextarea(candidate.prompt);
+      }
+      setStatus(`Candidato ${index + 1} copiato.`, false);
+    } catch (_error) {
+      setStatus("Copia non riuscita.", true);
     }
-    if (
-      result.debug &&
-      (result.recoveredFromEmptyOutput || result.usedNoWebRecovery || result.usedLocalFallback)
-    ) {
-      console.info("Debug modello (/api/improve):", result.debug);
+    return;
+  }
+
+  candidateSession.selected = index;
+  showResult(candidate.prompt, candidate.sections);
+  startVersionSession(candidateSession.rawPrompt, candidate);
+  renderCandidates();
+  setStatus(`Candidato ${index + 1} in uso.`, false);
+  try {
+    await updateHistoryEntry(candidateSession.historyId, {
+      prompt: candidate.prompt,
+      sections: candidate.sections,
+      requestId: candidate.requestId,
+      model: candidate.usedModel,
+      provider: candidate.usedProvider,
+      usedLocalFallback: candidate.usedLocalFallback
+    });
+  } catch (error) {
+    console.warn("Storico locale non aggiornato:", error);
+  }
+}
+
+async function onRefine() {
+  const feedback = refineInput.value.trim();
+  if (!versionSession || !feedback) {
+    setStatus("Scrivi cosa vuoi cambiare nel prompt.", true);
+    refineInput.focus();
+    return;
+  }
+
+  const session = versionSession;
+  const parent = session.versions[session.index];
+  stopRateLimitCountdown();
+  setBusy(true);
+  setStatus("Raffino il prompt...", false);
+
+  try {
+    const data = await requestJson(`/api/improve/${encodeURIComponent(parent.requestId)}/refine`, { feedback });
+    const result = parseImproveResponse(data);
+    session.versions.push({
+      requestId: result.requestId,
+      prompt: result.prompt,
+      sections: result.sections,
+      feedback
+    });
+    refineInput.value = "";
+    showVersion(session.versions.length - 1);
+    setStatus(`Versione ${session.versions.length} generata.`, false);
+    saveHistoryEntry(buildHistoryEntry(session.rawPrompt, result));
+  } catch (error) {
+    if (error && (error.authRequired || error.retryAfterSeconds)) {
+      await handleImproveError(error, session.rawPrompt, session.target);
+      return;
+    }
+    if (error && error.status === 404) {
+      setStatus("Questa versione non e piu raffinabile (sessione scaduta): genera di nuovo il prompt.", true);
+      return;
+    }
+    setStatus(`Raffinamento non riuscito (${formatBackendErrorForStatus(error)}).`, true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+// Clarifying questions: the session (questions and draft answers) is kept in
+// localStorage so an unanswered session survives a reload of the PWA.
+async function startClarification(rawPrompt, options) {
+  stopRateLimitCountdown();
+  setBusy(true);
+  setStatus("Preparo le domande...", false);
+
+  let clarifyError = null;
+  try {
+    const data = await requestJson("/api/clarify", { prompt: rawPrompt, target: options.target });
+    const session = {
+      id: data.sessionId,
+      rawPrompt,
+      target: options.target,
+      format: options.format,
+      questions: Array.isArray(data.questions) ? data.questions : [],
+      answers: {}
+    };
+    if (session.questions.length === 0) {
+      setBusy(false);
+      setStatus("Il prompt e gia completo: genero il risultato.", false);
+      await submitClarification(session);
+      return;
     }
+    saveClarifySession(session);
+    renderClarifyPanel(session);
+    setStatus(
+      data.usedLocalFallback
+        ? "Domande generiche (modello non disponibile): rispondi e genera il prompt."
+        : "Rispondi alle domande (sono facoltative) e genera il prompt.",
+      false
+    );
+  } catch (error) {
+    clarifyError = error;
+  } finally {
+    setBusy(false);
+  }
+
+  if (!clarifyError) {
+    return;
+  }
+  if (clarifyError.authRequired || clarifyError.retryAfterSeconds) {
+    await handleImproveError(clarifyError, rawPrompt, options.target);
+    return;
+  }
+  console.warn("Domande di chiarimento non disponibili:", clarifyError);
+  await runDirectImprovement(rawPrompt, options);
+}
+
+async function submitClarification(session) {
+  stopRateLimitCountdown();
+  setBusy(true);
+  setStatus("Genero il prompt con le tue risposte...", false);
+
+  try {
+    const data = await requestJson(`/api/clarify/${encodeURIComponent(session.id)}/answers`, {
+      answers: session.answers,
+      format: session.format
+    });
+    clearClarifySession();
+    applyImprovementResult(session.rawPrompt, parseImproveResponse(data));
   } catch (error) {
-    const fallbackPrompt = buildClientFallbackPrompt(rawPrompt);
-    resultNode.textContent = fallbackPrompt;
-    const reason = formatBackendErrorForStatus(error);
-    setStatus(`Backend non disponibile (${reason}). Output generato in locale.`, false);
-    if (error) {
-      console.warn("Errore backend /api/improve:", error);
+    if (error && error.status === 404) {
+      clearClarifySession();
+      setStatus("Sessione di chiarimento scaduta: genera di nuovo il prompt.", true);
+      return;
     }
+    await handleImproveError(error, session.rawPrompt, session.target);
   } finally {
     setBusy(false);
   }
 }
 
-async function improveViaBackend(rawPrompt) {
+function renderClarifyPanel(session) {
+  clarifyQuestionsNode.replaceChildren();
+  session.questions.forEach((question) => {
+    const field = document.createElement("label");
+    field.className = "clarify-question";
+    const text = document.createElement("span");
+    text.textContent = question.text;
+    const answer = document.createElement("textarea");
+    answer.rows = 2;
+    answer.dataset.questionId = question.id;
+    answer.value = session.answers[question.id] || "";
+    field.append(text, answer);
+    clarifyQuestionsNode.appendChild(field);
+  });
+  clarifyPanel.hidden = false;
+  const firstAnswer = clarifyQuestionsNode.querySelector("textarea");
+  if (firstAnswer) {
+    firstAnswer.focus();
+  }
+}
+
+function readClarifySession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(CLARIFY_STORAGE_KEY) || "null");
+    return session && typeof session.id === "string" && Array.isArray(session.questions) ? session : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function saveClarifySession(session) {
+  localStorage.setItem(CLARIFY_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearClarifySession() {
+  localStorage.removeItem(CLARIFY_STORAGE_KEY);
+  clarifyQuestionsNode.replaceChildren();
+  clarifyPanel.hidden = true;
+}
+
+function onClarifyAnswerInput(event) {
+  const session = readClarifySession();
+  const questionId = event.target.dataset.questionId;
+  if (!session || !questionId) {
+    return;
+  }
+  session.answers[questionId] = event.target.value;
+  saveClarifySession(session);
+}
+
+// Sessions that expired on the server are dropped; when the server cannot be
+// reached the local copy is shown anyway and the submit will fall back.
+async function restoreClarifySession() {
+  const session = readClarifySession();
+  if (!session) {
+    return;
+  }
+  try {
+    const response = await fetch(`${API_BASE}/api/clarify/${encodeURIComponent(session.id)}`);
+    if (response.status === 404) {
+      clearClarifySession();
+      return;
+    }
+    const remote = response.ok ? await response.json() : null;
+    if (remote && remote.status !== "awaiting_answers") {
+      clearClarifySession();
+      return;
+    }
+  } catch (error) {
+    console.warn("Sessione di chiarimento non verificabile:", error);
+  }
+  renderClarifyPanel(session);
+  setStatus("Domande di chiarimento in sospeso ripristinate.", false);
+}
+
+// options is { target, format, variants? } and is sent as is next to the
+// prompt. Several candidates cannot share a stream, so variants always use
+// /api/improve. The fallback only covers a server without streaming: once the
+// stream has started the pipeline may be running (and paid for), so timeouts
+// and interruptions are reported instead of starting it again.
+async function improveWithStreaming(rawPrompt, options, handlers) {
+  if (!supportsStreaming() || options.variants) {
+    return improveViaBackend(rawPrompt, options);
+  }
+
+  try {
+    return await requestImproveViaStream(rawPrompt, options, handlers);
+  } catch (error) {
+    if (error?.streamUnavailable) {
+      console.info("Streaming non disponibile, uso /api/improve:", error.message);
+      return improveViaBackend(rawPrompt, options);
+    }
+    throw error;
+  }
+}
+
+async function requestImproveViaStream(rawPrompt, options, handlers) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), BACKEND_TIMEOUT_MS);
+
+  try {
+    const endpoint = `${API_BASE}/api/improve/stream`;
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream"
+      },
+      body: JSON.stringify({ prompt: rawPrompt, ...options }),
+      signal: controller.signal
+    });
+
+    const contentType = response.headers.get("Content-Type") || "";
+    const isEventStream = contentType.includes("text/event-stream");
+    if (response.status === 404 || response.status === 405 || (response.ok && !isEventStream)) {
+      throw createStreamUnavailableError(`HTTP ${response.status} senza event-stream`);
+    }
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+    if (!response.body || typeof response.body.getReader !== "function") {
+      throw createStreamUnavailableError("body non leggibile in streaming");
+    }
+
+    let finalEvent = null;
+    let receivedEvent = false;
+    await readServerSentEvents(response.body, (event, data) => {
+      receivedEvent = true;
+      if (event === "progress") {
+        handlers.onProgress(data);
+      } else if (event === "delta" && typeof data?.text === "string") {
+        handlers.onDelta(data.text);
+      } else if (event === "result" || event === "error") {
+        finalEvent = { event, data };
+      }
+    });
+
+    if (!finalEvent && !receivedEvent) {
+      throw createStreamUnavailableError("stream chiuso senza eventi");
+    }
+    if (!finalEvent) {
+      throw new Error("Stream interrotto prima del risultato: riprova.");
+    }
+    if (finalEvent.event === "error") {
+      const status = Number(finalEvent.data?.status) || 502;
+      throw new Error(formatApiErrorPayload(finalEvent.data) || `HTTP ${status}`);
+    }
+
+    return parseImproveResponse(finalEvent.data);
+  } catch (error) {
+    if (error && error.name === "AbortError") {
+      throw new Error("Timeout: il server ha impiegato troppo tempo a rispondere.");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function readServerSentEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      dispatchServerSentEvent(buffer.slice(0, boundary), onEvent);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatchServerSentEvent(buffer, onEvent);
+  }
+}
+
+function dispatchServerSentEvent(block, onEvent) {
+  let event = "message";
+  const dataLines = [];
+
+  block.split("\n").forEach((line) => {
+    if (!line || line.startsWith(":")) {
+      return;
+    }
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+    if (field === "event") {
+      event = value;
+    } else if (field === "data") {
+      dataLines.push(value);
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return;
+  }
+
+  let data = null;
+  try {
+    data = JSON.parse(dataLines.join("\n"));
+  } catch (_parseError) {
+    return;
+  }
+  onEvent(event, data);
+}
+
+function supportsStreaming() {
+  return (
+    typeof window.fetch === "function" &&
+    typeof window.ReadableStream === "function" &&
+    typeof window.TextDecoder === "function"
+  );
+}
+
+function createStreamUnavailableError(reason) {
+  const error = new Error(`Streaming non disponibile: ${reason}.`);
+  error.streamUnavailable = true;
+  return error;
+}
+
+async function improveViaBackend(rawPrompt, options) {
   let lastError = null;
 
   for (let attempt = 0; attempt <= NETWORK_RETRY_DELAYS_MS.length; attempt += 1) {
     try {
-      return await requestImproveViaBackend(rawPrompt);
+      return await requestImproveViaBackend(rawPrompt, options);
     } catch (error) {
       lastError = error;
       if (!isRetryableBackendError(error) || attempt === NETWORK_RETRY_DELAYS_MS.length) {
@@ -93,7 +811,7 @@ async function improveViaBackend(rawPrompt) {
   throw lastError || new Error("Errore sconosciuto durante la richiesta backend.");
 }
 
-async function requestImproveViaBackend(rawPrompt) {
+async function requestImproveViaBackend(rawPrompt, options) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), BACKEND_TIMEOUT_MS);
 
@@ -102,28 +820,44 @@ async function requestImproveViaBackend(rawPrompt) {
     const response = await fetch(endpoint, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ prompt: rawPrompt }),
+      body: JSON.stringify({ prompt: rawPrompt, ...options }),
       signal: controller.signal
     });
 
     if (!response.ok) {
-      throw new Error(await readApiError(response));
-    }
-
-    const data = await response.json();
-    const output = typeof data?.prompt === "string" ? data.prompt.trim() : "";
-    if (!output) {
-      throw new Error("Risposta vuota dal server.");
-    }
-    return {
-      prompt: output,
-      recoveredFromEmptyOutput: Boolean(data?.recoveredFromEmptyOutput),
-      usedLocalFallback: Boolean(data?.usedLocalFallback),
-      usedNoWebRecovery: Boolean(data?.usedNoWebRecovery),
-      requestId: typeof data?.requestId === "string" ? data.requestId : "",
-      debug: data?.debug && typeof data.debug === "object" ? data.debug : null,
-      debugHint: formatFallbackDebugHint(data?.debug)
-    };
+      throw await createApiError(response);
+    }
+
+    return parseImproveResponse(await response.json());
+  } catch (error) {
+    if (error && error.name === "AbortError") {
+      throw new Error("Timeout: il server ha impiegato troppo tempo a rispondere.");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Plain JSON POST used by the clarification flow: no streaming and no network
+// retries, the caller decides how to fall back.
+async function requestJson(path, payload) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), BACKEND_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const error = await createApiError(response);
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
   } catch (error) {
     if (error && error.name === "AbortError") {
       throw new Error("Timeout: il server ha impiegato troppo tempo a rispondere.");
@@ -134,6 +868,32 @@ async function requestImproveViaBackend(rawPrompt) {
   }
 }
 
+function parseImproveResponse(data) {
+  const output = typeof data?.prompt === "string" ? data.prompt.trim() : "";
+  if (!output) {
+    throw new Error("Risposta vuota dal server.");
+  }
+  return {
+    prompt: output,
+    recoveredFromEmptyOutput: Boolean(data?.recoveredFromEmptyOutput),
+    usedLocalFallback: Boolean(data?.usedLocalFallback),
+    usedNoWebRecovery: Boolean(data?.usedNoWebRecovery),
+    usedProviderFailover: Boolean(data?.usedProviderFailover),
+    usedProvider: typeof data?.usedProvider === "string" ? data.usedProvider : "",
+    usedModel: typeof data?.usedModel === "string" ? data.usedModel : "",
+    target: typeof data?.target === "string" ? data.target : "",
+    sections: data?.sections && typeof data.sections === "object" ? data.sections : null,
+    structuredRecovery: typeof data?.structuredRecovery === "string" ? data.structuredRecovery : "",
+    usedWebSearch: data?.usedWebSearch !== false,
+    cached: Boolean(data?.cached),
+    requestId: typeof data?.requestId === "string" ? data.requestId : "",
+    candidates: Array.isArray(data?.candidates) ? data.candidates.map(parseImproveResponse) : [],
+    failedCandidates: Array.isArray(data?.failedCandidates) ? data.failedCandidates.length : 0,
+    debug: data?.debug && typeof data.debug === "object" ? data.debug : null,
+    debugHint: formatFallbackDebugHint(data?.debug)
+  };
+}
+
 function isRetryableBackendError(error) {
   if (!error) {
     return false;
@@ -244,6 +1004,23 @@ function formatFallbackDebugHint(debug) {
   return parts.slice(0, 7).join(" | ");
 }
 
+async function createApiError(response) {
+  if (response.status === 401) {
+    const error = new Error(await readApiError(response));
+    error.authRequired = true;
+    return error;
+  }
+  if (response.status !== 429) {
+    return new Error(await readApiError(response));
+  }
+
+  const payload = await response.clone().json().catch(() => null);
+  const error = new Error(await readApiError(response));
+  error.retryAfterSeconds = readRetryAfterSeconds(response, payload);
+  error.rateLimitScope = typeof payload?.scope === "string" ? payload.scope : "";
+  return error;
+}
+
 async function readApiError(response) {
   if (response.status === 405) {
     return "HTTP 405: endpoint non configurato per POST. Probabile deploy come sito statico invece di Web Service Node.";
@@ -260,11 +1037,12 @@ async function readApiError(response) {
       }
     }
 
-    const message = payload?.error || payload?.message;
-    if (typeof message === "string" && message.trim()) {
-      if (payload?.debug && typeof payload.debug === "object") {
-        return `${message} [debug: ${JSON.stringify(payload.debug)}]`;
-      }
+    if (response.status === 429) {
+      return formatRateLimitMessage(readRetryAfterSeconds(response, payload), payload?.scope);
+    }
+
+    const message = formatApiErrorPayload(payload);
+    if (message) {
       return message;
     }
 
@@ -279,8 +1057,67 @@ async function readApiError(response) {
   }
 }
 
+function readRetryAfterSeconds(response, payload) {
+  const fromBody = Number(payload?.retryAfterSeconds);
+  if (Number.isFinite(fromBody) && fromBody > 0) {
+    return Math.ceil(fromBody);
+  }
+  const fromHeader = Number(response.headers.get("Retry-After"));
+  if (Number.isFinite(fromHeader) && fromHeader > 0) {
+    return Math.ceil(fromHeader);
+  }
+  return RATE_LIMIT_DEFAULT_RETRY_SECONDS;
+}
+
+function formatRateLimitMessage(seconds, scope) {
+  if (scope === "quota") {
+    return "Quota mensile di token esaurita.";
+  }
+  const unit = seconds === 1 ? "secondo" : "secondi";
+  if (scope === "global") {
+    return `Server occupato, riprova tra ${seconds} ${unit}.`;
+  }
+  return `Troppe richieste, riprova tra ${seconds} ${unit}.`;
+}
+
+function startRateLimitCountdown(seconds, scope) {
+  stopRateLimitCountdown();
+  let remaining = seconds;
+  setStatus(formatRateLimitMessage(remaining, scope), true);
+  if (scope === "quota") {
+    return;
+  }
+  rateLimitCountdownId = setInterval(() => {
+    remaining -= 1;
+    if (remaining <= 0) {
+      stopRateLimitCountdown();
+      setStatus("Puoi riprovare ora.", false);
+      return;
+    }
+    setStatus(formatRateLimitMessage(remaining, scope), true);
+  }, 1000);
+}
+
+function stopRateLimitCountdown() {
+  if (rateLimitCountdownId !== null) {
+    clearInterval(rateLimitCountdownId);
+    rateLimitCountdownId = null;
+  }
+}
+
+function formatApiErrorPayload(payload) {
+  const message = payload?.error || payload?.message;
+  if (typeof message !== "string" || !message.trim()) {
+    return "";
+  }
+  if (payload?.debug && typeof payload.debug === "object") {
+    return `${message} [debug: ${JSON.stringify(payload.debug)}]`;
+  }
+  return message;
+}
+
 async function onCopy() {
-  const text = resultNode.textContent.trim();
+  const text = getResultText();
   if (!text || text === DEFAULT_RESULT) {
     setStatus("Nessun risultato da copiare.", true);
     return;
@@ -289,6 +1126,8 @@ async function onCopy() {
   try {
     if (navigator.clipboard && navigator.clipboard.writeText) {
       await navigator.clipboard.writeText(text);
+    } else if (lastResult?.sections) {
+      copyWithTextarea(text);
     } else {
       const selection = window.getSelection();
       const range = document.createRange();
@@ -304,14 +1143,619 @@ async function onCopy() {
   }
 }
 
+function copyWithTextarea(text) {
+  const scratch = document.createElement("textarea");
+  scratch.value = text;
+  scratch.setAttribute("readonly", "");
+  scratch.style.position = "fixed";
+  scratch.style.opacity = "0";
+  document.body.appendChild(scratch);
+  scratch.select();
+  document.execCommand("copy");
+  scratch.remove();
+}
+
+// Structured results are shown as one editable block per section, plain text
+// goes to the <pre>. renderResultView then picks between those and the diff.
+function showResult(text, sections) {
+  lastResult = text === DEFAULT_RESULT ? null : { sections: sections || null };
+  resultSectionsNode.replaceChildren();
+  if (!sections) {
+    resultNode.textContent = text;
+    renderResultView();
+    return;
+  }
+
+  window.PromptTemplates.STRUCTURED_SECTIONS.forEach(({ key, label, list }) => {
+    const value = sections[key];
+    const field = document.createElement("label");
+    field.className = "result-section";
+    const title = document.createElement("span");
+    title.textContent = list ? `${label} (uno per riga)` : label;
+    const editor = document.createElement("textarea");
+    editor.dataset.section = key;
+    editor.value = list ? (Array.isArray(value) ? value.join("\n") : "") : String(value || "");
+    editor.rows = Math.min(8, Math.max(2, editor.value.split("\n").length + 1));
+    field.append(title, editor);
+    resultSectionsNode.appendChild(field);
+  });
+  renderResultView();
+}
+
+// Deltas arrive many times per second: no sections and no diff until the final
+// result is shown.
+function showStreamingText(text) {
+  lastResult = null;
+  resultNode.hidden = false;
+  resultSectionsNode.hidden = true;
+  resultDiffNode.hidden = true;
+  analysisPanel.hidden = true;
+  resultNode.textContent = text;
+}
+
+function renderResultView() {
+  const showDiff = diffToggle.checked && Boolean(lastResult);
+  const structured = Boolean(lastResult?.sections);
+  diffOptionsNode.hidden = !showDiff;
+  resultDiffNode.hidden = !showDiff;
+  resultNode.hidden = showDiff || structured;
+  resultSectionsNode.hidden = showDiff || !structured;
+  if (showDiff) {
+    renderDiff();
+  }
+  renderAnalysis();
+}
+
+// The API returns the same breakdown, but computing it here with the shared
+// analyzer also covers history entries, client fallbacks and edited sections.
+function renderAnalysis() {
+  analysisPanel.hidden = !lastResult;
+  if (!lastResult) {
+    analysisBody.replaceChildren();
+    return;
+  }
+  const target = versionSession?.target || targetSelect.value;
+  const rawPrompt = versionSession ? versionSession.rawPrompt : normalizePrompt(rawPromptInput.value);
+  const raw = window.PromptAnalyzer.analyzePrompt(rawPrompt, target);
+  const improved = window.PromptAnalyzer.analyzePrompt(getResultText(), target);
+
+  const passed = improved.checks.filter((check) => check.applicable && check.passed).length;
+  const applicable = improved.checks.filter((check) => check.applicable).length;
+  analysisSummaryNode.textContent =
+    `Qualita: ${raw.score} -> ${improved.score}/100 (${passed}/${applicable} controlli superati)`;
+  analysisBody.replaceChildren(...improved.checks.map((check, index) => {
+    const row = document.createElement("tr");
+    const label = document.createElement("th");
+    label.scope = "row";
+    label.textContent = check.label;
+    row.append(label, createAnalysisCell(raw.checks[index]), createAnalysisCell(check));
+    return row;
+  }));
+}
+
+function createAnalysisCell(check) {
+  const cell = document.createElement("td");
+  if (!check.applicable) {
+    cell.textContent = "-";
+    cell.title = check.detail;
+    return cell;
+  }
+  cell.className = check.passed ? "check-pass" : "check-fail";
+  cell.textContent = [check.passed ? "✓" : "✗", check.detail].filter(Boolean).join(" ");
+  return cell;
+}
+
+// The result can be compared with the raw prompt or with any other version of
+// the refinement stack; by default with the previous version when there is one.
+function listDiffBases() {
+  const bases = [{
+    value: "raw",
+    label: "Prompt originale",
+    text: versionSession ? versionSession.rawPrompt : normalizePrompt(rawPromptInput.value)
+  }];
+  if (versionSession) {
+    versionSession.versions.forEach((version, index) => {
+      if (index !== versionSession.index) {
+        bases.push({ value: `v${index}`, label: `Versione ${index + 1}`, text: version.prompt });
+      }
+    });
+  }
+  return bases;
+}
+
+function renderDiff() {
+  if (!lastResult) {
+    return;
+  }
+  const bases = listDiffBases();
+  const selected = diffBaseSelect.value;
+  diffBaseSelect.replaceChildren(...bases.map((base) => new Option(base.label, base.value)));
+  const fallbackValue = versionSession && versionSession.index > 0 ? `v${versionSession.index - 1}` : "raw";
+  diffBaseSelect.value = bases.some((base) => base.value === selected) ? selected : fallbackValue;
+  const base = bases.find((candidate) => candidate.value === diffBaseSelect.value) || bases[0];
+
+  const byLine = diffModeSelect.value === "lines";
+  const tokenize = byLine ? splitDiffLines : splitDiffWords;
+  const ops = diffTokens(tokenize(base.text), tokenize(getResultText()));
+  resultDiffNode.replaceChildren(...renderDiffOps(ops, byLine));
+
+  const countChanged = (type) => ops
+    .filter((op) => op.type === type)
+    .reduce((total, op) => total + op.tokens.filter((token) => token.trim()).length, 0);
+  const unit = byLine ? "righe" : "parole";
+  diffSummaryNode.textContent = `+${countChanged("insert")} / -${countChanged("delete")} ${unit}`;
+}
+
+function renderDiffOps(ops, byLine) {
+  const nodes = [];
+  ops.forEach(({ type, tokens }) => {
+    const tag = type === "insert" ? "ins" : type === "delete" ? "del" : "";
+    if (!byLine) {
+      const text = tokens.join("");
+      if (!tag) {
+        nodes.push(document.createTextNode(text));
+        return;
+      }
+      const node = document.createElement(tag);
+      node.textContent = text;
+      nodes.push(node);
+      return;
+    }
+    const prefix = type === "insert" ? "+ " : type === "delete" ? "- " : "  ";
+    tokens.forEach((line) => {
+      const node = document.createElement(tag || "span");
+      node.className = "diff-line";
+      node.textContent = `${prefix}${line}`;
+      nodes.push(node);
+    });
+  });
+  return nodes;
+}
+
+// Whitespace is kept as its own token so equal runs render exactly as typed.
+function splitDiffWords(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+function splitDiffLines(text) {
+  const value = String(text || "");
+  return value ? value.split("\n") : [];
+}
+
+// Small LCS diff, enough for prompts and dependency-free so it works offline.
+// The common prefix and suffix are trimmed first; when the remaining table
+// would exceed DIFF_MAX_CELLS the middle is reported as one removal plus one
+// addition. Returns [{ type: "equal" | "insert" | "delete", tokens }].
+function diffTokens(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore -= 1;
+    endAfter -= 1;
+  }
+
+  const ops = [];
+  pushDiffOp(ops, "equal", before.slice(0, start));
+  const removed = before.slice(start, endBefore);
+  const added = after.slice(start, endAfter);
+
+  if (removed.length * added.length > DIFF_MAX_CELLS) {
+    pushDiffOp(ops, "delete", removed);
+    pushDiffOp(ops, "insert", added);
+  } else {
+    // lengths[i * width + j] is the LCS length of removed[i..] and added[j..].
+    const width = added.length + 1;
+    const lengths = new Uint32Array((removed.length + 1) * width);
+    for (let i = removed.length - 1; i >= 0; i -= 1) {
+      for (let j = added.length - 1; j >= 0; j -= 1) {
+        lengths[i * width + j] = removed[i] === added[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length && j < added.length) {
+      if (removed[i] === added[j]) {
+        pushDiffOp(ops, "equal", [removed[i]]);
+        i += 1;
+        j += 1;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushDiffOp(ops, "delete", [removed[i]]);
+        i += 1;
+      } else {
+        pushDiffOp(ops, "insert", [added[j]]);
+        j += 1;
+      }
+    }
+    pushDiffOp(ops, "delete", removed.slice(i));
+    pushDiffOp(ops, "insert", added.slice(j));
+  }
+
+  pushDiffOp(ops, "equal", before.slice(endBefore));
+  return ops;
+}
+
+function pushDiffOp(ops, type, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.tokens.push(...tokens);
+  } else {
+    ops.push({ type, tokens: tokens.slice() });
+  }
+}
+
+function readEditedSections() {
+  const sections = {};
+  window.PromptTemplates.STRUCTURED_SECTIONS.forEach(({ key, list }) => {
+    const editor = resultSectionsNode.querySelector(`textarea[data-section="${key}"]`);
+    const value = editor ? editor.value.trim() : "";
+    sections[key] = list ? value.split("\n").map((line) => line.trim()).filter(Boolean) : value;
+  });
+  return sections;
+}
+
+// What the copy button and the history get: the edited sections reassembled
+// with the same renderer the server uses.
+function getResultText() {
+  if (lastResult?.sections) {
+    return window.PromptTemplates.renderStructuredPrompt(readEditedSections());
+  }
+  return resultNode.textContent.trim();
+}
+
+// Image prompts are a single line of keywords: no sections to split into.
+function syncStructuredToggle() {
+  structuredToggle.disabled = targetSelect.value === "image";
+}
+
 function onClear() {
   rawPromptInput.value = "";
-  resultNode.textContent = DEFAULT_RESULT;
+  showResult(DEFAULT_RESULT);
+  clearVersionSession();
+  clearCandidateSession();
   localStorage.removeItem(INPUT_STORAGE_KEY);
   setStatus("Pulito.", false);
 }
 
+// History lives in IndexedDB so it survives reloads and works offline in the
+// installed PWA. The whole list is kept in historyEntries (newest first) and
+// filtered in memory.
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB non disponibile."));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDbPromise;
+}
+
+async function runHistoryTransaction(mode, action) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const result = action(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(result && "result" in result ? result.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+async function loadHistory() {
+  try {
+    const entries = await runHistoryTransaction("readonly", (store) => store.getAll());
+    historyEntries = (entries || []).sort((left, right) => right.createdAt - left.createdAt);
+    historyPanel.hidden = false;
+    renderHistory();
+  } catch (error) {
+    historyPanel.hidden = true;
+    console.warn("Storico locale non disponibile:", error);
+  }
+}
+
+function buildHistoryEntry(rawPrompt, result) {
+  const createdAt = Date.now();
+  return {
+    id: result.requestId || `local-${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    requestId: result.requestId || "",
+    createdAt,
+    rawPrompt,
+    prompt: result.prompt,
+    sections: result.sections || null,
+    target: result.target || "chat",
+    model: result.usedModel || "",
+    provider: result.usedProvider || "",
+    usedWebSearch: Boolean(result.usedWebSearch),
+    usedLocalFallback: Boolean(result.usedLocalFallback),
+    usedProviderFailover: Boolean(result.usedProviderFailover),
+    recoveredFromEmptyOutput: Boolean(result.recoveredFromEmptyOutput),
+    cached: Boolean(result.cached),
+    clientFallback: Boolean(result.clientFallback),
+    favorite: false
+  };
+}
+
+// Oldest non-favorite entries are dropped beyond HISTORY_MAX_ENTRIES.
+async function saveHistoryEntry(entry) {
+  historyEntries.unshift(entry);
+  const overflow = historyEntries.filter((item) => !item.favorite).slice(HISTORY_MAX_ENTRIES);
+  historyEntries = historyEntries.filter((item) => !overflow.includes(item));
+  renderHistory();
+
+  try {
+    await runHistoryTransaction("readwrite", (store) => {
+      store.put(entry);
+      overflow.forEach((item) => store.delete(item.id));
+    });
+  } catch (error) {
+    console.warn("Impossibile salvare lo storico locale:", error);
+  }
+}
+
+async function updateHistoryEntry(id, changes) {
+  const entry = historyEntries.find((item) => item.id === id);
+  if (!entry) {
+    return;
+  }
+  Object.assign(entry, changes);
+  renderHistory();
+  await runHistoryTransaction("readwrite", (store) => store.put(entry));
+}
+
+async function deleteHistoryEntry(id) {
+  historyEntries = historyEntries.filter((item) => item.id !== id);
+  renderHistory();
+  await runHistoryTransaction("readwrite", (store) => store.delete(id));
+}
+
+function getVisibleHistoryEntries() {
+  const terms = historySearchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const favoritesOnly = historyFavoritesOnlyInput.checked;
+  return historyEntries.filter((entry) => {
+    if (favoritesOnly && !entry.favorite) {
+      return false;
+    }
+    const haystack = `${entry.rawPrompt}\n${entry.prompt}`.toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+function renderHistory() {
+  const entries = getVisibleHistoryEntries();
+  historyList.replaceChildren(...entries.map(renderHistoryItem));
+  historyEmptyNode.hidden = entries.length > 0;
+  historyEmptyNode.textContent = historyEntries.length > 0
+    ? "Nessun prompt corrisponde alla ricerca."
+    : "Nessun prompt salvato.";
+  historyExportBtn.disabled = entries.length === 0;
+}
+
+function renderHistoryItem(entry) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+  item.dataset.id = entry.id;
+
+  const meta = document.createElement("p");
+  meta.className = "history-meta";
+  meta.textContent = [formatHistoryDate(entry.createdAt), ...describeHistoryStatus(entry)].join(" · ");
+
+  const raw = document.createElement("p");
+  raw.className = "history-raw";
+  raw.textContent = entry.rawPrompt;
+
+  const actions = document.createElement("div");
+  actions.className = "history-actions";
+  actions.append(
+    createHistoryButton("favorite", entry.favorite ? "★" : "☆", entry.favorite ? "Rimuovi dai preferiti" : "Aggiungi ai preferiti"),
+    createHistoryButton("open", "Apri", "Mostra prompt e risultato"),
+    createHistoryButton("rerun", "Rigenera", "Ottimizza di nuovo questo prompt"),
+    createHistoryButton("delete", "Elimina", "Elimina dallo storico")
+  );
+
+  item.append(meta, raw, actions);
+  return item;
+}
+
+function createHistoryButton(action, label, title) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "ghost";
+  button.dataset.action = action;
+  button.textContent = label;
+  button.title = title;
+  return button;
+}
+
+function describeHistoryStatus(entry) {
+  const parts = [];
+  if (entry.target && entry.target !== "chat") {
+    parts.push(getTargetLabel(entry.target));
+  }
+  if (entry.clientFallback) {
+    parts.push("offline: template locale");
+  } else if (entry.usedLocalFallback) {
+    parts.push("fallback locale");
+  } else if (entry.model) {
+    parts.push(entry.model);
+  }
+  if (entry.recoveredFromEmptyOutput && !entry.usedLocalFallback) {
+    parts.push("recuperato");
+  }
+  if (entry.usedProviderFailover) {
+    parts.push(`failover ${entry.provider}`);
+  }
+  if (entry.cached) {
+    parts.push("cache");
+  }
+  return parts;
+}
+
+function getTargetLabel(target) {
+  const option = Array.from(targetSelect.options).find((candidate) => candidate.value === target);
+  return option ? option.textContent : target;
+}
+
+// Unknown targets (e.g. from an older history entry) leave the selector as is.
+function selectTarget(target) {
+  if (Array.from(targetSelect.options).some((option) => option.value === target)) {
+    targetSelect.value = target;
+    localStorage.setItem(TARGET_STORAGE_KEY, target);
+  }
+  syncStructuredToggle();
+}
+
+function formatHistoryDate(timestamp) {
+  return new Date(timestamp).toLocaleString("it-IT", { dateStyle: "short", timeStyle: "short" });
+}
+
+async function onHistoryAction(event) {
+  const button = event.target.closest("button[data-action]");
+  const item = button && button.closest(".history-item");
+  const entry = item && historyEntries.find((candidate) => candidate.id === item.dataset.id);
+  if (!entry) {
+    return;
+  }
+
+  try {
+    if (button.dataset.action === "favorite") {
+      await updateHistoryEntry(entry.id, { favorite: !entry.favorite });
+    } else if (button.dataset.action === "open") {
+      selectTarget(entry.target);
+      rawPromptInput.value = entry.rawPrompt;
+      localStorage.setItem(INPUT_STORAGE_KEY, entry.rawPrompt);
+      showResult(entry.prompt, entry.sections);
+      clearCandidateSession();
+      if (entry.clientFallback) {
+        clearVersionSession();
+      } else {
+        startVersionSession(entry.rawPrompt, { ...entry, requestId: entry.requestId || entry.id });
+      }
+      setStatus(`Prompt dallo storico (${formatHistoryDate(entry.createdAt)}).`, false);
+    } else if (button.dataset.action === "rerun") {
+      if (generateBtn.disabled) {
+        return;
+      }
+      selectTarget(entry.target);
+      rawPromptInput.value = entry.rawPrompt;
+      localStorage.setItem(INPUT_STORAGE_KEY, entry.rawPrompt);
+      await improvePrompt();
+    } else if (button.dataset.action === "delete") {
+      await deleteHistoryEntry(entry.id);
+      setStatus("Voce eliminata dallo storico.", false);
+    }
+  } catch (error) {
+    setStatus(`Operazione sullo storico non riuscita: ${error.message}`, true);
+  }
+}
+
+function onHistoryExport() {
+  const entries = getVisibleHistoryEntries();
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    entries: entries.map((entry) => ({ ...entry, createdAt: new Date(entry.createdAt).toISOString() }))
+  };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `prompt-forge-storico-${payload.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  setStatus(`Esportate ${entries.length} voci dello storico.`, false);
+}
+
+async function refreshAuthState() {
+  let state = null;
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/me`, { credentials: "same-origin" });
+    state = response.ok ? await response.json() : null;
+  } catch (_error) {
+    state = null;
+  }
+
+  if (!state || (!state.required && !state.loginAvailable && !state.authenticated)) {
+    authPanel.hidden = true;
+    return;
+  }
+
+  authPanel.hidden = false;
+  loginForm.hidden = Boolean(state.authenticated);
+  authSessionNode.hidden = !state.authenticated;
+  if (state.authenticated) {
+    authUserNode.textContent = formatAuthSummary(state);
+  }
+}
+
+function formatAuthSummary(state) {
+  const quota = state.quota;
+  if (!quota) {
+    return `Connesso come ${state.owner}`;
+  }
+  const limit = quota.limit > 0 ? `${quota.limit}` : "illimitati";
+  return `Connesso come ${state.owner} - token ${quota.month}: ${quota.used}/${limit}`;
+}
+
+async function onLogin() {
+  const username = loginUsernameInput.value.trim();
+  const password = loginPasswordInput.value;
+  if (!username || !password) {
+    setStatus("Inserisci utente e password.", true);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+    loginPasswordInput.value = "";
+    setStatus(`Accesso effettuato come ${username}.`, false);
+  } catch (error) {
+    setStatus(`Accesso non riuscito: ${formatBackendErrorForStatus(error)}`, true);
+  }
+  await refreshAuthState();
+}
+
+async function onLogout() {
+  try {
+    await fetch(`${API_BASE}/api/auth/logout`, { method: "POST", credentials: "same-origin" });
+    setStatus("Disconnesso.", false);
+  } catch (error) {
+    setStatus(`Logout non riuscito: ${formatBackendErrorForStatus(error)}`, true);
+  }
+  await refreshAuthState();
+}
+
 function restoreDraft() {
+  selectTarget(localStorage.getItem(TARGET_STORAGE_KEY));
+  structuredToggle.checked = localStorage.getItem(FORMAT_STORAGE_KEY) === "structured";
+  clarifyToggle.checked = localStorage.getItem(CLARIFY_MODE_STORAGE_KEY) === "1";
+  variantsSelect.value = localStorage.getItem(VARIANTS_STORAGE_KEY) || "1";
+  if (!variantsSelect.value) {
+    variantsSelect.value = "1";
+  }
   const draft = localStorage.getItem(INPUT_STORAGE_KEY);
   if (!draft) {
     return;
@@ -327,67 +1771,21 @@ function normalizePrompt(value) {
     .trim();
 }
 
-function buildClientFallbackPrompt(userPrompt) {
-  const concisePrompt = String(userPrompt || "").replace(/\s+/g, " ").trim();
-  const lower = concisePrompt.toLowerCase();
-
-  if (hasAnyKeyword(lower, ["marketing", "brand", "ads", "social", "seo", "vendit", "funnel", "lead"])) {
-    return [
-      "Ruolo: Sei un growth marketer senior orientato ai risultati.",
-      "Obiettivo: costruire un piano marketing pratico e misurabile.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Output richiesto:",
-      "1. Strategia sintetica (target, proposta di valore, canali prioritari).",
-      "2. Piano operativo 30/60/90 giorni con attivita settimanali.",
-      "3. KPI principali e soglie target.",
-      "4. Budget indicativo e priorita di investimento.",
-      "5. Rischi principali e contromisure."
-    ].join("\n");
-  }
-
-  if (hasAnyKeyword(lower, ["dieta", "alimentazione", "fitness", "allenamento", "calorie", "nutriz"])) {
-    return [
-      "Ruolo: Sei un coach alimentare educativo (non medico).",
-      "Obiettivo: proporre un piano dieta sostenibile e realistico.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Output richiesto:",
-      "1. Piano pratico per 4 settimane.",
-      "2. Esempio menu settimanale semplice.",
-      "3. Lista spesa base.",
-      "4. Indicatori di monitoraggio progressi.",
-      "5. Avvertenza: per condizioni cliniche, consultare professionista."
-    ].join("\n");
-  }
-
-  if (hasAnyKeyword(lower, ["bug", "codice", "javascript", "python", "api", "server", "deploy"])) {
-    return [
-      "Ruolo: Sei un software engineer senior pragmatico.",
-      "Obiettivo: risolvere il problema tecnico in modo implementabile.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Output richiesto:",
-      "1. Diagnosi rapida.",
-      "2. Piano step-by-step con comandi concreti.",
-      "3. Patch proposta.",
-      "4. Test di verifica."
-    ].join("\n");
-  }
-
-  return [
-    "Ruolo: Sei un assistente esperto e pragmatico.",
-    "Obiettivo: fornire una risposta chiara, utile e subito applicabile.",
-    `Richiesta utente: ${concisePrompt}`,
-    "Formato output:",
-    "1. Sintesi breve",
-    "2. Piano pratico a passi numerati",
-    "3. Checklist finale"
-  ].join("\n");
-}
-
-function hasAnyKeyword(text, keywords) {
-  if (!text || !Array.isArray(keywords) || keywords.length === 0) {
-    return false;
+function buildClientFallbackPrompt(userPrompt, target) {
+  return window.PromptTemplates.buildFallbackPrompt(templateLibrary, userPrompt, target);
+}
+
+// /api/templates is cached by the service worker, so the library is available
+// offline once the app has been opened online.
+async function loadTemplateLibrary() {
+  try {
+    const response = await fetch(`${API_BASE}/api/templates`);
+    if (response.ok) {
+      templateLibrary = await response.json();
+    }
+  } catch (error) {
+    console.warn("Libreria template non disponibile:", error);
   }
-  return keywords.some((keyword) => text.includes(keyword));
 }
 
 function setStatus(message, isError) {
@@ -397,7 +1795,7 @@ function setStatus(message, isError) {
 }
 
 function setBusy(isBusy) {
-  [generateBtn, copyBtn, clearBtn].forEach((control) => {
+  [generateBtn, copyBtn, clearBtn, clarifySubmitBtn, refineBtn].forEach((control) => {
     if (!control) {
       return;
     }
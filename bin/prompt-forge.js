@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+"use strict";
+
+const { randomUUID } = require("crypto");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_TIMEOUT_MS = 120000;
+// Scripts can tell a provider result from a template fallback or a refusal
+// without parsing the output.
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  localFallback: 3,
+  refusal: 4
+};
+const USAGE = `Uso: prompt-forge [opzioni] [prompt...]
+
+Il prompt si legge dagli argomenti, da --file o da stdin (anche con "-").
+
+  --target <id>        chat, coding-agent, image, agent-system (default chat)
+  --format <formato>   text o structured
+  --file <percorso>    legge il prompt da un file
+  --json               stampa la risposta completa in JSON, con il payload debug
+  --api-base <url>     server da chiamare, default PROMPT_FORGE_API_BASE
+  --api-key <key>      API key del server, default PROMPT_FORGE_API_KEY
+  --local              esegue la pipeline in questo processo anche se e
+                       impostato un server (usa le variabili di .env)
+  --timeout <ms>       attesa massima della risposta del server, default ${DEFAULT_TIMEOUT_MS}
+
+Codici di uscita: ${EXIT_CODES.ok} prompt dal provider, ${EXIT_CODES.localFallback} template locale di fallback,
+${EXIT_CODES.refusal} refusal del modello, ${EXIT_CODES.usage} richiesta non valida, ${EXIT_CODES.error} altri errori.`;
+
+main().then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(error.message);
+    process.exitCode = EXIT_CODES.error;
+  }
+);
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  const prompt = await readPrompt(positional, options);
+  if (!prompt.trim()) {
+    console.error(USAGE);
+    return EXIT_CODES.usage;
+  }
+
+  const apiBase = options.local ? "" : String(options["api-base"] || process.env.PROMPT_FORGE_API_BASE || "").trim();
+  const request = { prompt, target: options.target, format: options.format };
+  const { status, body } = apiBase
+    ? await improveViaServer(apiBase.replace(/\/+$/, ""), request, options)
+    : await improveInProcess(request);
+
+  if (options.json) {
+    console.log(JSON.stringify({ status, ...body }, null, 2));
+  } else if (status === 200) {
+    console.log(body.prompt);
+  } else {
+    console.error(body.error || `Errore ${status}`);
+  }
+
+  if (status === 200) {
+    if (body.usedLocalFallback) {
+      if (!options.json) {
+        console.error("Nota: il provider non ha prodotto testo, uso il template locale.");
+      }
+      return EXIT_CODES.localFallback;
+    }
+    return EXIT_CODES.ok;
+  }
+  if (status === 422) {
+    return EXIT_CODES.refusal;
+  }
+  return status === 400 ? EXIT_CODES.usage : EXIT_CODES.error;
+}
+
+async function readPrompt(positional, options) {
+  if (typeof options.file === "string") {
+    return fs.readFileSync(path.resolve(options.file), "utf8");
+  }
+  if (positional.length > 0 && !(positional.length === 1 && positional[0] === "-")) {
+    return positional.join(" ");
+  }
+  if (process.stdin.isTTY && positional[0] !== "-") {
+    return "";
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Same request the PWA sends to /api/improve; non-JSON answers (a proxy error
+// page, for example) become an error envelope.
+async function improveViaServer(apiBase, request, options) {
+  const apiKey = String(options["api-key"] || process.env.PROMPT_FORGE_API_KEY || "").trim();
+  const timeoutMs = Number(options.timeout) > 0 ? Number(options.timeout) : DEFAULT_TIMEOUT_MS;
+  let response = null;
+  try {
+    response = await fetch(`${apiBase}/api/improve`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { "X-API-Key": apiKey } : {})
+      },
+      body: JSON.stringify(request),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const reason = error?.name === "TimeoutError" ? `nessuna risposta entro ${timeoutMs} ms` : error.message;
+    throw new Error(`Server ${apiBase} non raggiungibile: ${reason}`);
+  }
+
+  const text = await response.text();
+  try {
+    return { status: response.status, body: JSON.parse(text) };
+  } catch (_error) {
+    return {
+      status: response.status,
+      body: { error: `Risposta non JSON dal server (HTTP ${response.status}).` }
+    };
+  }
+}
+
+// Loaded lazily so talking to a server does not need a provider configuration.
+async function improveInProcess(request) {
+  const { createImprovementPipeline } = require("../lib/pipeline");
+  const { createProviderHopsFromEnv } = require("../lib/providers/config");
+  const { loadTemplateLibrary } = require("../lib/templates");
+
+  const pipeline = createImprovementPipeline({
+    hops: createProviderHopsFromEnv(process.env, ROOT_DIR),
+    templateLibrary: loadTemplateLibrary(
+      path.resolve(ROOT_DIR, String(process.env.TEMPLATES_DIR || "templates").trim())
+    ),
+    settings: {
+      maxPromptLength: Number(process.env.MAX_PROMPT_LENGTH || 6000),
+      maxVariants: 1,
+      logEmptyOutputTrace: false
+    }
+  });
+  return pipeline.runImprovement(request.prompt, {
+    requestId: randomUUID(),
+    owner: null,
+    target: request.target,
+    format: request.format
+  });
+}
+
+// --name value, or --name alone for flags (value true).
+function parseArgs(argv) {
+  const flags = ["json", "local", "help"];
+  const positional = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (flags.includes(name) || argv[index + 1] === undefined) {
+      options[name] = true;
+    } else {
+      options[name] = argv[index + 1];
+      index += 1;
+    }
+  }
+  return { positional, options };
+}
@@ -0,0 +1,107 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const API_KEY_PREFIX = "pf";
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 32;
+
+// Stored as "scrypt$N$r$p$salt$hash" so the cost can be raised later without
+// invalidating existing passwords.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, N, r, p, salt, hash] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Keys look like "pf_<id>_<secret>": the id is stored in clear to find the
+// record, only the sha256 of the whole key is persisted.
+function generateApiKey() {
+  const id = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${API_KEY_PREFIX}_${id}_${secret}`;
+  return { id, key, hash: hashApiKey(key) };
+}
+
+function parseApiKeyId(key) {
+  const match = /^pf_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(key || ""));
+  return match ? match[1] : "";
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function matchesApiKeyHash(key, storedHash) {
+  const actual = Buffer.from(hashApiKey(key), "hex");
+  const expected = Buffer.from(String(storedHash || ""), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Session tokens are "<payload>.<hmac>" with payload { u, exp, v }: v is derived
+// from the password hash, so changing the password logs out every session.
+function createSessionToken({ username, passwordHash }, secret, ttlMs) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      u: username,
+      exp: Date.now() + ttlMs,
+      v: deriveSessionVersion(passwordHash)
+    })
+  ).toString("base64url");
+  return `${payload}.${signSessionPayload(payload, secret)}`;
+}
+
+function readSessionToken(token, secret) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(signSessionPayload(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  try {
+    const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (typeof session?.u !== "string" || !(session.exp > Date.now())) {
+      return null;
+    }
+    return { username: session.u, version: String(session.v || "") };
+  } catch (_error) {
+    return null;
+  }
+}
+
+function deriveSessionVersion(passwordHash) {
+  return crypto.createHash("sha256").update(String(passwordHash || "")).digest("hex").slice(0, 12);
+}
+
+function signSessionPayload(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateApiKey,
+  parseApiKeyId,
+  matchesApiKeyHash,
+  createSessionToken,
+  readSessionToken,
+  deriveSessionVersion
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+const { createAuthStore } = require("./store");
+const {
+  hashPassword,
+  verifyPassword,
+  parseApiKeyId,
+  matchesApiKeyHash,
+  createSessionToken,
+  readSessionToken,
+  deriveSessionVersion
+} = require("./credentials");
+
+const SESSION_COOKIE = "pf_session";
+// Compared against when the username does not exist, so a login attempt costs
+// the same scrypt round either way.
+const MISSING_USER_HASH = hashPassword("prompt-forge-missing-user");
+
+// A principal is whoever a request is attributed to:
+// { type: "api_key" | "session", id, owner, keyId?, monthlyTokenQuota }.
+// id ("key:<id>" or "user:<name>") is also the key of the usage counters.
+function createAuth({ filePath, sessionSecret, sessionTtlMs }) {
+  const store = createAuthStore(filePath, { lenient: true });
+
+  return {
+    store,
+    authenticate,
+    login,
+    buildSessionCookie,
+    buildLogoutCookie,
+    getQuotaStatus,
+    recordUsage
+  };
+
+  function authenticate(req) {
+    const apiKey = readRequestApiKey(req);
+    if (apiKey) {
+      const keyId = parseApiKeyId(apiKey);
+      const record = keyId ? store.findKey(keyId) : null;
+      if (!record || record.revokedAt || !matchesApiKeyHash(apiKey, record.hash)) {
+        return {
+          principal: null,
+          error: { status: 401, code: "invalid_api_key", message: "API key non valida o revocata." }
+        };
+      }
+      return {
+        principal: {
+          type: "api_key",
+          id: `key:${record.id}`,
+          keyId: record.id,
+          owner: record.owner,
+          monthlyTokenQuota: Number(record.monthlyTokenQuota) || 0
+        },
+        error: null
+      };
+    }
+
+    const session = readSessionToken(readCookie(req, SESSION_COOKIE), sessionSecret);
+    const user = session ? store.findUser(session.username) : null;
+    if (!user || deriveSessionVersion(user.passwordHash) !== session.version) {
+      return { principal: null, error: null };
+    }
+    return {
+      principal: {
+        type: "session",
+        id: `user:${user.username}`,
+        owner: user.username,
+        monthlyTokenQuota: Number(user.monthlyTokenQuota) || 0
+      },
+      error: null
+    };
+  }
+
+  function login(username, password) {
+    const user = store.findUser(String(username || "").trim());
+    const valid = verifyPassword(String(password || ""), user?.passwordHash || MISSING_USER_HASH);
+    return valid && user ? user : null;
+  }
+
+  function buildSessionCookie(user, { secure }) {
+    const token = createSessionToken(user, sessionSecret, sessionTtlMs);
+    return serializeCookie(token, Math.floor(sessionTtlMs / 1000), secure);
+  }
+
+  function buildLogoutCookie({ secure }) {
+    return serializeCookie("", 0, secure);
+  }
+
+  // monthlyTokenQuota 0 means unlimited. Months are calendar months in UTC.
+  function getQuotaStatus(principal) {
+    const now = new Date();
+    const month = formatUsageMonth(now);
+    const used = store.getUsage(principal.id, month);
+    const limit = principal.monthlyTokenQuota;
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return {
+      month,
+      used,
+      limit,
+      exceeded: limit > 0 && used >= limit,
+      resetsAt: resetsAt.toISOString()
+    };
+  }
+
+  function recordUsage(principal, tokens) {
+    if (!(tokens > 0)) {
+      return store.getUsage(principal.id, formatUsageMonth(new Date()));
+    }
+    return store.addUsage(principal.id, formatUsageMonth(new Date()), tokens);
+  }
+}
+
+function readRequestApiKey(req) {
+  const headerKey = String(req.get("X-API-Key") || "").trim();
+  if (headerKey) {
+    return headerKey;
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.get("Authorization") || ""));
+  return match ? match[1].trim() : "";
+}
+
+function readCookie(req, name) {
+  const header = String(req.get("Cookie") || "");
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return "";
+}
+
+function serializeCookie(value, maxAgeSeconds, secure) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/",
+    `Max-Age=${maxAgeSeconds}`,
+    "HttpOnly",
+    "SameSite=Lax"
+  ];
+  if (secure) {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+}
+
+function formatUsageMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+module.exports = {
+  createAuth,
+  readRequestApiKey
+};
@@ -0,0 +1,284 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const USAGE_PERSIST_DEBOUNCE_MS = 1000;
+
+// JSON file shared by the server and scripts/manage-auth.js. Every access
+// re-reads the file when its mtime changed, and every change is written right
+// away, so edits from the management script are picked up without a restart.
+// The server opens it with lenient: an unreadable or corrupt file is logged and
+// the last good copy stays in use, and changes are kept in memory (not written
+// over the broken file) until it can be read again. The management script
+// keeps the errors, so it never rewrites a file it could not load.
+// The usage counters change on every request and only the server writes them,
+// so they live in a file of their own (see createUsageCounters) and the server
+// never rewrites the users and keys edited by the management script.
+function createAuthStore(filePath, { lenient = false } = {}) {
+  let data = emptyData();
+  let loadedMtimeMs = -1;
+  let readFailed = false;
+  const usage = createUsageCounters(buildUsageFilePath(filePath), () => {
+    refresh();
+    return data.usage;
+  });
+
+  return {
+    filePath,
+    usageFilePath: usage.filePath,
+    hasUsers,
+    findUser,
+    listUsers,
+    addUser,
+    updateUser,
+    removeUser,
+    findKey,
+    listKeys,
+    addKey,
+    updateKey,
+    getUsage,
+    addUsage
+  };
+
+  function hasUsers() {
+    refresh();
+    return data.users.length > 0;
+  }
+
+  function findUser(username) {
+    refresh();
+    return data.users.find((user) => user.username === username) || null;
+  }
+
+  function listUsers() {
+    refresh();
+    return data.users.slice();
+  }
+
+  function addUser(user) {
+    refresh();
+    if (data.users.some((entry) => entry.username === user.username)) {
+      throw new Error(`Utente ${user.username} gia esistente.`);
+    }
+    data.users.push({ ...user, createdAt: new Date().toISOString() });
+    persist();
+  }
+
+  function updateUser(username, changes) {
+    refresh();
+    const user = data.users.find((entry) => entry.username === username);
+    if (!user) {
+      throw new Error(`Utente ${username} non trovato.`);
+    }
+    Object.assign(user, changes);
+    persist();
+    return user;
+  }
+
+  function removeUser(username) {
+    refresh();
+    const before = data.users.length;
+    data.users = data.users.filter((user) => user.username !== username);
+    if (data.users.length === before) {
+      throw new Error(`Utente ${username} non trovato.`);
+    }
+    persist();
+  }
+
+  function findKey(id) {
+    refresh();
+    return data.keys.find((key) => key.id === id) || null;
+  }
+
+  function listKeys() {
+    refresh();
+    return data.keys.slice();
+  }
+
+  function addKey(key) {
+    refresh();
+    data.keys.push({ ...key, createdAt: new Date().toISOString(), revokedAt: null });
+    persist();
+  }
+
+  function updateKey(id, changes) {
+    refresh();
+    const key = data.keys.find((entry) => entry.id === id);
+    if (!key) {
+      throw new Error(`API key ${id} non trovata.`);
+    }
+    Object.assign(key, changes);
+    persist();
+    return key;
+  }
+
+  function getUsage(principalId, month) {
+    return usage.get(principalId, month);
+  }
+
+  function addUsage(principalId, month, tokens) {
+    return usage.add(principalId, month, tokens);
+  }
+
+  function refresh() {
+    try {
+      load();
+      readFailed = false;
+    } catch (error) {
+      if (!lenient) {
+        throw error;
+      }
+      if (!readFailed) {
+        console.warn(`Auth: impossibile leggere ${filePath}: ${error.message}`);
+      }
+      readFailed = true;
+    }
+  }
+
+  function load() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
+      data = emptyData();
+      loadedMtimeMs = -1;
+      return;
+    }
+    if (mtimeMs === loadedMtimeMs) {
+      return;
+    }
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    data = {
+      users: Array.isArray(parsed?.users) ? parsed.users : [],
+      keys: Array.isArray(parsed?.keys) ? parsed.keys : [],
+      usage: parsed?.usage && typeof parsed.usage === "object" ? parsed.usage : {}
+    };
+    loadedMtimeMs = mtimeMs;
+  }
+
+  function persist() {
+    if (readFailed) {
+      return;
+    }
+    try {
+      write();
+    } catch (error) {
+      if (!lenient) {
+        throw error;
+      }
+      console.warn(`Auth: impossibile scrivere ${filePath}: ${error.message}`);
+    }
+  }
+
+  function write() {
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+    loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+  }
+}
+
+// "<name>-usage.json" next to the auth file, e.g. .data/auth-usage.json.
+function buildUsageFilePath(filePath) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}-usage${extension || ".json"}`;
+}
+
+// { principalId: { "YYYY-MM": tokens } }. The server keeps the counters in
+// memory and writes them at most every USAGE_PERSIST_DEBOUNCE_MS, so the last
+// second of usage is lost if the process dies in between. Readers such as the
+// management script reload the file when its mtime changes. Until the file
+// exists the counters start from the usage field older versions kept in the
+// auth file. Errors are logged, never thrown: counters are not worth a failed
+// request.
+function createUsageCounters(filePath, readLegacyUsage) {
+  let counters = null;
+  let loadedMtimeMs = -1;
+  let persistTimer = null;
+
+  return {
+    filePath,
+    get,
+    add
+  };
+
+  function get(principalId, month) {
+    refresh();
+    return Number(counters[principalId]?.[month]) || 0;
+  }
+
+  function add(principalId, month, tokens) {
+    refresh();
+    const months = counters[principalId] || {};
+    months[month] = (Number(months[month]) || 0) + tokens;
+    counters[principalId] = months;
+    schedulePersist();
+    return months[month];
+  }
+
+  // Pending changes in memory win over the file.
+  function refresh() {
+    if (persistTimer) {
+      return;
+    }
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        console.warn(`Auth: impossibile leggere ${filePath}: ${error.message}`);
+      }
+      if (!counters) {
+        counters = JSON.parse(JSON.stringify(readLegacyUsage() || {}));
+      }
+      return;
+    }
+    if (mtimeMs === loadedMtimeMs) {
+      return;
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      counters = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      console.warn(`Auth: impossibile leggere ${filePath}: ${error.message}`);
+      counters = counters || {};
+    }
+    loadedMtimeMs = mtimeMs;
+  }
+
+  function schedulePersist() {
+    if (persistTimer) {
+      return;
+    }
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persist();
+    }, USAGE_PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  function persist() {
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, `${JSON.stringify(counters, null, 2)}\n`, { mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+      loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      console.warn(`Auth: impossibile scrivere ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+function emptyData() {
+  return { users: [], keys: [], usage: {} };
+}
+
+module.exports = {
+  createAuthStore
+};
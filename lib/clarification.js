@@ -0,0 +1,104 @@
+"use strict";
+
+const MAX_QUESTIONS = 3;
+const MAX_ANSWER_LENGTH = 1000;
+
+const QUESTIONS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["questions"],
+  properties: {
+    questions: { type: "array", items: { type: "string" } }
+  }
+};
+
+// Asked when no provider could produce questions, so the flow never stalls.
+const FALLBACK_QUESTIONS = [
+  "Chi usera il risultato e con quale livello di competenza?",
+  "Che formato e che lunghezza deve avere l'output?",
+  "Ci sono vincoli da rispettare (tempi, budget, strumenti, tono)?"
+];
+
+function buildClarifyInstructions(profile) {
+  return `
+Sei un Prompt Engineer senior.
+Prima di migliorare il prompt dell'utente, individua le informazioni mancanti che cambierebbero davvero il risultato.
+Il prompt finale sara usato da: ${profile.label}.
+Formula al massimo ${MAX_QUESTIONS} domande brevi, concrete e indipendenti, nella lingua dell'utente.
+Se il prompt e gia completo restituisci un elenco vuoto.
+Formato di risposta: un solo oggetto JSON {"questions": ["..."]}, senza testo prima o dopo.
+`.trim();
+}
+
+// Returns { questions } or { error }. Accepts a fenced block or a bare array,
+// drops duplicates and keeps at most MAX_QUESTIONS.
+function parseClarifyingQuestions(text) {
+  const raw = String(text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  let data = null;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return { error: `JSON non valido: ${error.message}` };
+  }
+
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list) || !list.every((item) => typeof item === "string")) {
+    return { error: "il campo questions deve essere un array di stringhe" };
+  }
+
+  const questions = [];
+  list.forEach((item) => {
+    const question = item.replace(/\s+/g, " ").trim();
+    if (question && !questions.includes(question) && questions.length < MAX_QUESTIONS) {
+      questions.push(question);
+    }
+  });
+  return { questions };
+}
+
+// answers may be { q1: "..." } or [{ id, answer }]; unanswered questions are
+// left out. Returns { clarifications } or { error }.
+function collectClarifications(questions, answers) {
+  const byId = new Map();
+  if (Array.isArray(answers)) {
+    answers.forEach((item) => byId.set(String(item?.id || ""), item?.answer));
+  } else if (answers && typeof answers === "object") {
+    Object.keys(answers).forEach((id) => byId.set(id, answers[id]));
+  } else {
+    return { error: "Il campo answers e obbligatorio." };
+  }
+
+  const clarifications = [];
+  for (const question of questions) {
+    const value = byId.get(question.id);
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return { error: `La risposta ${question.id} deve essere una stringa.` };
+    }
+    const answer = String(value || "").trim();
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return { error: `Risposta ${question.id} troppo lunga: massimo ${MAX_ANSWER_LENGTH} caratteri.` };
+    }
+    if (answer) {
+      clarifications.push({ question: question.text, answer });
+    }
+  }
+  return { clarifications };
+}
+
+function appendClarifications(prompt, clarifications) {
+  if (!Array.isArray(clarifications) || clarifications.length === 0) {
+    return prompt;
+  }
+  const lines = clarifications.map(({ question, answer }) => `- ${question}\n  Risposta: ${answer}`);
+  return [prompt, "", "Chiarimenti forniti dall'utente:", ...lines].join("\n");
+}
+
+module.exports = {
+  MAX_QUESTIONS,
+  QUESTIONS_SCHEMA,
+  FALLBACK_QUESTIONS,
+  buildClarifyInstructions,
+  parseClarifyingQuestions,
+  collectClarifications,
+  appendClarifications
+};
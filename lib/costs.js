@@ -0,0 +1,290 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Guardrail modes in order: every mode keeps the restrictions of the previous
+// ones (see selectBudgetHops in lib/pipeline.js).
+const BUDGET_MODES = ["full", "no_web_search", "cheaper_model", "local_only"];
+const DEFAULT_BUDGET_THRESHOLDS = [0.8, 0.9, 1];
+const TOKENS_PER_PRICE_UNIT = 1000000;
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// PRICE_TABLE: an inline JSON object or the path of a JSON file holding one.
+//   { "models": { "<model or prefix>": { "input", "output", "reasoning" } },
+//     "tools": { "web_search": <USD per call> } }
+// Model prices are USD per million tokens. Reasoning tokens are part of the
+// output tokens, so "reasoning" is only needed when they cost differently.
+function loadPriceTable(value, baseDir) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return { models: {}, tools: {} };
+  }
+  const text = raw.startsWith("{")
+    ? raw
+    : fs.readFileSync(path.resolve(baseDir || process.cwd(), raw), "utf8");
+  const parsed = JSON.parse(text);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("PRICE_TABLE deve essere un oggetto JSON con models e tools.");
+  }
+  const models = parsed.models && typeof parsed.models === "object" ? parsed.models : {};
+  Object.keys(models).forEach((model) => {
+    const price = models[model];
+    if (!price || !["input", "output"].every((field) => Number.isFinite(Number(price[field])))) {
+      throw new Error(`PRICE_TABLE: il modello "${model}" richiede i prezzi input e output.`);
+    }
+  });
+  return {
+    models,
+    tools: parsed.tools && typeof parsed.tools === "object" ? parsed.tools : {}
+  };
+}
+
+// "0.8,0.9,1": the share of the daily budget at which each downgrade starts.
+function parseBudgetThresholds(value) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return DEFAULT_BUDGET_THRESHOLDS;
+  }
+  const thresholds = raw.split(",").map((part) => Number(part.trim()));
+  const valid = thresholds.length === BUDGET_MODES.length - 1 &&
+    thresholds.every((threshold, index) => threshold > 0 && (index === 0 || threshold >= thresholds[index - 1]));
+  if (!valid) {
+    throw new Error("BUDGET_DOWNGRADE_THRESHOLDS deve contenere tre frazioni crescenti, es. 0.8,0.9,1.");
+  }
+  return thresholds;
+}
+
+// Exact model name first, then the longest matching prefix (dated snapshots
+// such as gpt-5-2025-08-07 use the gpt-5 price), then "*".
+function findModelPrice(priceTable, model) {
+  const { models } = priceTable;
+  if (models[model]) {
+    return models[model];
+  }
+  const prefix = Object.keys(models)
+    .filter((key) => key !== "*" && String(model || "").startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : models["*"] || null;
+}
+
+// Cost of one pipeline run, read from its debug payload: every step carries
+// its usage and output types, and the provider_hop entries tell which model
+// each hop ran. Cache hits replay a stored trace and cost nothing.
+function computeDebugCost(priceTable, debug) {
+  const cost = {
+    usd: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    reasoningTokens: 0,
+    webSearchCalls: 0,
+    byModel: {},
+    unpricedModels: []
+  };
+  if (!debug || debug.cache?.hit) {
+    return cost;
+  }
+
+  const trace = Array.isArray(debug.trace) ? debug.trace : [];
+  const hopModels = new Map();
+  trace
+    .filter((entry) => entry.step === "provider_hop")
+    .forEach((entry) => hopModels.set(entry.provider, entry.model));
+
+  const webSearchPrice = Number(priceTable.tools.web_search) || 0;
+  trace.forEach((entry) => {
+    if (entry.step === "provider_hop") {
+      return;
+    }
+    const model = hopModels.get(entry.provider) || debug.model || "";
+    const input = toTokenCount(entry.usage_input_tokens);
+    const output = toTokenCount(entry.usage_output_tokens);
+    const reasoning = Math.min(toTokenCount(entry.usage_reasoning_tokens), output);
+    const webSearchCalls = (Array.isArray(entry.output_types) ? entry.output_types : []).filter((type) =>
+      String(type || "").toLowerCase().includes("web_search")
+    ).length;
+    if (input + output === 0 && webSearchCalls === 0) {
+      return;
+    }
+
+    const price = findModelPrice(priceTable, model);
+    if (!price && input + output > 0 && !cost.unpricedModels.includes(model)) {
+      cost.unpricedModels.push(model);
+    }
+    let usd = webSearchCalls * webSearchPrice;
+    if (price) {
+      const outputPrice = Number(price.output);
+      const reasoningPrice = price.reasoning === undefined ? outputPrice : Number(price.reasoning);
+      usd += (input * Number(price.input) +
+        (output - reasoning) * outputPrice +
+        reasoning * reasoningPrice) / TOKENS_PER_PRICE_UNIT;
+    }
+
+    cost.usd += usd;
+    cost.inputTokens += input;
+    cost.outputTokens += output;
+    cost.reasoningTokens += reasoning;
+    cost.webSearchCalls += webSearchCalls;
+    cost.byModel[model] = (cost.byModel[model] || 0) + usd;
+  });
+  return cost;
+}
+
+function sumCosts(costs) {
+  return costs.reduce(
+    (total, cost) => {
+      total.usd += cost.usd;
+      total.inputTokens += cost.inputTokens;
+      total.outputTokens += cost.outputTokens;
+      total.reasoningTokens += cost.reasoningTokens;
+      total.webSearchCalls += cost.webSearchCalls;
+      Object.keys(cost.byModel).forEach((model) => {
+        total.byModel[model] = (total.byModel[model] || 0) + cost.byModel[model];
+      });
+      cost.unpricedModels
+        .filter((model) => !total.unpricedModels.includes(model))
+        .forEach((model) => total.unpricedModels.push(model));
+      return total;
+    },
+    computeDebugCost({ models: {}, tools: {} }, null)
+  );
+}
+
+// Daily spend per UTC day, in total, per principal and per model. The totals
+// live in memory and are written to one small JSON file at most every
+// PERSIST_DEBOUNCE_MS like the result cache, so charges never wait on the disk
+// (the last seconds of spend are lost if the process dies in between). Days
+// older than retentionDays are dropped when the file is written.
+// dailyBudgetUsd 0 turns the guardrail off.
+function createCostLedger({ filePath, priceTable, dailyBudgetUsd, thresholds, retentionDays }) {
+  let data = loadData();
+  let lastMode = getBudgetStatus().mode;
+  let persistTimer = null;
+
+  return {
+    computeCost,
+    record,
+    getBudgetStatus,
+    listDays
+  };
+
+  function computeCost(debugs) {
+    return sumCosts(debugs.map((debug) => computeDebugCost(priceTable, debug)));
+  }
+
+  function record(principalId, cost) {
+    const day = formatUsageDay(new Date());
+    const entry = data.days[day] || { usd: 0, requests: 0, byPrincipal: {}, byModel: {} };
+    const principal = entry.byPrincipal[principalId] || { usd: 0, requests: 0 };
+    entry.usd += cost.usd;
+    entry.requests += 1;
+    principal.usd += cost.usd;
+    principal.requests += 1;
+    entry.byPrincipal[principalId] = principal;
+    Object.keys(cost.byModel).forEach((model) => {
+      entry.byModel[model] = (entry.byModel[model] || 0) + cost.byModel[model];
+    });
+    data.days[day] = entry;
+    schedulePersist();
+
+    const status = getBudgetStatus();
+    if (status.mode !== lastMode) {
+      console.warn(
+        `[costi] Budget giornaliero: ${formatUsd(status.spentUsd)}/${formatUsd(status.budgetUsd)} USD, modalita ${status.mode}`
+      );
+      lastMode = status.mode;
+    }
+    return entry.usd;
+  }
+
+  function getBudgetStatus() {
+    const now = new Date();
+    const day = formatUsageDay(now);
+    const spentUsd = Number(data.days[day]?.usd) || 0;
+    let level = 0;
+    if (dailyBudgetUsd > 0) {
+      thresholds.forEach((threshold, index) => {
+        if (spentUsd >= dailyBudgetUsd * threshold) {
+          level = index + 1;
+        }
+      });
+    }
+    return {
+      day,
+      spentUsd,
+      budgetUsd: dailyBudgetUsd,
+      mode: BUDGET_MODES[level],
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString()
+    };
+  }
+
+  // Newest first.
+  function listDays(count) {
+    return Object.keys(data.days)
+      .sort()
+      .reverse()
+      .slice(0, count)
+      .map((day) => ({ day, ...data.days[day] }));
+  }
+
+  function loadData() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return { days: parsed?.days && typeof parsed.days === "object" ? parsed.days : {} };
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        console.warn(`Costi: impossibile leggere ${filePath}: ${error.message}`);
+      }
+      return { days: {} };
+    }
+  }
+
+  function schedulePersist() {
+    if (persistTimer) {
+      return;
+    }
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persist();
+    }, PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  function persist() {
+    const oldestKept = formatUsageDay(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+    Object.keys(data.days)
+      .filter((day) => day < oldestKept)
+      .forEach((day) => {
+        delete data.days[day];
+      });
+
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Costi: impossibile scrivere ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+function toTokenCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+function formatUsageDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatUsd(value) {
+  return Number(value || 0).toFixed(4);
+}
+
+module.exports = {
+  BUDGET_MODES,
+  loadPriceTable,
+  parseBudgetThresholds,
+  createCostLedger
+};
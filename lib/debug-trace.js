@@ -0,0 +1,250 @@
+"use strict";
+
+const { toFiniteNumber } = require("./providers/response-parsing");
+
+const DEBUG_TRACE_VERSION = "2026-02-15";
+
+function buildResponseDebugInfo(provider, response) {
+  const described = provider.describe(response);
+  const outputText = provider.extractText(response);
+  const refusalText = provider.extractRefusal(response);
+  const usage = provider.extractUsage(response);
+  const outputTypes = Array.isArray(described.outputTypes) ? described.outputTypes : [];
+
+  const hasWebSearchCall = outputTypes.some((type) =>
+    String(type || "").toLowerCase().includes("web_search")
+  );
+
+  return {
+    response_id: described.id || "",
+    status: described.status || "",
+    incomplete_reason: described.incompleteReason || "",
+    output_count: outputTypes.length,
+    output_types: outputTypes,
+    has_web_search_call: hasWebSearchCall,
+    has_output_text: Boolean(described.hasOutputText || outputText.length > 0),
+    has_refusal: Boolean(described.hasRefusal || refusalText.length > 0),
+    output_text_length: outputText.length,
+    refusal_length: refusalText.length,
+    usage_input_tokens: usage.input_tokens,
+    usage_output_tokens: usage.output_tokens,
+    usage_total_tokens: usage.total_tokens,
+    usage_reasoning_tokens: usage.reasoning_tokens
+  };
+}
+
+function pushDebugTrace(trace, step, provider, response, elapsedMs, extra) {
+  if (!Array.isArray(trace)) {
+    return;
+  }
+
+  const base = buildResponseDebugInfo(provider, response);
+  const entry = {
+    step,
+    elapsed_ms: toFiniteNumber(elapsedMs),
+    ...base
+  };
+
+  if (extra && typeof extra === "object") {
+    Object.keys(extra).forEach((key) => {
+      const value = extra[key];
+      if (value === undefined) {
+        return;
+      }
+      entry[key] = value;
+    });
+  }
+
+  trace.push(entry);
+}
+
+function buildResponseDebugPayload({
+  requestId,
+  owner,
+  target,
+  hop,
+  hops,
+  trace,
+  finalDebug,
+  recoveredFromEmptyOutput,
+  usedNoWebRecovery,
+  usedLocalFallback,
+  usedProviderFailover,
+  totalElapsedMs,
+  errorDebug
+}) {
+  const safeTrace = Array.isArray(trace) ? trace.slice() : [];
+  const diagnosis = buildEmptyOutputDiagnosis(safeTrace);
+  const firstAttempt = findFirstAttempt(safeTrace);
+  const payload = {
+    debug_version: DEBUG_TRACE_VERSION,
+    request_id: requestId,
+    owner: owner || null,
+    target: target || null,
+    recovered_from_empty_output: Boolean(recoveredFromEmptyOutput),
+    used_no_web_recovery: Boolean(usedNoWebRecovery),
+    used_local_fallback: Boolean(usedLocalFallback),
+    used_provider_failover: Boolean(usedProviderFailover),
+    total_elapsed_ms: toFiniteNumber(totalElapsedMs),
+    diagnosis,
+    first_attempt: firstAttempt,
+    final_attempt: finalDebug && typeof finalDebug === "object" ? finalDebug : null,
+    trace: safeTrace
+  };
+
+  if (hop) {
+    payload.provider = hop.name;
+    payload.provider_type = hop.provider.type;
+    payload.model = hop.provider.model;
+    payload.ran_locally = Boolean(hop.provider.capabilities?.local);
+    if (typeof hop.provider.debugInfo === "function") {
+      payload.provider_details = hop.provider.debugInfo();
+    }
+  }
+  if (Array.isArray(hops) && hops.length > 1) {
+    payload.provider_chain = hops.map((entry) => entry.name);
+  }
+
+  if (errorDebug && typeof errorDebug === "object") {
+    payload.error = errorDebug;
+    if (typeof errorDebug.timeout_label === "string") {
+      payload.timeout_label = errorDebug.timeout_label;
+    }
+    if (Number.isFinite(Number(errorDebug.timeout_ms))) {
+      payload.timeout_ms = Number(errorDebug.timeout_ms);
+    }
+    if (Number.isFinite(Number(errorDebug.attempts))) {
+      payload.attempts = Number(errorDebug.attempts);
+    }
+    if (Number.isFinite(Number(errorDebug.upstream_status))) {
+      payload.upstream_status = Number(errorDebug.upstream_status);
+    }
+    if (typeof errorDebug.upstream_error === "string") {
+      payload.upstream_error = errorDebug.upstream_error;
+    }
+  }
+
+  return payload;
+}
+
+function findFirstAttempt(trace) {
+  if (!Array.isArray(trace)) {
+    return null;
+  }
+  return trace.find((entry) => entry && entry.step !== "provider_hop") || null;
+}
+
+function buildEmptyOutputDiagnosis(trace) {
+  const firstAttempt = findFirstAttempt(trace);
+  if (!firstAttempt) {
+    return {
+      root_cause: "missing_first_attempt_trace",
+      summary: "Nessuna traccia del primo tentativo disponibile."
+    };
+  }
+
+  if (firstAttempt.has_output_text) {
+    return {
+      root_cause: "no_empty_output_first_attempt",
+      summary: "Il primo tentativo ha gia prodotto testo utile."
+    };
+  }
+
+  if (firstAttempt.has_refusal) {
+    return {
+      root_cause: "first_attempt_refusal",
+      summary: "Il primo tentativo contiene una refusal e non testo utilizzabile."
+    };
+  }
+
+  if (firstAttempt.incomplete_reason === "max_output_tokens") {
+    return {
+      root_cause: "max_output_tokens_reached",
+      summary: "Il primo tentativo e stato interrotto per limite token."
+    };
+  }
+
+  if (typeof firstAttempt.status === "string" && firstAttempt.status && firstAttempt.status !== "completed") {
+    return {
+      root_cause: "first_attempt_not_completed",
+      summary: `Il primo tentativo e terminato con status=${firstAttempt.status}.`
+    };
+  }
+
+  if (firstAttempt.has_web_search_call && !firstAttempt.has_output_text) {
+    return {
+      root_cause: "web_search_without_final_text",
+      summary: "Il primo tentativo ha eseguito web_search ma non ha emesso output_text finale."
+    };
+  }
+
+  if (Number(firstAttempt.output_count) === 0) {
+    return {
+      root_cause: "first_attempt_no_output_items",
+      summary: "Il primo tentativo non contiene elementi in output."
+    };
+  }
+
+  return {
+    root_cause: "first_attempt_non_text_output",
+    summary: "Il primo tentativo contiene output non testuale."
+  };
+}
+
+function shouldLogEmptyOutputDebug(debugPayload) {
+  if (!debugPayload || typeof debugPayload !== "object") {
+    return false;
+  }
+
+  if (
+    debugPayload.used_local_fallback ||
+    debugPayload.recovered_from_empty_output ||
+    debugPayload.used_provider_failover
+  ) {
+    return true;
+  }
+
+  const rootCause = debugPayload?.diagnosis?.root_cause || "";
+  return rootCause !== "no_empty_output_first_attempt";
+}
+
+function logEmptyOutputDebug(debugPayload) {
+  try {
+    const event = {
+      request_id: debugPayload?.request_id || "",
+      owner: debugPayload?.owner || null,
+      root_cause: debugPayload?.diagnosis?.root_cause || "unknown",
+      summary: debugPayload?.diagnosis?.summary || "",
+      total_elapsed_ms: debugPayload?.total_elapsed_ms,
+      first_attempt: debugPayload?.first_attempt || null,
+      final_attempt: debugPayload?.final_attempt || null,
+      trace: Array.isArray(debugPayload?.trace) ? debugPayload.trace : [],
+      error: debugPayload?.error || null
+    };
+    console.warn(`[debug-empty-output] ${JSON.stringify(event)}`);
+  } catch (_error) {
+    console.warn("[debug-empty-output] Impossibile serializzare il payload di debug.");
+  }
+}
+
+function redactSensitiveText(value) {
+  const text = String(value || "");
+  if (!text) {
+    return "";
+  }
+
+  return text
+    .replace(/sk-[A-Za-z0-9_-]{12,}/g, "sk-***REDACTED***")
+    .replace(/(api[_\s-]*key[^:\n]*:\s*)([^\s,;]+)/gi, "$1***REDACTED***");
+}
+
+module.exports = {
+  DEBUG_TRACE_VERSION,
+  buildResponseDebugInfo,
+  pushDebugTrace,
+  buildResponseDebugPayload,
+  buildEmptyOutputDiagnosis,
+  shouldLogEmptyOutputDebug,
+  logEmptyOutputDebug,
+  redactSensitiveText
+};
@@ -0,0 +1,13 @@
+"use strict";
+
+function toPositiveInt(value, fallbackValue) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallbackValue;
+  }
+  return Math.floor(parsed);
+}
+
+module.exports = {
+  toPositiveInt
+};
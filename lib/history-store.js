@@ -0,0 +1,86 @@
+"use strict";
+
+const { toPositiveInt } = require("./env");
+const { createJsonlLog } = require("./jsonl-log");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Kept in an append-only JSON Lines log (see lib/jsonl-log.js); the whole
+// history is also kept in memory, newest last.
+function createHistoryStore({ filePath, maxEntries }) {
+  const log = createJsonlLog({ filePath, label: "Storico" });
+  let entries = log.readEntries().slice(-maxEntries);
+  log.compactIfNeeded(entries);
+
+  return {
+    add,
+    get,
+    remove,
+    list
+  };
+
+  function add(entry) {
+    entries.push(entry);
+    log.append(entry);
+    if (entries.length > maxEntries) {
+      entries = entries.slice(entries.length - maxEntries);
+    }
+    log.compactIfNeeded(entries);
+    return entry;
+  }
+
+  function get(id) {
+    return entries.find((entry) => entry.id === id) || null;
+  }
+
+  function remove(id) {
+    const before = entries.length;
+    entries = entries.filter((entry) => entry.id !== id);
+    if (entries.length === before) {
+      return false;
+    }
+    log.append({ deleted: id });
+    log.compactIfNeeded(entries);
+    return true;
+  }
+
+  // q matches entries containing every term (case-insensitive) in the raw or
+  // final prompt. Results are newest first.
+  function list({ q, owner, page, pageSize } = {}) {
+    const terms = String(q || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    const size = Math.min(MAX_PAGE_SIZE, toPositiveInt(pageSize, DEFAULT_PAGE_SIZE));
+    const pageNumber = toPositiveInt(page, 1);
+
+    const matches = [];
+    for (let index = entries.length - 1; index >= 0; index -= 1) {
+      const entry = entries[index];
+      if (owner !== undefined && entry.owner !== owner) {
+        continue;
+      }
+      if (terms.length > 0) {
+        const haystack = `${entry.rawPrompt}\n${entry.prompt || ""}`.toLowerCase();
+        if (!terms.every((term) => haystack.includes(term))) {
+          continue;
+        }
+      }
+      matches.push(entry);
+    }
+
+    const start = (pageNumber - 1) * size;
+    return {
+      items: matches.slice(start, start + size),
+      total: matches.length,
+      page: pageNumber,
+      pageSize: size,
+      hasMore: start + size < matches.length
+    };
+  }
+}
+
+module.exports = {
+  createHistoryStore
+};
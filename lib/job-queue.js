@@ -0,0 +1,98 @@
+"use strict";
+
+const { randomUUID } = require("crypto");
+
+// In-memory FIFO queue for batch jobs. The items of every job share the same
+// `concurrency` workers, so one large batch cannot flood the providers, and
+// jobs finished more than ttlMs ago are dropped. Jobs do not survive a restart.
+function createJobQueue({ concurrency, ttlMs, maxJobs }) {
+  const jobs = new Map();
+  const pending = [];
+  let active = 0;
+
+  return {
+    concurrency,
+    get pending() {
+      return pending.length;
+    },
+    enqueue,
+    get
+  };
+
+  // run(item, job) is called once per item and resolves to { status, body }.
+  // Items get their own requestId unless the caller already set one.
+  function enqueue({ owner, inputs, run }) {
+    prune(Date.now());
+    const job = {
+      id: randomUUID(),
+      owner,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      run,
+      items: inputs.map((input, index) => ({
+        index,
+        requestId: input.requestId || randomUUID(),
+        input,
+        status: "queued",
+        httpStatus: null,
+        result: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+    };
+    jobs.set(job.id, job);
+    job.items.forEach((item) => pending.push({ job, item }));
+    drain();
+    return job;
+  }
+
+  function get(id) {
+    prune(Date.now());
+    return jobs.get(id) || null;
+  }
+
+  function drain() {
+    while (active < concurrency && pending.length > 0) {
+      const { job, item } = pending.shift();
+      active += 1;
+      runItem(job, item).finally(() => {
+        active -= 1;
+        drain();
+      });
+    }
+  }
+
+  async function runItem(job, item) {
+    item.status = "running";
+    item.startedAt = new Date().toISOString();
+    let result = null;
+    try {
+      result = await job.run(item, job);
+    } catch (error) {
+      console.error(`[batch] Job ${job.id}, item ${item.index}: ${error.message}`);
+      result = { status: 500, body: { error: "Errore interno durante l'elaborazione.", requestId: item.requestId } };
+    }
+    item.httpStatus = result.status;
+    item.result = result.body;
+    item.status = result.status === 200 ? "completed" : "failed";
+    item.finishedAt = new Date().toISOString();
+    if (job.items.every((entry) => entry.finishedAt)) {
+      job.finishedAt = item.finishedAt;
+    }
+  }
+
+  // Unfinished jobs are never dropped, even past maxJobs.
+  function prune(now) {
+    [...jobs.values()]
+      .filter((job) => job.finishedAt)
+      .forEach((job) => {
+        if (jobs.size > maxJobs || Date.parse(job.finishedAt) + ttlMs <= now) {
+          jobs.delete(job.id);
+        }
+      });
+  }
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,82 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Append-only JSON Lines file behind the history and the debug trace stores:
+// one line per saved entry (keyed by id, the last line wins) and
+// `{ "deleted": id }` lines for removals. The stores keep the live entries in
+// memory and hand them back to compactIfNeeded, which rewrites the file once
+// it holds twice as many lines as live entries. I/O errors are logged with
+// label and never thrown, so a full disk does not fail the request.
+function createJsonlLog({ filePath, label }) {
+  let fileLines = 0;
+
+  return {
+    readEntries,
+    append,
+    compactIfNeeded
+  };
+
+  // Live entries in file order.
+  function readEntries() {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        console.warn(`${label}: impossibile leggere ${filePath}: ${error.message}`);
+      }
+      return [];
+    }
+
+    const byId = new Map();
+    fileLines = 0;
+    raw.split("\n").forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      fileLines += 1;
+      try {
+        const record = JSON.parse(line);
+        if (typeof record?.deleted === "string") {
+          byId.delete(record.deleted);
+        } else if (typeof record?.id === "string") {
+          byId.set(record.id, record);
+        }
+      } catch (_error) {
+        // A partially written last line is skipped; the next compaction drops it.
+      }
+    });
+    return Array.from(byId.values());
+  }
+
+  function append(record) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+      fileLines += 1;
+    } catch (error) {
+      console.warn(`${label}: impossibile scrivere ${filePath}: ${error.message}`);
+    }
+  }
+
+  function compactIfNeeded(entries) {
+    if (fileLines <= Math.max(entries.length * 2, 100)) {
+      return;
+    }
+    const tempPath = `${filePath}.tmp`;
+    try {
+      const body = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+      fs.writeFileSync(tempPath, body);
+      fs.renameSync(tempPath, filePath);
+      fileLines = entries.length;
+    } catch (error) {
+      console.warn(`${label}: compattazione di ${filePath} fallita: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  createJsonlLog
+};
@@ -0,0 +1,222 @@
+"use strict";
+
+const DURATION_BUCKETS_SECONDS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+// Minimal Prometheus registry (counters and histograms, text format 0.0.4):
+// enough for /metrics without pulling in a client library.
+function createMetricsRegistry() {
+  const metrics = [];
+
+  return {
+    counter,
+    histogram,
+    render
+  };
+
+  function counter(name, help, labelNames = []) {
+    const metric = { name, help, type: "counter", labelNames, series: new Map() };
+    metrics.push(metric);
+    return {
+      inc(labels = {}, value = 1) {
+        const series = getSeries(metric, labels, () => ({ value: 0 }));
+        series.value += value;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS_SECONDS) {
+    const metric = { name, help, type: "histogram", labelNames, buckets, series: new Map() };
+    metrics.push(metric);
+    return {
+      observe(labels, value) {
+        const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            series.counts[index] += 1;
+          }
+        });
+        series.sum += value;
+        series.count += 1;
+      }
+    };
+  }
+
+  function getSeries(metric, labels, create) {
+    const values = metric.labelNames.map((labelName) => String(labels?.[labelName] ?? ""));
+    const key = JSON.stringify(values);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { values, ...create() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  function render() {
+    const lines = [];
+    metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach((series) => {
+        const pairs = metric.labelNames.map((labelName, index) => `${labelName}="${escapeLabelValue(series.values[index])}"`);
+        if (metric.type === "counter") {
+          lines.push(`${metric.name}${formatLabels(pairs)} ${series.value}`);
+          return;
+        }
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels([...pairs, `le="${bound}"`])} ${series.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels([...pairs, 'le="+Inf"'])} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(pairs)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(pairs)} ${series.count}`);
+      });
+    });
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+// Pipeline health read from the results the routes already produce: the debug
+// payload carries the diagnosis, every step with its timing and usage, and the
+// provider_hop entries with upstream statuses.
+function createPipelineMetrics() {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter(
+    "prompt_forge_requests_total",
+    "Richieste per route ed esito (model, recovered, no_web_recovery, local_fallback, refusal, error, invalid, cached, rejected).",
+    ["route", "outcome"]
+  );
+  const rejections = registry.counter(
+    "prompt_forge_rejected_requests_total",
+    "Richieste respinte prima della pipeline (401 e 429) per route e codice.",
+    ["route", "code"]
+  );
+  const requestDuration = registry.histogram(
+    "prompt_forge_request_duration_seconds",
+    "Durata totale delle richieste in secondi.",
+    ["route"]
+  );
+  const rootCauses = registry.counter(
+    "prompt_forge_root_cause_total",
+    "Richieste per diagnosis.root_cause del primo tentativo.",
+    ["root_cause"]
+  );
+  const steps = registry.counter(
+    "prompt_forge_recovery_steps_total",
+    "Step eseguiti per provider e risultato (output, refusal, empty).",
+    ["provider", "step", "result"]
+  );
+  const stepDuration = registry.histogram(
+    "prompt_forge_step_duration_seconds",
+    "Durata di ogni step in secondi.",
+    ["provider", "step"]
+  );
+  const providerHops = registry.counter(
+    "prompt_forge_provider_hops_total",
+    "Hop della catena provider per esito (output, refusal, empty_output, timeout, upstream_error, not_configured).",
+    ["provider", "outcome"]
+  );
+  const upstreamStatuses = registry.counter(
+    "prompt_forge_upstream_status_total",
+    "Errori HTTP restituiti dai provider per status code.",
+    ["provider", "status"]
+  );
+  const tokens = registry.counter(
+    "prompt_forge_tokens_total",
+    "Token riportati dai provider per tipo (input, output, reasoning).",
+    ["provider", "type"]
+  );
+
+  return {
+    observe,
+    observeRejected,
+    render: registry.render
+  };
+
+  // One call per HTTP request. runs are the debug payloads of the pipeline runs
+  // it paid for (one per candidate with variants, none on a cache hit), which
+  // feed the step, hop and token counters.
+  function observe(route, result, elapsedMs, runs) {
+    const outcome = describeOutcome(result);
+    requests.inc({ route, outcome });
+    if (Number.isFinite(elapsedMs)) {
+      requestDuration.observe({ route }, elapsedMs / 1000);
+    }
+    const rootCause = result.body?.debug?.diagnosis?.root_cause;
+    if (outcome !== "cached" && rootCause) {
+      rootCauses.inc({ root_cause: rootCause });
+    }
+    runs.forEach((debug) => {
+      (Array.isArray(debug.trace) ? debug.trace : []).forEach((entry) => observeTraceEntry(entry, debug.provider));
+    });
+  }
+
+  // Requests turned away by authentication, rate limits, quota or budget never
+  // reach the pipeline: they only count as outcome="rejected", with their code.
+  function observeRejected(route, code) {
+    requests.inc({ route, outcome: "rejected" });
+    rejections.inc({ route, code });
+  }
+
+  function observeTraceEntry(entry, fallbackProvider) {
+    const provider = entry.provider || fallbackProvider || "";
+    if (entry.step === "provider_hop") {
+      providerHops.inc({ provider, outcome: entry.outcome });
+      if (entry.upstream_status) {
+        upstreamStatuses.inc({ provider, status: entry.upstream_status });
+      }
+      return;
+    }
+
+    let stepResult = "empty";
+    if (entry.has_output_text) {
+      stepResult = "output";
+    } else if (entry.has_refusal) {
+      stepResult = "refusal";
+    }
+    steps.inc({ provider, step: entry.step, result: stepResult });
+    if (Number.isFinite(entry.elapsed_ms)) {
+      stepDuration.observe({ provider, step: entry.step }, entry.elapsed_ms / 1000);
+    }
+    [
+      ["input", entry.usage_input_tokens],
+      ["output", entry.usage_output_tokens],
+      ["reasoning", entry.usage_reasoning_tokens]
+    ].forEach(([type, value]) => {
+      if (Number(value) > 0) {
+        tokens.inc({ provider, type }, Number(value));
+      }
+    });
+  }
+}
+
+function describeOutcome({ status, body, cacheStatus }) {
+  if (cacheStatus === "HIT") {
+    return "cached";
+  }
+  if (status === 200) {
+    if (body.usedLocalFallback) {
+      return "local_fallback";
+    }
+    if (body.usedNoWebRecovery) {
+      return "no_web_recovery";
+    }
+    return body.recoveredFromEmptyOutput ? "recovered" : "model";
+  }
+  if (status === 422) {
+    return "refusal";
+  }
+  return status === 400 ? "invalid" : "error";
+}
+
+function formatLabels(pairs) {
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+module.exports = {
+  createMetricsRegistry,
+  createPipelineMetrics
+};
@@ -0,0 +1,1227 @@
+"use strict";
+
+const {
+  buildResponseDebugInfo,
+  pushDebugTrace,
+  buildResponseDebugPayload,
+  shouldLogEmptyOutputDebug,
+  logEmptyOutputDebug,
+  redactSensitiveText
+} = require("./debug-trace");
+const { selectTemplate, renderTemplate } = require("../template-renderer");
+const { analyzePrompt } = require("../prompt-analyzer");
+const { resolveTargetProfile, listTargetIds } = require("./target-profiles");
+const {
+  OUTPUT_FORMATS,
+  resolveOutputFormat,
+  withStructuredOutput,
+  parseStructuredOutput,
+  sectionsFromPlainText,
+  renderStructuredPrompt
+} = require("./structured-output");
+const {
+  QUESTIONS_SCHEMA,
+  FALLBACK_QUESTIONS,
+  buildClarifyInstructions,
+  parseClarifyingQuestions,
+  appendClarifications
+} = require("./clarification");
+const {
+  DEFAULT_RECOVERY_STEPS,
+  buildStepInstruction,
+  buildImprovementInput,
+  describeOutputForm
+} = require("./recovery-steps");
+const { BUDGET_MODES } = require("./costs");
+const {
+  sleep,
+  createTimeoutError,
+  isTimeoutError,
+  withAbortableTimeout
+} = require("./timing");
+
+const MAX_FEEDBACK_LENGTH = 2000;
+
+// Added to the instructions of every candidate after the first one, so that
+// parallel variants differ in more than sampling noise.
+const VARIANT_STYLE_HINTS = [
+  "Variante richiesta: stile conciso ed essenziale, con elenchi puntati brevi.",
+  "Variante richiesta: stile dettagliato, esplicita contesto, passaggi e criteri di qualita.",
+  "Variante richiesta: stile naturale e discorsivo, in prosa scorrevole.",
+  "Variante richiesta: includi esempi concreti e casi limite da gestire.",
+  "Variante richiesta: vincoli e formato di output molto rigorosi e verificabili."
+];
+
+// Each hop is { name, provider, settings } where settings carries the per-provider
+// timeouts, polling and token budget. Hops are tried in order until one of them
+// produces text or a refusal; only then a template from templateLibrary is used.
+function createImprovementPipeline({ hops, settings, templateLibrary }) {
+  return {
+    runImprovement,
+    runVariants,
+    runClarification,
+    runRefinement
+  };
+
+  // clarifications ([{ question, answer }]) are appended to the prompt;
+  // previousResponse ({ provider, responseId }) chains the first call on the
+  // conversation that produced them when the same hop supports it. styleHint is
+  // appended to the profile instructions (see runVariants). budgetMode is one of
+  // BUDGET_MODES (lib/costs.js); local_only goes straight to the template.
+  async function runImprovement(rawPrompt, options = {}) {
+    return markBudgetMode(await improveThroughHops(rawPrompt, options), options.budgetMode);
+  }
+
+  async function improveThroughHops(
+    rawPrompt,
+    { requestId, hooks, owner, target, format, clarifications, previousResponse, styleHint, budgetMode } = {}
+  ) {
+    const requestStartedAt = Date.now();
+    const trace = [];
+
+    const validation = validateRequest(rawPrompt, target, requestId);
+    if (validation.error) {
+      return validation.error;
+    }
+    const { profile } = validation;
+    const prompt = appendClarifications(validation.prompt, clarifications);
+
+    const outputFormat = resolveOutputFormat(format);
+    if (!outputFormat) {
+      return {
+        status: 400,
+        body: {
+          error: `Formato non supportato: ${String(format)}. Valori ammessi: ${OUTPUT_FORMATS.join(", ")}.`,
+          requestId
+        }
+      };
+    }
+    if (outputFormat === "structured" && !profile.structuredOutput) {
+      return {
+        status: 400,
+        body: {
+          error: `Il formato structured non e disponibile per il target ${profile.id}.`,
+          requestId
+        }
+      };
+    }
+
+    // Partial JSON is useless to the client, so structured requests do not stream.
+    const structured = outputFormat === "structured";
+    const styledProfile = styleHint
+      ? { ...profile, instructions: `${profile.instructions}\n\n${styleHint}` }
+      : profile;
+    const requestProfile = structured ? withStructuredOutput(styledProfile) : styledProfile;
+    const requestHooks = structured ? { ...hooks, onDelta: undefined } : hooks;
+
+    if (budgetMode === "local_only") {
+      return buildFailureResult({
+        requestId,
+        owner,
+        profile,
+        outputFormat,
+        requestStartedAt,
+        trace,
+        prompt,
+        hop: hops[0],
+        attempt: null,
+        failures: [{ hop: hops[0], kind: "budget_exhausted", errorDebug: null }],
+        hooks
+      });
+    }
+
+    const activeHops = selectBudgetHops(budgetMode);
+    const failures = [];
+    let firstConfigurationError = "";
+    let lastHop = null;
+    let lastAttempt = null;
+
+    for (let index = 0; index < activeHops.length; index += 1) {
+      const hop = activeHops[index];
+      const readyFailure = await prepareHop(hop, index, trace);
+      if (readyFailure) {
+        lastHop = hop;
+        lastAttempt = null;
+        failures.push(readyFailure);
+        continue;
+      }
+
+      const configurationError = hop.provider.getConfigurationError();
+      if (configurationError) {
+        firstConfigurationError = firstConfigurationError || configurationError;
+        pushProviderHopTrace(trace, hop, index, 0, { outcome: "not_configured" });
+        continue;
+      }
+
+      if (lastHop) {
+        notifyProgress(hooks, "provider_failover", { provider: hop.name });
+      }
+      lastHop = hop;
+
+      const hopStartedAt = Date.now();
+      const previousResponseId = resolvePreviousResponseId(hop, previousResponse);
+      try {
+        const attempt = await runProviderLadder(hop, prompt, requestProfile, requestHooks, trace, previousResponseId);
+        lastAttempt = attempt;
+        if (attempt.output && structured) {
+          Object.assign(attempt, await resolveStructuredOutput(hop, attempt.output, requestProfile, requestHooks, trace));
+        }
+        if (attempt.output) {
+          pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "output" });
+          return buildOutputResult({
+            requestId,
+            owner,
+            profile,
+            outputFormat,
+            requestStartedAt,
+            trace,
+            prompt,
+            hop,
+            attempt,
+            failures
+          });
+        }
+        if (attempt.refusal) {
+          pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "refusal" });
+          return buildRefusalResult({ requestId, owner, profile, requestStartedAt, trace, hop, attempt });
+        }
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "empty_output" });
+        failures.push({ hop, kind: "empty_output", errorDebug: null });
+      } catch (error) {
+        lastAttempt = null;
+        const failure = describeHopFailure(hop, error);
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, {
+          outcome: failure.kind,
+          ...failure.errorDebug
+        });
+        failures.push(failure);
+      }
+    }
+
+    if (!lastHop) {
+      return {
+        status: 500,
+        body: {
+          error: firstConfigurationError || "Nessun provider configurato sul server.",
+          requestId
+        }
+      };
+    }
+
+    return buildFailureResult({
+      requestId,
+      owner,
+      profile,
+      outputFormat,
+      requestStartedAt,
+      trace,
+      prompt,
+      hop: lastHop,
+      attempt: lastAttempt,
+      failures,
+      hooks
+    });
+  }
+
+  // Runs count independent improvements in parallel. Each candidate goes through
+  // the whole hop chain and recovery ladder on its own, so one failing candidate
+  // does not sink the others. The first successful candidate is the main result;
+  // candidates with the same text (typically the local template) are dropped.
+  async function runVariants(rawPrompt, { requestId, owner, target, format, count, budgetMode } = {}) {
+    const variants = Number(count);
+    if (!Number.isInteger(variants) || variants < 1 || variants > settings.maxVariants) {
+      return {
+        status: 400,
+        body: {
+          error: `Il campo variants deve essere un intero tra 1 e ${settings.maxVariants}.`,
+          requestId
+        }
+      };
+    }
+
+    // Every candidate runs under its own child id; the aggregated response keeps
+    // requestId, and its debug names the candidate it was taken from.
+    const results = await Promise.all(
+      Array.from({ length: variants }, (_item, index) =>
+        runImprovement(rawPrompt, {
+          requestId: `${requestId}-${index + 1}`,
+          owner,
+          target,
+          format,
+          styleHint: index === 0 ? "" : VARIANT_STYLE_HINTS[(index - 1) % VARIANT_STYLE_HINTS.length],
+          budgetMode
+        })
+      )
+    );
+
+    const candidates = [];
+    const failedCandidates = [];
+    results.forEach((result) => {
+      const duplicate = result.status === 200 &&
+        candidates.some((candidate) => candidate.body.prompt === result.body.prompt);
+      if (result.status === 200 && !duplicate) {
+        candidates.push(result);
+        return;
+      }
+      failedCandidates.push({
+        requestId: result.body.requestId,
+        status: result.status,
+        error: duplicate ? "Candidato identico a uno precedente." : result.body.error,
+        debug: result.body.debug
+      });
+    });
+
+    // Without a successful candidate the first one answers, error included.
+    const main = candidates[0] || results[0];
+    return {
+      status: main.status,
+      continuation: candidates.length > 0 ? main.continuation : undefined,
+      candidates,
+      body: {
+        ...main.body,
+        requestId,
+        variants,
+        candidates: candidates.map((candidate) => candidate.body),
+        failedCandidates,
+        ...(main.body.debug
+          ? {
+              debug: {
+                ...main.body.debug,
+                request_id: requestId,
+                candidate_request_id: main.body.requestId,
+                variant_request_ids: results.map((result) => result.body.requestId)
+              }
+            }
+          : {})
+      }
+    };
+  }
+
+  // Phase one of the clarifying-questions flow: asks the first hop that answers
+  // for up to three questions. The returned continuation lets the second phase
+  // reuse the same conversation.
+  // The server never runs it in local_only mode: there is no template for questions.
+  async function runClarification(rawPrompt, options = {}) {
+    return markBudgetMode(await clarifyThroughHops(rawPrompt, options), options.budgetMode);
+  }
+
+  async function clarifyThroughHops(rawPrompt, { requestId, owner, target, budgetMode } = {}) {
+    const requestStartedAt = Date.now();
+    const trace = [];
+
+    const validation = validateRequest(rawPrompt, target, requestId);
+    if (validation.error) {
+      return validation.error;
+    }
+    const { prompt, profile } = validation;
+
+    let firstConfigurationError = "";
+    let lastHop = null;
+    let lastErrorDebug = null;
+    const activeHops = selectBudgetHops(budgetMode);
+    for (let index = 0; index < activeHops.length; index += 1) {
+      const hop = activeHops[index];
+      const readyFailure = await prepareHop(hop, index, trace);
+      if (readyFailure) {
+        lastHop = hop;
+        lastErrorDebug = readyFailure.errorDebug;
+        continue;
+      }
+
+      const configurationError = hop.provider.getConfigurationError();
+      if (configurationError) {
+        firstConfigurationError = firstConfigurationError || configurationError;
+        pushProviderHopTrace(trace, hop, index, 0, { outcome: "not_configured" });
+        continue;
+      }
+      lastHop = hop;
+
+      const hopStartedAt = Date.now();
+      try {
+        const response = await requestWithTimeoutRetry(
+          hop,
+          {
+            instructions: buildClarifyInstructions(profile),
+            input: prompt,
+            webSearch: false,
+            maxOutputTokens: getAdaptiveMaxOutputTokens(hop, profile, "initial"),
+            responseFormat: { name: "clarifying_questions", schema: QUESTIONS_SCHEMA }
+          },
+          formatCallLabel(hop, false, "clarify"),
+          null
+        );
+        const parsed = parseClarifyingQuestions(hop.provider.extractText(response));
+        pushDebugTrace(trace, "clarify_questions", hop.provider, response, Date.now() - hopStartedAt, {
+          provider: hop.name,
+          ...(parsed.error ? { parse_error: parsed.error } : {})
+        });
+        if (parsed.questions) {
+          pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "output" });
+          const finalDebug = buildResponseDebugInfo(hop.provider, response);
+          return {
+            status: 200,
+            body: {
+              questions: parsed.questions,
+              target: profile.id,
+              usedModel: hop.provider.model,
+              usedProvider: hop.name,
+              usedLocalFallback: false,
+              requestId,
+              debug: buildResponseDebugPayload({
+                requestId,
+                owner,
+                target: profile.id,
+                hop,
+                hops,
+                trace,
+                finalDebug,
+                totalElapsedMs: Date.now() - requestStartedAt
+              })
+            },
+            continuation: { provider: hop.name, responseId: finalDebug.response_id }
+          };
+        }
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "invalid_output" });
+      } catch (error) {
+        const failure = describeHopFailure(hop, error);
+        lastErrorDebug = failure.errorDebug;
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, {
+          outcome: failure.kind,
+          ...failure.errorDebug
+        });
+      }
+    }
+
+    if (!lastHop) {
+      return {
+        status: 500,
+        body: {
+          error: firstConfigurationError || "Nessun provider configurato sul server.",
+          requestId
+        }
+      };
+    }
+
+    const debugPayload = buildResponseDebugPayload({
+      requestId,
+      owner,
+      target: profile.id,
+      hop: lastHop,
+      hops,
+      trace,
+      usedLocalFallback: true,
+      totalElapsedMs: Date.now() - requestStartedAt,
+      errorDebug: lastErrorDebug
+    });
+    reportEmptyOutputDebug(debugPayload);
+    return {
+      status: 200,
+      body: {
+        questions: FALLBACK_QUESTIONS.slice(),
+        target: profile.id,
+        usedModel: lastHop.provider.model,
+        usedProvider: "local_fallback",
+        usedLocalFallback: true,
+        requestId,
+        debug: debugPayload
+      },
+      continuation: null
+    };
+  }
+
+  // Returns { prompt, profile } or { error } with the 400 result to send back.
+  function validateRequest(rawPrompt, target, requestId) {
+    const prompt = normalizePrompt(rawPrompt);
+    if (!prompt) {
+      return {
+        error: {
+          status: 400,
+          body: { error: "Il campo prompt e obbligatorio.", requestId }
+        }
+      };
+    }
+
+    if (prompt.length > settings.maxPromptLength) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            error: `Prompt troppo lungo: massimo ${settings.maxPromptLength} caratteri.`,
+            requestId
+          }
+        }
+      };
+    }
+
+    const profile = resolveTargetProfile(target);
+    if (!profile) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            error: `Target non supportato: ${String(target)}. Valori ammessi: ${listTargetIds().join(", ")}.`,
+            requestId
+          }
+        }
+      };
+    }
+
+    return { prompt, profile };
+  }
+
+  // Applies free-text feedback to a previous result. conversation is what the
+  // server kept from that result: { prompt, target, format, output,
+  // continuation { provider, responseId, messages } }. The hop that produced it
+  // continues from previous_response_id when it can, every other hop gets the
+  // message history instead.
+  async function runRefinement(rawFeedback, options = {}) {
+    return markBudgetMode(await refineThroughHops(rawFeedback, options), options.budgetMode);
+  }
+
+  async function refineThroughHops(rawFeedback, { requestId, hooks, owner, conversation, budgetMode } = {}) {
+    const requestStartedAt = Date.now();
+    const trace = [];
+
+    const feedback = normalizePrompt(rawFeedback);
+    if (!feedback) {
+      return {
+        status: 400,
+        body: { error: "Il campo feedback e obbligatorio.", requestId }
+      };
+    }
+    if (feedback.length > MAX_FEEDBACK_LENGTH) {
+      return {
+        status: 400,
+        body: { error: `Feedback troppo lungo: massimo ${MAX_FEEDBACK_LENGTH} caratteri.`, requestId }
+      };
+    }
+
+    const profile = resolveTargetProfile(conversation.target);
+    const outputFormat = resolveOutputFormat(conversation.format) || "text";
+    const structured = outputFormat === "structured";
+    const requestProfile = structured ? withStructuredOutput(profile) : profile;
+    const requestHooks = structured ? { ...hooks, onDelta: undefined } : hooks;
+    const input = buildRefinementInput(feedback, requestProfile);
+    const history = Array.isArray(conversation.continuation?.messages)
+      ? conversation.continuation.messages
+      : buildImprovementMessages(conversation.prompt, conversation.output);
+
+    const failures = [];
+    let firstConfigurationError = "";
+    let lastHop = null;
+    const activeHops = selectBudgetHops(budgetMode);
+    for (let index = 0; index < activeHops.length; index += 1) {
+      const hop = activeHops[index];
+      const readyFailure = await prepareHop(hop, index, trace);
+      if (readyFailure) {
+        lastHop = hop;
+        failures.push(readyFailure);
+        continue;
+      }
+
+      const configurationError = hop.provider.getConfigurationError();
+      if (configurationError) {
+        firstConfigurationError = firstConfigurationError || configurationError;
+        pushProviderHopTrace(trace, hop, index, 0, { outcome: "not_configured" });
+        continue;
+      }
+      if (lastHop) {
+        notifyProgress(hooks, "provider_failover", { provider: hop.name });
+      }
+      lastHop = hop;
+
+      const previousResponseId = resolvePreviousResponseId(hop, conversation.continuation);
+      notifyProgress(hooks, "refine");
+      const hopStartedAt = Date.now();
+      try {
+        const response = await requestWithTimeoutRetry(
+          hop,
+          {
+            previousResponseId: previousResponseId || undefined,
+            messages: previousResponseId ? undefined : history,
+            instructions: requestProfile.instructions,
+            input,
+            webSearch: false,
+            maxOutputTokens: getAdaptiveMaxOutputTokens(hop, requestProfile, "retry"),
+            responseFormat: requestProfile.responseFormat
+          },
+          formatCallLabel(hop, false, "refine"),
+          requestHooks
+        );
+        pushDebugTrace(trace, "refine", hop.provider, response, Date.now() - hopStartedAt, {
+          provider: hop.name,
+          chained_on: previousResponseId ? "previous_response_id" : "messages",
+          ...(previousResponseId ? { previous_response_id: previousResponseId } : {})
+        });
+
+        const attempt = {
+          output: hop.provider.extractText(response),
+          refusal: hop.provider.extractRefusal(response),
+          finalDebug: buildResponseDebugInfo(hop.provider, response),
+          recoveredFromEmptyOutput: false,
+          usedNoWebRecovery: false
+        };
+        if (attempt.output && structured) {
+          Object.assign(attempt, await resolveStructuredOutput(hop, attempt.output, requestProfile, requestHooks, trace));
+        }
+        if (attempt.output) {
+          pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "output" });
+          const result = buildOutputResult({
+            requestId,
+            owner,
+            profile,
+            outputFormat,
+            requestStartedAt,
+            trace,
+            prompt: conversation.prompt,
+            hop,
+            attempt,
+            failures
+          });
+          result.continuation.messages = [
+            ...history,
+            { role: "user", content: input },
+            { role: "assistant", content: result.body.prompt }
+          ];
+          return result;
+        }
+        if (attempt.refusal) {
+          pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "refusal" });
+          return buildRefusalResult({ requestId, owner, profile, requestStartedAt, trace, hop, attempt });
+        }
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, { outcome: "empty_output" });
+        failures.push({ hop, kind: "empty_output", errorDebug: null });
+      } catch (error) {
+        const failure = describeHopFailure(hop, error);
+        pushProviderHopTrace(trace, hop, index, Date.now() - hopStartedAt, {
+          outcome: failure.kind,
+          ...failure.errorDebug
+        });
+        failures.push(failure);
+      }
+    }
+
+    if (!lastHop) {
+      return {
+        status: 500,
+        body: {
+          error: firstConfigurationError || "Nessun provider configurato sul server.",
+          requestId
+        }
+      };
+    }
+
+    // A template cannot apply feedback, so there is no local fallback here.
+    const debugPayload = buildResponseDebugPayload({
+      requestId,
+      owner,
+      target: profile.id,
+      hop: lastHop,
+      hops,
+      trace,
+      usedProviderFailover: failures.length > 1,
+      totalElapsedMs: Date.now() - requestStartedAt,
+      errorDebug: failures.filter((failure) => failure.errorDebug).pop()?.errorDebug
+    });
+    reportEmptyOutputDebug(debugPayload);
+    return {
+      status: 502,
+      body: {
+        error: "Nessun provider ha prodotto la revisione: riprova o modifica il feedback.",
+        requestId,
+        debug: debugPayload
+      }
+    };
+  }
+
+  // Daily budget guardrail: no_web_search turns web search off on every step,
+  // cheaper_model also swaps in the hop's budgetProvider when it has one.
+  function selectBudgetHops(budgetMode) {
+    const level = BUDGET_MODES.indexOf(budgetMode);
+    if (level <= 0) {
+      return hops;
+    }
+    return hops.map((hop) => {
+      const provider = level >= 2 && hop.budgetProvider ? hop.budgetProvider : hop.provider;
+      // Object.create keeps getters such as the discovered model of the local provider.
+      return {
+        ...hop,
+        provider: Object.assign(Object.create(provider), {
+          capabilities: { ...provider.capabilities, webSearch: false }
+        }),
+        recovery: (hop.recovery || DEFAULT_RECOVERY_STEPS).map((step) => ({ ...step, webSearch: false }))
+      };
+    });
+  }
+
+  // Runs the hop's recovery steps (see lib/recovery-steps.js) until one of them
+  // produces text. A refusal is kept from the first step that returned one.
+  async function runProviderLadder(hop, prompt, profile, hooks, trace, previousResponseId) {
+    const { provider } = hop;
+    let lastResponse = null;
+    let finalDebug = null;
+    let output = "";
+    let refusal = "";
+    let recoveredFromEmptyOutput = false;
+    let usedNoWebRecovery = false;
+
+    for (const step of hop.recovery || DEFAULT_RECOVERY_STEPS) {
+      if (output) {
+        break;
+      }
+      if (refusal && !step.retryOnRefusal) {
+        continue;
+      }
+      const lastResponseId = lastResponse ? provider.describe(lastResponse).id : "";
+      if (step.kind === "finalize" && !(provider.capabilities.finalize && lastResponseId)) {
+        continue;
+      }
+
+      const triggerReason = lastResponse ? provider.describe(lastResponse).incompleteReason : "";
+      const chainedOn = lastResponse ? "" : previousResponseId;
+      notifyProgress(hooks, step.id);
+      const stepStartedAt = Date.now();
+      const response = await requestRecoveryStep(hop, step, {
+        prompt,
+        profile,
+        hooks,
+        previousResponseId: step.kind === "finalize" ? lastResponseId : chainedOn,
+        tokenLimited: triggerReason === "max_output_tokens"
+      });
+      pushDebugTrace(trace, step.id, provider, response, Date.now() - stepStartedAt, {
+        provider: hop.name,
+        ...(lastResponse ? { trigger_reason: triggerReason || "empty_output" } : {}),
+        ...(chainedOn ? { previous_response_id: chainedOn } : {})
+      });
+
+      const recovering = Boolean(lastResponse);
+      lastResponse = response;
+      finalDebug = buildResponseDebugInfo(provider, response);
+      output = provider.extractText(response);
+      refusal = refusal || provider.extractRefusal(response);
+      if (output && recovering) {
+        recoveredFromEmptyOutput = true;
+        usedNoWebRecovery = !step.webSearch;
+      }
+    }
+
+    return {
+      output,
+      refusal,
+      finalDebug,
+      recoveredFromEmptyOutput,
+      usedNoWebRecovery
+    };
+  }
+
+  // Tries to turn a structured answer into sections: validation first, then one
+  // repair request to the same hop, then the plain-text heuristic so the client
+  // always gets every section.
+  async function resolveStructuredOutput(hop, output, profile, hooks, trace) {
+    const parsed = parseStructuredOutput(output);
+    if (parsed.sections) {
+      return { sections: parsed.sections, structuredRecovery: "none" };
+    }
+
+    notifyProgress(hooks, "repair_structured_output");
+    const repairStartedAt = Date.now();
+    try {
+      const repairResponse = await requestStructuredRepair(hop, output, parsed.error, profile, hooks);
+      const repaired = parseStructuredOutput(hop.provider.extractText(repairResponse));
+      pushDebugTrace(
+        trace,
+        "repair_structured_output",
+        hop.provider,
+        repairResponse,
+        Date.now() - repairStartedAt,
+        {
+          provider: hop.name,
+          trigger_reason: parsed.error,
+          ...(repaired.error ? { repair_error: repaired.error } : {})
+        }
+      );
+      if (repaired.sections) {
+        return { sections: repaired.sections, structuredRecovery: "repair" };
+      }
+    } catch (error) {
+      trace.push({
+        step: "repair_structured_output",
+        provider: hop.name,
+        elapsed_ms: Date.now() - repairStartedAt,
+        trigger_reason: parsed.error,
+        repair_error: redactSensitiveText(error?.message || "errore sconosciuto")
+      });
+    }
+
+    return { sections: sectionsFromPlainText(output), structuredRecovery: "heuristic" };
+  }
+
+  function buildOutputResult({
+    requestId,
+    owner,
+    profile,
+    outputFormat,
+    requestStartedAt,
+    trace,
+    prompt,
+    hop,
+    attempt,
+    failures
+  }) {
+    const debugPayload = buildResponseDebugPayload({
+      requestId,
+      owner,
+      target: profile.id,
+      hop,
+      hops,
+      trace,
+      finalDebug: attempt.finalDebug,
+      recoveredFromEmptyOutput: attempt.recoveredFromEmptyOutput,
+      usedNoWebRecovery: attempt.usedNoWebRecovery,
+      usedLocalFallback: false,
+      usedProviderFailover: failures.length > 0,
+      totalElapsedMs: Date.now() - requestStartedAt
+    });
+    reportEmptyOutputDebug(debugPayload);
+
+    const output = attempt.sections ? renderStructuredPrompt(attempt.sections) : attempt.output;
+    return {
+      status: 200,
+      continuation: {
+        provider: hop.name,
+        responseId: attempt.finalDebug.response_id,
+        messages: buildImprovementMessages(prompt, output)
+      },
+      body: {
+        prompt: output,
+        target: profile.id,
+        format: outputFormat,
+        ...(attempt.sections
+          ? { sections: attempt.sections, structuredRecovery: attempt.structuredRecovery }
+          : {}),
+        analysis: analyzeResult(prompt, output, profile),
+        recoveredFromEmptyOutput: attempt.recoveredFromEmptyOutput,
+        usedWebSearch: hop.provider.capabilities.webSearch,
+        usedModel: hop.provider.model,
+        usedProvider: hop.name,
+        usedProviderFailover: failures.length > 0,
+        usedNoWebRecovery: attempt.usedNoWebRecovery,
+        requestId,
+        debug: debugPayload
+      }
+    };
+  }
+
+  function buildRefusalResult({ requestId, owner, profile, requestStartedAt, trace, hop, attempt }) {
+    const debugPayload = buildResponseDebugPayload({
+      requestId,
+      owner,
+      target: profile.id,
+      hop,
+      hops,
+      trace,
+      finalDebug: attempt.finalDebug,
+      recoveredFromEmptyOutput: true,
+      usedNoWebRecovery: attempt.usedNoWebRecovery,
+      usedLocalFallback: false,
+      totalElapsedMs: Date.now() - requestStartedAt
+    });
+    reportEmptyOutputDebug(debugPayload);
+
+    return {
+      status: 422,
+      body: {
+        error: attempt.refusal,
+        requestId,
+        debug: debugPayload
+      }
+    };
+  }
+
+  function buildFailureResult({
+    requestId,
+    owner,
+    profile,
+    outputFormat,
+    requestStartedAt,
+    trace,
+    prompt,
+    hop,
+    attempt,
+    failures,
+    hooks
+  }) {
+    const primaryFailure = failures[0];
+    const lastErrorFailure = failures.filter((failure) => failure.errorDebug).pop();
+    const onlyClientErrors = failures.every(
+      (failure) => failure.kind === "upstream_error" && failure.status < 500
+    );
+    const usedLocalFallback = !onlyClientErrors;
+
+    const debugPayload = buildResponseDebugPayload({
+      requestId,
+      owner,
+      target: profile.id,
+      hop,
+      hops,
+      trace,
+      finalDebug: attempt ? attempt.finalDebug : null,
+      recoveredFromEmptyOutput: usedLocalFallback,
+      usedNoWebRecovery: Boolean(attempt?.usedNoWebRecovery),
+      usedLocalFallback,
+      usedProviderFailover: failures.length > 1,
+      totalElapsedMs: Date.now() - requestStartedAt,
+      errorDebug: (onlyClientErrors ? primaryFailure : lastErrorFailure)?.errorDebug
+    });
+    // Budget-only runs never reached a provider: there is nothing to diagnose.
+    if (primaryFailure.kind !== "budget_exhausted") {
+      reportEmptyOutputDebug(debugPayload);
+    }
+
+    if (onlyClientErrors) {
+      return {
+        status: primaryFailure.status,
+        body: {
+          error: primaryFailure.message,
+          requestId,
+          debug: debugPayload
+        }
+      };
+    }
+
+    notifyProgress(hooks, "local_fallback");
+    const template = selectTemplate(templateLibrary, prompt, profile.id);
+    const fallbackPrompt = renderTemplate(template, prompt);
+    const sections = outputFormat === "structured" ? sectionsFromPlainText(fallbackPrompt) : null;
+    const output = sections ? renderStructuredPrompt(sections) : fallbackPrompt;
+    return {
+      status: 200,
+      continuation: {
+        provider: "",
+        responseId: "",
+        messages: buildImprovementMessages(prompt, output)
+      },
+      body: {
+        prompt: output,
+        target: profile.id,
+        format: outputFormat,
+        ...(sections ? { sections, structuredRecovery: "heuristic" } : {}),
+        analysis: analyzeResult(prompt, output, profile),
+        fallbackTemplate: template.category,
+        recoveredFromEmptyOutput: true,
+        usedWebSearch: hop.provider.capabilities.webSearch,
+        usedModel: hop.provider.model,
+        usedProvider: "local_fallback",
+        usedProviderFailover: failures.length > 1,
+        usedLocalFallback: true,
+        usedNoWebRecovery: Boolean(attempt?.usedNoWebRecovery),
+        requestId,
+        debug: debugPayload
+      }
+    };
+  }
+
+  function reportEmptyOutputDebug(debugPayload) {
+    if (settings.logEmptyOutputTrace && shouldLogEmptyOutputDebug(debugPayload)) {
+      logEmptyOutputDebug(debugPayload);
+    }
+  }
+
+  async function requestRecoveryStep(hop, step, { prompt, profile, hooks, previousResponseId, tokenLimited }) {
+    const stepHop = step.timeoutMs ? { ...hop, settings: { ...hop.settings, timeoutMs: step.timeoutMs } } : hop;
+    const input = buildStepInstruction(step, { prompt, profile, tokenLimited });
+    let mode = step.tokenMode;
+    if (mode === "adaptive") {
+      mode = tokenLimited ? "token_pressure" : "retry";
+    }
+    const maxOutputTokens = getAdaptiveMaxOutputTokens(hop, profile, mode);
+
+    if (step.kind === "request") {
+      return requestWithTimeoutRetry(
+        stepHop,
+        {
+          previousResponseId: previousResponseId || undefined,
+          instructions: profile.instructions,
+          input,
+          webSearch: step.webSearch,
+          maxOutputTokens,
+          responseFormat: profile.responseFormat
+        },
+        formatCallLabel(hop, step.webSearch, step.label),
+        hooks
+      );
+    }
+
+    // Without server-side conversation state the finalize step re-sends the prompt.
+    const request = hop.provider.capabilities.previousResponse
+      ? {
+          previousResponseId,
+          input,
+          maxOutputTokens,
+          responseFormat: profile.responseFormat
+        }
+      : {
+          instructions: profile.instructions,
+          input: [input, "", "Prompt di partenza:", prompt].join("\n"),
+          maxOutputTokens,
+          responseFormat: profile.responseFormat
+        };
+
+    return requestWithTimeoutRetry(stepHop, request, formatCallLabel(hop, false, step.label), hooks);
+  }
+
+  async function requestStructuredRepair(hop, output, reason, profile, hooks) {
+    const repairInstruction = [
+      "La risposta seguente doveva essere un oggetto JSON valido con le chiavi richieste, ma non lo e.",
+      `Problema: ${reason}.`,
+      "Riscrivila come oggetto JSON valido mantenendo il contenuto. Solo JSON, nessuna spiegazione.",
+      "",
+      "Risposta da correggere:",
+      output
+    ].join("\n");
+
+    return requestWithTimeoutRetry(
+      hop,
+      {
+        instructions: profile.instructions,
+        input: repairInstruction,
+        webSearch: false,
+        maxOutputTokens: getAdaptiveMaxOutputTokens(hop, profile, "retry"),
+        responseFormat: profile.responseFormat
+      },
+      formatCallLabel(hop, false, "repair-structured-output"),
+      hooks
+    );
+  }
+}
+
+// Downgraded runs are flagged in the debug payload, so stored traces and the
+// admin page tell them apart.
+function markBudgetMode(result, budgetMode) {
+  if (budgetMode && budgetMode !== "full" && result.body?.debug) {
+    result.body.debug.budget_mode = budgetMode;
+  }
+  return result;
+}
+
+// The logical exchange behind a result, replayed to providers without
+// server-side conversation state when the result is refined.
+function buildImprovementMessages(prompt, output) {
+  return [
+    { role: "user", content: buildImprovementInput(prompt) },
+    { role: "assistant", content: output }
+  ];
+}
+
+// Same deterministic score the PWA shows, for the prompt sent and the result.
+function analyzeResult(prompt, output, profile) {
+  return {
+    raw: analyzePrompt(prompt, profile.id),
+    improved: analyzePrompt(output, profile.id)
+  };
+}
+
+function buildRefinementInput(feedback, profile) {
+  return [
+    "Rivedi il prompt finale che hai appena prodotto applicando questo feedback:",
+    feedback,
+    "",
+    `Restituisci solo il prompt rivisto completo ${describeOutputForm(profile)}, senza spiegazioni.`
+  ].join("\n");
+}
+
+// Only the hop that produced the previous response can continue from it.
+function resolvePreviousResponseId(hop, continuation) {
+  if (!continuation?.responseId || continuation.provider !== hop.name) {
+    return "";
+  }
+  return hop.provider.capabilities.previousResponse ? continuation.responseId : "";
+}
+
+function formatCallLabel(hop, webSearch, suffix) {
+  const toolPart = webSearch && hop.provider.capabilities.webSearch ? "+web_search" : "";
+  return `${hop.provider.label}${toolPart} ${suffix}`;
+}
+
+// The profile budget replaces the hop's MAX_OUTPUT_TOKENS, the floors still
+// leave room for reasoning tokens.
+function getAdaptiveMaxOutputTokens(hop, profile, mode) {
+  let floor = 1100;
+  if (mode === "initial") {
+    floor = 1200;
+  } else if (mode === "retry") {
+    floor = 1600;
+  } else if (mode === "token_pressure") {
+    floor = 2600;
+  }
+
+  const budget = profile.maxOutputTokens || hop.settings.maxOutputTokens;
+  if (budget > 0) {
+    return Math.max(budget, floor);
+  }
+  return floor;
+}
+
+async function requestProvider(hop, request, timeoutMs, label, hooks) {
+  const created = await withAbortableTimeout(
+    (signal) => hop.provider.create(request, { signal, hooks }),
+    timeoutMs,
+    label
+  );
+
+  if (!hop.provider.capabilities.polling) {
+    return created;
+  }
+  return waitForResponseCompletion(hop, created, label);
+}
+
+async function waitForResponseCompletion(hop, initialResponse, label) {
+  const { provider, settings } = hop;
+  let response = initialResponse;
+  let waitedMs = 0;
+
+  while (provider.isPending(response)) {
+    const responseId = provider.describe(response).id;
+    if (!responseId) {
+      break;
+    }
+
+    if (waitedMs >= settings.pollMaxWaitMs) {
+      throw createTimeoutError(
+        `${label} polling timeout (${settings.pollMaxWaitMs}ms)`,
+        settings.pollMaxWaitMs,
+        `${label} polling`
+      );
+    }
+
+    await sleep(settings.pollIntervalMs);
+    waitedMs += settings.pollIntervalMs;
+    response = await withAbortableTimeout(
+      (signal) => provider.retrieve(responseId, { signal }),
+      settings.timeoutMs,
+      `${label} retrieve`
+    );
+  }
+
+  return response;
+}
+
+async function requestWithTimeoutRetry(hop, request, label, hooks) {
+  const { settings } = hop;
+  let timeoutMs = settings.timeoutMs;
+  let lastTimeoutError = null;
+
+  for (let attempt = 0; attempt <= settings.timeoutRetries; attempt += 1) {
+    const attemptLabel = attempt === 0 ? label : `${label} retry-${attempt}`;
+    if (attempt > 0) {
+      notifyProgress(hooks, "timeout_retry", { attempt, label: attemptLabel });
+    }
+    try {
+      return await requestProvider(hop, request, timeoutMs, attemptLabel, hooks);
+    } catch (error) {
+      if (!isTimeoutError(error)) {
+        throw error;
+      }
+
+      lastTimeoutError = error;
+      if (attempt === settings.timeoutRetries) {
+        lastTimeoutError.attempts = settings.timeoutRetries + 1;
+        throw lastTimeoutError;
+      }
+
+      timeoutMs += settings.timeoutRetryDeltaMs;
+    }
+  }
+
+  if (lastTimeoutError) {
+    lastTimeoutError.attempts = settings.timeoutRetries + 1;
+    throw lastTimeoutError;
+  }
+
+  throw new Error(`${label} failed without timeout details.`);
+}
+
+// ensureReady (model discovery of local servers) fails like any other call of
+// the hop, so the chain moves on to the next hop instead of aborting.
+async function prepareHop(hop, index, trace) {
+  if (typeof hop.provider.ensureReady !== "function") {
+    return null;
+  }
+  const startedAt = Date.now();
+  try {
+    await hop.provider.ensureReady();
+    return null;
+  } catch (error) {
+    const failure = describeHopFailure(hop, error);
+    pushProviderHopTrace(trace, hop, index, Date.now() - startedAt, {
+      outcome: failure.kind,
+      ...failure.errorDebug
+    });
+    return failure;
+  }
+}
+
+function describeHopFailure(hop, error) {
+  if (isTimeoutError(error)) {
+    return {
+      hop,
+      kind: "timeout",
+      status: 504,
+      message: "",
+      errorDebug: {
+        timeout_label: typeof error?.label === "string" ? error.label : hop.provider.label,
+        timeout_ms: Number(error?.timeoutMs) || hop.settings.timeoutMs,
+        attempts: Number(error?.attempts) || 1
+      }
+    };
+  }
+
+  const status = Number(error?.status) || 502;
+  const rawMessage = typeof error?.message === "string" ? error.message : "Errore chiamata OpenAI.";
+  const message = redactSensitiveText(rawMessage);
+  return {
+    hop,
+    kind: "upstream_error",
+    status,
+    message,
+    errorDebug: {
+      upstream_status: status,
+      upstream_error: message
+    }
+  };
+}
+
+function pushProviderHopTrace(trace, hop, index, elapsedMs, extra) {
+  trace.push({
+    step: "provider_hop",
+    provider: hop.name,
+    provider_type: hop.provider.type,
+    model: hop.provider.model,
+    hop_index: index,
+    elapsed_ms: Math.max(0, Math.floor(elapsedMs)),
+    ...extra
+  });
+}
+
+function normalizePrompt(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value
+    .replace(/\r\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function notifyProgress(hooks, step, extra) {
+  if (!hooks || typeof hooks.onProgress !== "function") {
+    return;
+  }
+  hooks.onProgress({ step, attempt: 0, ...extra });
+}
+
+module.exports = {
+  createImprovementPipeline,
+  buildImprovementMessages,
+  normalizePrompt
+};
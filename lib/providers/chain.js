@@ -0,0 +1,105 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { toPositiveInt } = require("../env");
+const { resolveProviderType, isKnownProvider, createProvider } = require("./index");
+const { resolveRecoverySteps } = require("../recovery-steps");
+
+// AI_PROVIDER_CHAIN is either an inline JSON array or a path to a JSON file.
+// Entry fields: provider, model, name, apiKey | apiKeyEnv, baseURL | baseURLEnv,
+// script (stub provider only), scenario (mock provider only), timeoutMs,
+// timeoutRetries, timeoutRetryDeltaMs, pollIntervalMs, pollMaxWaitMs,
+// maxOutputTokens, recovery, budgetModel. Missing numbers inherit the global
+// OPENAI_* settings and a missing recovery ladder inherits RECOVERY_LADDER.
+// budgetModel is the cheaper model the hop switches to once the daily budget
+// reaches the cheaper_model step (see lib/costs.js).
+function loadProviderChainConfig(value, baseDir) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return [];
+  }
+
+  const text = raw.startsWith("[")
+    ? raw
+    : fs.readFileSync(path.resolve(baseDir || process.cwd(), raw), "utf8");
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("AI_PROVIDER_CHAIN deve essere un array JSON non vuoto.");
+  }
+  return entries;
+}
+
+function buildProviderHops(entries, { env, defaults, baseDir }) {
+  const usedNames = new Set();
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== "object") {
+      throw new Error(`AI_PROVIDER_CHAIN[${index}] non e un oggetto.`);
+    }
+    if (entry.provider && !isKnownProvider(entry.provider)) {
+      throw new Error(`AI_PROVIDER_CHAIN[${index}]: provider sconosciuto "${entry.provider}".`);
+    }
+
+    const apiKey = entry.apiKey || (entry.apiKeyEnv ? env[entry.apiKeyEnv] : "") || "";
+    const baseURL = String(
+      entry.baseURL || (entry.baseURLEnv ? env[entry.baseURLEnv] : "") || ""
+    ).trim();
+    const type = resolveProviderType({
+      provider: entry.provider,
+      model: entry.model,
+      baseURL
+    });
+
+    const providerOptions = {
+      apiKey,
+      baseURL,
+      model: entry.model || "",
+      baseDir,
+      script: entry.script,
+      scenario: entry.scenario
+    };
+    return {
+      name: reserveHopName(entry.name || type, usedNames),
+      provider: createProvider(type, providerOptions),
+      budgetProvider: entry.budgetModel
+        ? createProvider(type, { ...providerOptions, model: String(entry.budgetModel) })
+        : null,
+      settings: {
+        timeoutMs: toPositiveInt(entry.timeoutMs, defaults.timeoutMs),
+        timeoutRetries: toNonNegativeInt(entry.timeoutRetries, defaults.timeoutRetries),
+        timeoutRetryDeltaMs: toPositiveInt(entry.timeoutRetryDeltaMs, defaults.timeoutRetryDeltaMs),
+        pollIntervalMs: toPositiveInt(entry.pollIntervalMs, defaults.pollIntervalMs),
+        pollMaxWaitMs: toPositiveInt(entry.pollMaxWaitMs, defaults.pollMaxWaitMs),
+        maxOutputTokens: toPositiveInt(entry.maxOutputTokens, defaults.maxOutputTokens)
+      },
+      recovery: entry.recovery
+        ? resolveRecoverySteps(entry.recovery, `AI_PROVIDER_CHAIN[${index}].recovery`)
+        : resolveRecoverySteps(defaults.recovery)
+    };
+  });
+}
+
+function reserveHopName(baseName, usedNames) {
+  let name = String(baseName);
+  let suffix = 2;
+  while (usedNames.has(name)) {
+    name = `${baseName}-${suffix}`;
+    suffix += 1;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+function toNonNegativeInt(value, fallbackValue) {
+  const parsed = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(parsed) || parsed < 0) {
+    return fallbackValue;
+  }
+  return Math.floor(parsed);
+}
+
+module.exports = {
+  loadProviderChainConfig,
+  buildProviderHops
+};
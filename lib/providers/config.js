@@ -0,0 +1,108 @@
+"use strict";
+
+const path = require("path");
+const { toPositiveInt } = require("../env");
+const { loadProviderModule, resolveProviderType, isKnownProvider } = require("./index");
+const { loadProviderChainConfig, buildProviderHops } = require("./chain");
+const { loadRecoveryConfig } = require("../recovery-steps");
+const { FIXTURE_MODES, createFixtureStore, withFixtures } = require("./fixtures");
+
+const DEFAULT_FIXTURES_FILE = ".data/provider-fixtures.jsonl";
+
+// Builds the provider hops from the environment, shared by server.js and the
+// command-line scripts so both run the same chain: AI_PROVIDER_MODULES are
+// registered first, then AI_PROVIDER_CHAIN is used or, when it is empty, the
+// single provider described by AI_PROVIDER / OPENAI_* / LOCAL_*. With
+// PROVIDER_FIXTURES_MODE every hop records to or replays from
+// PROVIDER_FIXTURES_FILE.
+function createProviderHopsFromEnv(env, baseDir) {
+  String(env.AI_PROVIDER_MODULES || "")
+    .split(",")
+    .map((modulePath) => modulePath.trim())
+    .filter(Boolean)
+    .forEach((modulePath) => loadProviderModule(modulePath, baseDir));
+
+  const providerName = String(env.AI_PROVIDER || "").trim().toLowerCase();
+  if (providerName && !isKnownProvider(providerName)) {
+    console.warn(`AI_PROVIDER=${providerName} non registrato: uso il rilevamento automatico.`);
+  }
+
+  const chain = String(env.AI_PROVIDER_CHAIN || "").trim();
+  const hops = buildProviderHops(
+    chain ? loadProviderChainConfig(chain, baseDir) : [buildDefaultProviderEntry(env, providerName)],
+    { env, baseDir, defaults: readProviderDefaults(env, baseDir) }
+  );
+  return applyProviderFixtures(hops, env, baseDir);
+}
+
+function applyProviderFixtures(hops, env, baseDir) {
+  const mode = String(env.PROVIDER_FIXTURES_MODE || "").trim().toLowerCase();
+  if (!mode) {
+    return hops;
+  }
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`PROVIDER_FIXTURES_MODE deve essere ${FIXTURE_MODES.join(" o ")}.`);
+  }
+
+  const filePath = path.resolve(
+    baseDir || process.cwd(),
+    String(env.PROVIDER_FIXTURES_FILE || "").trim() || DEFAULT_FIXTURES_FILE
+  );
+  const store = createFixtureStore(filePath);
+  console.log(`Fixture provider in modalita ${mode}: ${filePath}`);
+  return hops.map((hop) => ({
+    ...hop,
+    provider: withFixtures(hop.provider, { mode, store }),
+    budgetProvider: hop.budgetProvider ? withFixtures(hop.budgetProvider, { mode, store }) : null
+  }));
+}
+
+function readProviderDefaults(env, baseDir) {
+  return {
+    timeoutMs: toPositiveInt(env.OPENAI_TIMEOUT_WEB_SEARCH_MS, 30000),
+    timeoutRetries: toPositiveInt(env.OPENAI_TIMEOUT_RETRIES, 2),
+    timeoutRetryDeltaMs: toPositiveInt(env.OPENAI_TIMEOUT_RETRY_DELTA_MS, 15000),
+    pollIntervalMs: toPositiveInt(env.OPENAI_POLL_INTERVAL_MS, 1200),
+    pollMaxWaitMs: toPositiveInt(env.OPENAI_POLL_MAX_WAIT_MS, 45000),
+    maxOutputTokens: toPositiveInt(env.MAX_OUTPUT_TOKENS, 550),
+    recovery: loadRecoveryConfig(env.RECOVERY_LADDER, baseDir)
+  };
+}
+
+function buildDefaultProviderEntry(env, providerName) {
+  const model = env.OPENAI_MODEL || "gpt-5";
+  const baseURL = String(env.OPENAI_BASE_URL || "").trim();
+  const type = resolveProviderType({ provider: providerName, model, baseURL });
+
+  const budgetModel = String(env.BUDGET_FALLBACK_MODEL || "").trim();
+
+  if (type === "mock") {
+    return {
+      provider: type,
+      model: "mock",
+      scenario: String(env.MOCK_SCENARIO || "").trim()
+    };
+  }
+
+  if (type === "local") {
+    return {
+      provider: type,
+      apiKey: env.LOCAL_API_KEY,
+      baseURL: String(env.LOCAL_BASE_URL || "").trim() || baseURL,
+      model: env.LOCAL_MODEL || env.OPENAI_MODEL || "",
+      budgetModel
+    };
+  }
+
+  return {
+    provider: type,
+    apiKey: env.OPENAI_API_KEY,
+    baseURL,
+    model,
+    budgetModel
+  };
+}
+
+module.exports = {
+  createProviderHopsFromEnv
+};
@@ -0,0 +1,170 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+const { redactSensitiveText } = require("../debug-trace");
+
+const FIXTURE_MODES = ["record", "replay"];
+
+// Provider exchanges stored as JSON Lines, one line per call:
+// { key, type, call ("create" | "retrieve"), request, response | error | timeout,
+// recordedAt }. The key hashes the adapter type with the request, so replay
+// finds the exchange whatever the hop is called. Calls with the same key are
+// served back in recording order and the last one repeats.
+function createFixtureStore(filePath) {
+  const byKey = new Map();
+  const cursors = new Map();
+
+  loadRecords();
+
+  return {
+    filePath,
+    append,
+    next
+  };
+
+  function append(record) {
+    const line = { ...record, recordedAt: new Date().toISOString() };
+    pushRecord(line);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      console.warn(`Fixture provider: impossibile scrivere ${filePath}: ${error.message}`);
+    }
+  }
+
+  function next(key) {
+    const records = byKey.get(key);
+    if (!records) {
+      return null;
+    }
+    const position = cursors.get(key) || 0;
+    cursors.set(key, position + 1);
+    return records[Math.min(position, records.length - 1)];
+  }
+
+  function pushRecord(record) {
+    const records = byKey.get(record.key) || [];
+    records.push(record);
+    byKey.set(record.key, records);
+  }
+
+  function loadRecords() {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        console.warn(`Fixture provider: impossibile leggere ${filePath}: ${error.message}`);
+      }
+      return;
+    }
+    raw.split("\n").forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const record = JSON.parse(line);
+        if (typeof record?.key === "string") {
+          pushRecord(record);
+        }
+      } catch (_error) {
+        // A partially written last line is skipped.
+      }
+    });
+  }
+}
+
+// Wraps an adapter built from the usual configuration. record passes every
+// call through and stores it with its outcome; replay never touches the
+// network, needs no API key and fails with 404 on a request that was never
+// recorded. A recorded timeout replays as a call that never answers, so the
+// pipeline times out again on its own settings.
+function withFixtures(provider, { mode, store }) {
+  const replaying = mode === "replay";
+  const wrapped = Object.create(provider);
+
+  Object.assign(wrapped, {
+    async create(request, { signal, hooks } = {}) {
+      const key = buildFixtureKey(provider.type, "create", request);
+      if (replaying) {
+        const response = await replay(key, signal);
+        const text = provider.extractText(response);
+        if (text && typeof hooks?.onDelta === "function") {
+          hooks.onDelta(text);
+        }
+        return response;
+      }
+      return record(key, "create", request, signal, () => provider.create(request, { signal, hooks }));
+    },
+    async retrieve(responseId, { signal } = {}) {
+      const key = buildFixtureKey(provider.type, "retrieve", { responseId });
+      if (replaying) {
+        return replay(key, signal);
+      }
+      return record(key, "retrieve", { responseId }, signal, () => provider.retrieve(responseId, { signal }));
+    }
+  });
+
+  if (replaying) {
+    Object.assign(wrapped, {
+      getConfigurationError: () => "",
+      discover: undefined,
+      ensureReady: undefined
+    });
+  }
+  return wrapped;
+
+  async function record(key, call, request, signal, send) {
+    const base = { key, type: provider.type, call, request };
+    try {
+      const response = await send();
+      store.append({ ...base, response });
+      return response;
+    } catch (error) {
+      if (signal?.aborted) {
+        store.append({ ...base, timeout: true });
+      } else {
+        const message = redactSensitiveText(String(error?.message || error));
+        store.append({ ...base, error: { status: error?.status || null, message } });
+      }
+      throw error;
+    }
+  }
+
+  async function replay(key, signal) {
+    const entry = store.next(key);
+    if (!entry) {
+      const error = new Error(
+        `Nessuna fixture registrata per questa richiesta (${provider.type}, chiave ${key.slice(0, 12)}) in ${store.filePath}.`
+      );
+      error.status = 404;
+      throw error;
+    }
+    if (entry.timeout) {
+      return new Promise((_resolve, reject) => {
+        signal?.addEventListener("abort", () => reject(signal.reason || new Error("Richiesta annullata.")), {
+          once: true
+        });
+      });
+    }
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.status = entry.error.status || undefined;
+      throw error;
+    }
+    return entry.response;
+  }
+}
+
+function buildFixtureKey(type, call, request) {
+  return createHash("sha256").update(JSON.stringify({ type, call, request })).digest("hex");
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  createFixtureStore,
+  withFixtures
+};
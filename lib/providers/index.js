@@ -0,0 +1,99 @@
+"use strict";
+
+const path = require("path");
+const { TYPE: OPENAI_RESPONSES, createOpenAIResponsesProvider } = require("./openai-responses");
+const { TYPE: OPENAI_CHAT, createOpenAIChatProvider } = require("./openai-chat");
+const { TYPE: LOCAL, createLocalProvider } = require("./local");
+const { TYPE: STUB, createStubProvider } = require("./stub");
+const { TYPE: MOCK, createMockProvider } = require("./mock");
+
+// An adapter is a plain object built by a factory(options) where options carries
+// { apiKey, baseURL, model, baseDir } (plus script for the stub provider and
+// scenario for the mock one, both resolved against baseDir). The pipeline only
+// relies on this surface:
+//   type, model, label, capabilities { webSearch, previousResponse, polling, streaming,
+//     finalize, local, structuredOutput ("json_schema" | "json_object" | absent) }
+//   getConfigurationError() -> "" when usable, otherwise the user-facing message
+//   create(request, { signal, hooks }) with request { model, instructions, input,
+//     previousResponseId, webSearch, maxOutputTokens, responseFormat { name, schema },
+//     messages [{ role: "user" | "assistant", content }] sent before input };
+//     streams via hooks.onDelta
+//   retrieve(id, { signal }) and isPending(response) for providers that poll
+//   extractText / extractRefusal / extractUsage / describe on the raw response
+// Optional: discover() at startup, ensureReady() before each request and
+// debugInfo() for extra fields in the debug payload.
+const factories = new Map();
+
+const ALIASES = {
+  openai: OPENAI_RESPONSES,
+  responses: OPENAI_RESPONSES,
+  chat: OPENAI_CHAT,
+  deepseek: OPENAI_CHAT,
+  "openai-compatible": OPENAI_CHAT,
+  ollama: LOCAL,
+  llamacpp: LOCAL,
+  "llama.cpp": LOCAL,
+  vllm: LOCAL
+};
+
+registerProvider(OPENAI_RESPONSES, createOpenAIResponsesProvider);
+registerProvider(OPENAI_CHAT, createOpenAIChatProvider);
+registerProvider(LOCAL, createLocalProvider);
+registerProvider(STUB, createStubProvider);
+registerProvider(MOCK, createMockProvider);
+
+function registerProvider(type, factory) {
+  const key = String(type || "").trim().toLowerCase();
+  if (!key || typeof factory !== "function") {
+    throw new Error("registerProvider richiede un tipo e una factory.");
+  }
+  factories.set(key, factory);
+}
+
+function loadProviderModule(modulePath, baseDir) {
+  const resolved = path.resolve(baseDir || process.cwd(), modulePath);
+  const providerModule = require(resolved);
+  if (!providerModule || typeof providerModule.create !== "function" || !providerModule.type) {
+    throw new Error(`Il modulo provider ${modulePath} deve esportare { type, create }.`);
+  }
+  registerProvider(providerModule.type, providerModule.create);
+  return String(providerModule.type).trim().toLowerCase();
+}
+
+function resolveProviderType({ provider, model, baseURL } = {}) {
+  const requested = String(provider || "").trim().toLowerCase();
+  if (requested) {
+    const type = ALIASES[requested] || requested;
+    if (factories.has(type)) {
+      return type;
+    }
+  }
+
+  const modelLower = String(model || "").toLowerCase();
+  const baseURLLower = String(baseURL || "").toLowerCase();
+  if (modelLower.startsWith("deepseek") || baseURLLower.includes("deepseek.com")) {
+    return OPENAI_CHAT;
+  }
+  return OPENAI_RESPONSES;
+}
+
+function isKnownProvider(provider) {
+  const requested = String(provider || "").trim().toLowerCase();
+  return factories.has(ALIASES[requested] || requested);
+}
+
+function createProvider(type, options) {
+  const factory = factories.get(String(type || "").trim().toLowerCase());
+  if (!factory) {
+    throw new Error(`Provider sconosciuto: ${type}`);
+  }
+  return factory(options || {});
+}
+
+module.exports = {
+  registerProvider,
+  loadProviderModule,
+  resolveProviderType,
+  isKnownProvider,
+  createProvider
+};
@@ -0,0 +1,107 @@
+"use strict";
+
+const OpenAI = require("openai");
+const { createOpenAIChatProvider } = require("./openai-chat");
+const { withAbortableTimeout } = require("../timing");
+
+const TYPE = "local";
+const DEFAULT_BASE_URL = "http://127.0.0.1:11434/v1";
+const DISCOVERY_TIMEOUT_MS = 5000;
+const REDISCOVERY_INTERVAL_MS = 10000;
+
+// Ollama, llama.cpp server and vLLM all expose an OpenAI-compatible
+// chat.completions + /models surface, so this adapter reuses the chat one and
+// only adds model discovery and the "nothing leaves this machine" capabilities.
+function createLocalProvider(options = {}) {
+  const baseURL = options.baseURL || DEFAULT_BASE_URL;
+  const client = options.client || new OpenAI({
+    apiKey: options.apiKey || "local",
+    baseURL
+  });
+  const chat = createOpenAIChatProvider({
+    client,
+    model: options.model || "",
+    label: "Local chat.completions"
+  });
+
+  const state = {
+    model: options.model || "",
+    models: [],
+    discoveredAt: 0,
+    discoveryError: ""
+  };
+
+  async function discover() {
+    state.discoveredAt = Date.now();
+    try {
+      const page = await withAbortableTimeout(
+        (signal) => client.models.list({ signal, maxRetries: 0 }),
+        DISCOVERY_TIMEOUT_MS,
+        "Local models discovery"
+      );
+      const models = (Array.isArray(page?.data) ? page.data : [])
+        .map((entry) => entry?.id)
+        .filter((id) => typeof id === "string" && id);
+      state.models = models;
+      state.discoveryError = "";
+
+      if (!state.model && models.length > 0) {
+        state.model = models[0];
+      }
+    } catch (error) {
+      state.discoveryError = String(error?.message || error);
+    }
+    return {
+      baseURL,
+      model: state.model,
+      models: state.models.slice(),
+      error: state.discoveryError
+    };
+  }
+
+  return {
+    ...chat,
+    type: TYPE,
+    get model() {
+      return state.model;
+    },
+    label: "Local chat.completions",
+    capabilities: {
+      webSearch: false,
+      previousResponse: false,
+      polling: false,
+      streaming: true,
+      finalize: false,
+      local: true,
+      structuredOutput: "json_object"
+    },
+    discover,
+    async ensureReady() {
+      if (!state.model && Date.now() - state.discoveredAt >= REDISCOVERY_INTERVAL_MS) {
+        await discover();
+      }
+    },
+    getConfigurationError() {
+      if (state.model) {
+        return "";
+      }
+      const reason = state.discoveryError ? ` (${state.discoveryError})` : "";
+      return `Nessun modello locale disponibile su ${baseURL}${reason}. Imposta LOCAL_MODEL o avvia il server locale.`;
+    },
+    create(request, callOptions) {
+      return chat.create({ ...request, model: request.model || state.model }, callOptions);
+    },
+    debugInfo() {
+      return {
+        base_url: baseURL,
+        discovered_models: state.models.slice()
+      };
+    }
+  };
+}
+
+module.exports = {
+  TYPE,
+  DEFAULT_BASE_URL,
+  createLocalProvider
+};
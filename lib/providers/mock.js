@@ -0,0 +1,232 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createOpenAIResponsesProvider } = require("./openai-responses");
+const { extractUserPrompt } = require("./stub");
+const { STRUCTURED_SECTIONS } = require("../../template-renderer");
+
+const TYPE = "mock";
+
+// Offline stand-in for the Responses API, so that the whole recovery ladder
+// (web search, finalize on previous_response_id, polling) runs without a key.
+// The scenario is an array (or the path of a JSON file holding one) of rules
+// { match?, webSearch?, replies: [reply] } like the stub script: the first rule
+// whose match is found in the request input, and whose webSearch (when set)
+// agrees with the request, answers with its next reply; the last reply repeats.
+// A reply is one of
+//   { text, webSearch?, delayMs? }         "{{prompt}}" is replaced by the user prompt
+//   { empty: true, reason?, webSearch? }   no text; reason "max_output_tokens" makes it incomplete
+//   { refusal }
+//   { pending: N, ...reply }               queued, then in_progress for N - 1 polls, then reply
+//   { hang: true }                         never answers, the pipeline times out
+//   { error: 503, message? }               thrown like an upstream HTTP error
+// and may set usage { input_tokens, output_tokens, reasoning_tokens }.
+// Without a matching rule the mock answers with the prompt (in JSON mode with
+// every structured section, or with questions for the clarify schema).
+function createMockProvider(options = {}) {
+  const rules = loadScenario(options.scenario, options.baseDir);
+  const counters = new Map();
+  const pending = new Map();
+  let callCount = 0;
+  let pollCount = 0;
+
+  const client = {
+    responses: {
+      async create(payload, { signal } = {}) {
+        callCount += 1;
+        const id = `mock_resp_${callCount}`;
+        const reply = nextReply(rules, counters, payload);
+        if (reply.hang) {
+          return waitFor(Infinity, signal);
+        }
+        if (reply.delayMs > 0) {
+          await waitFor(reply.delayMs, signal);
+        }
+        const response = buildResponse(id, payload, reply);
+        if (reply.pending > 0 && !payload.stream) {
+          pending.set(id, { remaining: reply.pending - 1, response });
+          return { id, object: "response", status: "queued", output: [] };
+        }
+        return payload.stream ? streamEvents(response) : response;
+      },
+      async retrieve(id) {
+        pollCount += 1;
+        const entry = pending.get(id);
+        if (!entry) {
+          const error = new Error(`Risposta mock ${id} sconosciuta.`);
+          error.status = 404;
+          throw error;
+        }
+        if (entry.remaining > 0) {
+          entry.remaining -= 1;
+          return { id, object: "response", status: "in_progress", output: [] };
+        }
+        pending.delete(id);
+        return entry.response;
+      }
+    }
+  };
+
+  const responses = createOpenAIResponsesProvider({
+    client,
+    model: options.model || "mock",
+    label: "Mock Responses"
+  });
+
+  return {
+    ...responses,
+    type: TYPE,
+    capabilities: {
+      ...responses.capabilities,
+      local: true
+    },
+    debugInfo() {
+      return {
+        scenario_rules: rules.length,
+        calls: callCount,
+        polls: pollCount
+      };
+    }
+  };
+}
+
+function loadScenario(scenario, baseDir) {
+  if (!scenario) {
+    return [];
+  }
+  const rules = Array.isArray(scenario)
+    ? scenario
+    : JSON.parse(fs.readFileSync(path.resolve(baseDir || process.cwd(), String(scenario)), "utf8"));
+  if (!Array.isArray(rules)) {
+    throw new Error("Lo scenario del provider mock deve essere un array di regole.");
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || !Array.isArray(rule.replies) || rule.replies.length === 0) {
+      throw new Error(`Scenario mock, regola ${index}: replies deve essere un array non vuoto.`);
+    }
+  });
+  return rules;
+}
+
+function nextReply(rules, counters, payload) {
+  const input = readUserInput(payload).toLowerCase();
+  const webSearch = Array.isArray(payload.tools) && payload.tools.length > 0;
+  const index = rules.findIndex(
+    (rule) =>
+      (!rule.match || input.includes(String(rule.match).toLowerCase())) &&
+      (rule.webSearch === undefined || rule.webSearch === webSearch)
+  );
+  if (index === -1) {
+    return {};
+  }
+  const position = counters.get(index) || 0;
+  counters.set(index, position + 1);
+  const { replies } = rules[index];
+  return replies[Math.min(position, replies.length - 1)];
+}
+
+function buildResponse(id, payload, reply) {
+  if (reply.error) {
+    const error = new Error(reply.message || `Errore simulato ${reply.error}`);
+    error.status = Number(reply.error) || 500;
+    throw error;
+  }
+
+  const output = [];
+  if (reply.webSearch) {
+    output.push({ id: `ws_${id}`, type: "web_search_call", status: "completed" });
+  }
+  let text = "";
+  if (reply.refusal) {
+    output.push({
+      id: `msg_${id}`,
+      type: "message",
+      role: "assistant",
+      content: [{ type: "refusal", refusal: String(reply.refusal) }]
+    });
+  } else if (!reply.empty) {
+    text = typeof reply.text === "string"
+      ? reply.text.split("{{prompt}}").join(extractUserPrompt(readUserInput(payload)))
+      : buildDefaultText(payload);
+    output.push({
+      id: `msg_${id}`,
+      type: "message",
+      role: "assistant",
+      content: [{ type: "output_text", text, annotations: [] }]
+    });
+  }
+
+  const usage = reply.usage || {};
+  const inputTokens = usage.input_tokens ?? estimateTokens(JSON.stringify(payload.input));
+  const outputTokens = usage.output_tokens ?? estimateTokens(text || reply.refusal);
+  const incomplete = reply.empty && reply.reason;
+  return {
+    id,
+    object: "response",
+    model: payload.model,
+    status: incomplete ? "incomplete" : "completed",
+    incomplete_details: incomplete ? { reason: String(reply.reason) } : null,
+    output,
+    usage: {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens,
+      output_tokens_details: { reasoning_tokens: usage.reasoning_tokens ?? 0 }
+    }
+  };
+}
+
+function buildDefaultText(payload) {
+  const prompt = extractUserPrompt(readUserInput(payload));
+  const format = payload.text?.format;
+  if (format?.name === "clarifying_questions") {
+    return JSON.stringify({ questions: ["A chi e destinato il risultato?", "Che formato ti serve?"] });
+  }
+  if (format) {
+    return JSON.stringify(
+      Object.fromEntries(STRUCTURED_SECTIONS.map(({ key, list }) => [key, list ? [prompt] : prompt]))
+    );
+  }
+  return `Prompt migliorato:\n${prompt}`;
+}
+
+function readUserInput(payload) {
+  const items = Array.isArray(payload.input) ? payload.input : [];
+  const last = items[items.length - 1];
+  const part = Array.isArray(last?.content) ? last.content[0] : null;
+  return typeof part?.text === "string" ? part.text : "";
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+async function* streamEvents(response) {
+  const text = response.output
+    .flatMap((item) => (Array.isArray(item.content) ? item.content : []))
+    .map((part) => part.text || "")
+    .join("");
+  if (text) {
+    yield { type: "response.output_text.delta", delta: text };
+  }
+  yield {
+    type: response.status === "incomplete" ? "response.incomplete" : "response.completed",
+    response
+  };
+}
+
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason || new Error("Richiesta annullata."));
+    }, { once: true });
+  });
+}
+
+module.exports = {
+  TYPE,
+  createMockProvider
+};
@@ -0,0 +1,186 @@
+"use strict";
+
+const OpenAI = require("openai");
+const {
+  extractOutputText,
+  extractRefusalText,
+  toFiniteNumber
+} = require("./response-parsing");
+
+const TYPE = "openai-chat";
+
+function createOpenAIChatProvider(options = {}) {
+  const client = options.client || createClient(options);
+  const model = options.model || "deepseek-chat";
+  const streamUsage = options.streamUsage !== false;
+
+  return {
+    type: TYPE,
+    model,
+    label: options.label || "Provider chat.completions",
+    capabilities: {
+      webSearch: false,
+      previousResponse: false,
+      polling: false,
+      streaming: true,
+      finalize: true,
+      local: false,
+      structuredOutput: "json_object"
+    },
+    getConfigurationError() {
+      return client ? "" : "OPENAI_API_KEY non configurata sul server.";
+    },
+    async create(request, { signal, hooks } = {}) {
+      const payload = buildPayload(model, request);
+      if (hooks && typeof hooks.onDelta === "function") {
+        return streamCompletion(client, payload, hooks, signal, streamUsage);
+      }
+      return client.chat.completions.create(payload, { signal });
+    },
+    retrieve() {
+      throw new Error("chat.completions non supporta il polling delle risposte.");
+    },
+    isPending() {
+      return false;
+    },
+    extractText: extractOutputText,
+    extractRefusal: extractRefusalText,
+    extractUsage,
+    describe
+  };
+}
+
+function createClient({ apiKey, baseURL }) {
+  if (!apiKey) {
+    return null;
+  }
+  return new OpenAI({
+    apiKey,
+    ...(baseURL ? { baseURL } : {})
+  });
+}
+
+function buildPayload(model, request) {
+  const messages = [];
+  if (request.instructions) {
+    messages.push({ role: "system", content: request.instructions });
+  }
+  (request.messages || []).forEach(({ role, content }) => {
+    messages.push({ role, content });
+  });
+  messages.push({ role: "user", content: request.input });
+
+  const payload = {
+    model: request.model || model,
+    messages
+  };
+
+  if (Number.isFinite(request.maxOutputTokens) && request.maxOutputTokens > 0) {
+    payload.max_tokens = Math.floor(request.maxOutputTokens);
+  }
+
+  // json_schema is not available on most OpenAI-compatible servers; the shape
+  // is described in the instructions and validated by the pipeline.
+  if (request.responseFormat) {
+    payload.response_format = { type: "json_object" };
+  }
+
+  return payload;
+}
+
+async function streamCompletion(client, payload, hooks, signal, streamUsage) {
+  const stream = await client.chat.completions.create(
+    {
+      ...payload,
+      stream: true,
+      ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+    },
+    { signal }
+  );
+
+  let id = "";
+  let model = payload.model;
+  let content = "";
+  let refusal = "";
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (typeof chunk?.id === "string" && chunk.id) {
+      id = chunk.id;
+    }
+    if (typeof chunk?.model === "string" && chunk.model) {
+      model = chunk.model;
+    }
+    if (chunk?.usage) {
+      usage = chunk.usage;
+    }
+
+    const choice = Array.isArray(chunk?.choices) ? chunk.choices[0] : null;
+    const delta = choice?.delta;
+    if (typeof delta?.content === "string" && delta.content) {
+      content += delta.content;
+      if (!signal?.aborted) {
+        hooks.onDelta(delta.content);
+      }
+    }
+    if (typeof delta?.refusal === "string" && delta.refusal) {
+      refusal += delta.refusal;
+    }
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  return {
+    id,
+    object: "chat.completion",
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content, refusal: refusal || null },
+        finish_reason: finishReason
+      }
+    ],
+    usage
+  };
+}
+
+function extractUsage(response) {
+  const usage = response?.usage || {};
+  const outputDetails = usage?.completion_tokens_details || usage?.output_tokens_details || {};
+  return {
+    input_tokens: toFiniteNumber(usage?.prompt_tokens ?? usage?.input_tokens),
+    output_tokens: toFiniteNumber(usage?.completion_tokens ?? usage?.output_tokens),
+    total_tokens: toFiniteNumber(usage?.total_tokens),
+    reasoning_tokens: toFiniteNumber(
+      outputDetails?.reasoning_tokens ?? usage?.reasoning_tokens
+    )
+  };
+}
+
+function describe(response) {
+  const choice = Array.isArray(response?.choices) ? response.choices[0] : null;
+  const finishReason = choice?.finish_reason || "";
+  let status = "";
+  if (finishReason === "length") {
+    status = "incomplete";
+  } else if (finishReason) {
+    status = "completed";
+  }
+
+  return {
+    id: response?.id || "",
+    status,
+    incompleteReason: finishReason === "length" ? "max_output_tokens" : "",
+    outputTypes: [],
+    hasOutputText: false,
+    hasRefusal: false
+  };
+}
+
+module.exports = {
+  TYPE,
+  createOpenAIChatProvider
+};
@@ -0,0 +1,176 @@
+"use strict";
+
+const OpenAI = require("openai");
+const {
+  extractOutputText,
+  extractRefusalText,
+  getIncompleteReason,
+  hasOutputItemText,
+  hasOutputItemRefusal,
+  toFiniteNumber
+} = require("./response-parsing");
+
+const TYPE = "openai-responses";
+
+function createOpenAIResponsesProvider(options = {}) {
+  const client = options.client || createClient(options);
+  const model = options.model || "gpt-5";
+
+  return {
+    type: TYPE,
+    model,
+    label: options.label || "OpenAI",
+    capabilities: {
+      webSearch: true,
+      previousResponse: true,
+      polling: true,
+      streaming: true,
+      finalize: true,
+      local: false,
+      structuredOutput: "json_schema"
+    },
+    getConfigurationError() {
+      return client ? "" : "OPENAI_API_KEY non configurata sul server.";
+    },
+    async create(request, { signal, hooks } = {}) {
+      const payload = buildPayload(model, request);
+      if (hooks && typeof hooks.onDelta === "function") {
+        return streamResponse(client, payload, hooks, signal);
+      }
+      return client.responses.create(payload, { signal });
+    },
+    retrieve(responseId, { signal } = {}) {
+      return client.responses.retrieve(responseId, {}, { signal });
+    },
+    isPending(response) {
+      return response?.status === "queued" || response?.status === "in_progress";
+    },
+    extractText: extractOutputText,
+    extractRefusal: extractRefusalText,
+    extractUsage,
+    describe
+  };
+}
+
+function createClient({ apiKey, baseURL }) {
+  if (!apiKey) {
+    return null;
+  }
+  return new OpenAI({
+    apiKey,
+    ...(baseURL ? { baseURL } : {})
+  });
+}
+
+function buildPayload(model, request) {
+  const payload = {
+    model: request.model || model,
+    text: {
+      verbosity: "low"
+    },
+    input: []
+  };
+
+  if (request.previousResponseId) {
+    payload.previous_response_id = request.previousResponseId;
+  }
+
+  if (request.instructions) {
+    payload.input.push({
+      role: "system",
+      content: [{ type: "input_text", text: request.instructions }]
+    });
+  }
+
+  (request.messages || []).forEach(({ role, content }) => {
+    payload.input.push({
+      role,
+      content: [{ type: role === "assistant" ? "output_text" : "input_text", text: content }]
+    });
+  });
+
+  payload.input.push({
+    role: "user",
+    content: [{ type: "input_text", text: request.input }]
+  });
+
+  if (Number.isFinite(request.maxOutputTokens) && request.maxOutputTokens > 0) {
+    payload.max_output_tokens = Math.floor(request.maxOutputTokens);
+  }
+
+  if (request.responseFormat) {
+    payload.text.format = {
+      type: "json_schema",
+      name: request.responseFormat.name,
+      schema: request.responseFormat.schema,
+      strict: true
+    };
+  }
+
+  if (request.webSearch) {
+    payload.tools = [{ type: "web_search" }];
+  }
+
+  return payload;
+}
+
+async function streamResponse(client, payload, hooks, signal) {
+  const stream = await client.responses.create({ ...payload, stream: true }, { signal });
+  let finalResponse = null;
+
+  for await (const event of stream) {
+    if (event?.type === "response.output_text.delta") {
+      if (!signal?.aborted && typeof event.delta === "string" && event.delta) {
+        hooks.onDelta(event.delta);
+      }
+    } else if (
+      event?.type === "response.completed" ||
+      event?.type === "response.incomplete" ||
+      event?.type === "response.failed"
+    ) {
+      finalResponse = event.response || null;
+    } else if (event?.type === "error") {
+      const streamError = new Error(event.message || "OpenAI stream error");
+      streamError.status = 502;
+      throw streamError;
+    }
+  }
+
+  if (!finalResponse) {
+    const streamError = new Error("OpenAI stream terminato senza risposta finale.");
+    streamError.status = 502;
+    throw streamError;
+  }
+
+  return finalResponse;
+}
+
+function extractUsage(response) {
+  const usage = response?.usage || {};
+  const outputDetails = usage?.output_tokens_details || usage?.output_token_details || {};
+  return {
+    input_tokens: toFiniteNumber(usage?.input_tokens),
+    output_tokens: toFiniteNumber(usage?.output_tokens),
+    total_tokens: toFiniteNumber(usage?.total_tokens),
+    reasoning_tokens: toFiniteNumber(
+      outputDetails?.reasoning_tokens ?? usage?.reasoning_tokens
+    )
+  };
+}
+
+function describe(response) {
+  const outputItems = Array.isArray(response?.output) ? response.output : [];
+  return {
+    id: response?.id || "",
+    status: response?.status || "",
+    incompleteReason: getIncompleteReason(response),
+    outputTypes: outputItems.map((item) => item?.type || "unknown"),
+    hasOutputText: hasOutputItemText(outputItems),
+    hasRefusal: hasOutputItemRefusal(outputItems)
+  };
+}
+
+module.exports = {
+  TYPE,
+  createOpenAIResponsesProvider
+};
@@ -0,0 +1,215 @@
+"use strict";
+
+// Tolerant extractors shared by the OpenAI-shaped adapters: proxies and
+// compatible servers mix Responses items, output_text arrays and chat choices.
+
+function extractOutputText(response) {
+  if (response && typeof response.output_text === "string" && response.output_text.trim()) {
+    return response.output_text.trim();
+  }
+
+  if (
+    response &&
+    Array.isArray(response.output_text) &&
+    response.output_text.length > 0
+  ) {
+    const textFromArray = response.output_text
+      .map((part) => {
+        if (typeof part === "string") {
+          return part.trim();
+        }
+        if (typeof part?.text === "string") {
+          return part.text.trim();
+        }
+        if (typeof part?.value === "string") {
+          return part.value.trim();
+        }
+        return "";
+      })
+      .filter(Boolean)
+      .join("\n")
+      .trim();
+    if (textFromArray) {
+      return textFromArray;
+    }
+  }
+
+  if (!response || !Array.isArray(response.output)) {
+    return extractTextFromChoices(response);
+  }
+
+  const chunks = [];
+  response.output.forEach((item) => {
+    if (typeof item?.text === "string" && item.text.trim()) {
+      chunks.push(item.text.trim());
+    }
+
+    if (typeof item?.content === "string" && item.content.trim()) {
+      chunks.push(item.content.trim());
+      return;
+    }
+
+    if (!item || !Array.isArray(item.content)) {
+      return;
+    }
+    item.content.forEach((part) => {
+      if (typeof part === "string" && part.trim()) {
+        chunks.push(part.trim());
+        return;
+      }
+      if (typeof part?.text === "string" && part.text.trim()) {
+        chunks.push(part.text.trim());
+        return;
+      }
+      if (part?.type === "output_text" && typeof part?.text === "string" && part.text.trim()) {
+        chunks.push(part.text.trim());
+      }
+    });
+  });
+
+  const output = chunks.join("\n").trim();
+  if (output) {
+    return output;
+  }
+
+  return extractTextFromChoices(response);
+}
+
+function extractRefusalText(response) {
+  const chunks = [];
+
+  if (Array.isArray(response?.output)) {
+    response.output.forEach((item) => {
+      if (typeof item?.refusal === "string" && item.refusal.trim()) {
+        chunks.push(item.refusal.trim());
+      }
+
+      if (!Array.isArray(item?.content)) {
+        return;
+      }
+
+      item.content.forEach((part) => {
+        if (typeof part?.refusal === "string" && part.refusal.trim()) {
+          chunks.push(part.refusal.trim());
+          return;
+        }
+
+        if (part?.type === "refusal" && typeof part?.text === "string" && part.text.trim()) {
+          chunks.push(part.text.trim());
+        }
+      });
+    });
+  }
+
+  if (chunks.length > 0) {
+    return chunks.join("\n").trim();
+  }
+
+  const choices = Array.isArray(response?.choices) ? response.choices : [];
+  const refusalChunks = [];
+  choices.forEach((choice) => {
+    const directRefusal = choice?.message?.refusal;
+    if (typeof directRefusal === "string" && directRefusal.trim()) {
+      refusalChunks.push(directRefusal.trim());
+      return;
+    }
+
+    const content = choice?.message?.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+    content.forEach((part) => {
+      if (typeof part?.refusal === "string" && part.refusal.trim()) {
+        refusalChunks.push(part.refusal.trim());
+      }
+    });
+  });
+
+  return refusalChunks.join("\n").trim();
+}
+
+function extractTextFromChoices(response) {
+  const choices = Array.isArray(response?.choices) ? response.choices : [];
+  if (choices.length === 0) {
+    return "";
+  }
+
+  const chunks = [];
+  choices.forEach((choice) => {
+    const content = choice?.message?.content;
+    if (typeof content === "string" && content.trim()) {
+      chunks.push(content.trim());
+      return;
+    }
+
+    if (Array.isArray(content)) {
+      content.forEach((part) => {
+        if (typeof part === "string" && part.trim()) {
+          chunks.push(part.trim());
+          return;
+        }
+        if (typeof part?.text === "string" && part.text.trim()) {
+          chunks.push(part.text.trim());
+        }
+      });
+    }
+  });
+
+  return chunks.join("\n").trim();
+}
+
+function getIncompleteReason(response) {
+  return response?.incomplete_details?.reason || "";
+}
+
+function hasOutputItemText(outputItems) {
+  return outputItems.some((item) => {
+    if (typeof item?.text === "string" && item.text.trim()) {
+      return true;
+    }
+    if (!Array.isArray(item?.content)) {
+      return false;
+    }
+    return item.content.some((part) => {
+      if (typeof part === "string" && part.trim()) {
+        return true;
+      }
+      return part?.type === "output_text" && typeof part?.text === "string" && part.text.trim();
+    });
+  });
+}
+
+function hasOutputItemRefusal(outputItems) {
+  return outputItems.some((item) => {
+    if (typeof item?.refusal === "string" && item.refusal.trim()) {
+      return true;
+    }
+    if (!Array.isArray(item?.content)) {
+      return false;
+    }
+    return item.content.some((part) => {
+      if (typeof part?.refusal === "string" && part.refusal.trim()) {
+        return true;
+      }
+      return part?.type === "refusal" && typeof part?.text === "string" && part.text.trim();
+    });
+  });
+}
+
+function toFiniteNumber(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return Math.max(0, Math.floor(parsed));
+}
+
+module.exports = {
+  extractOutputText,
+  extractRefusalText,
+  extractTextFromChoices,
+  getIncompleteReason,
+  hasOutputItemText,
+  hasOutputItemRefusal,
+  toFiniteNumber
+};
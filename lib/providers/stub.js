@@ -0,0 +1,206 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createOpenAIChatProvider } = require("./openai-chat");
+const { STRUCTURED_SECTIONS } = require("../../template-renderer");
+
+const TYPE = "stub";
+
+// Offline provider for evaluations and demos: it speaks chat.completions
+// through an in-process client, so the pipeline sees exactly what a chat
+// provider returns. script is an array (or the path of a JSON file holding
+// one) of rules { match?, replies: [reply] }; the first rule whose match is
+// found in the request input answers with its next reply, and the last reply
+// repeats once the sequence is over. A reply is one of
+//   { text, delayMs? }                 "{{prompt}}" is replaced by the user prompt
+//   { empty: true, finishReason? }     no text ("length" simulates max_output_tokens)
+//   { refusal }
+//   { error: 503, message? }           thrown like an upstream HTTP error
+// Without a matching rule the stub answers with one "item: prompt" line per
+// bullet of the instructions, so changes to the instructions show up in the
+// evaluated output.
+function createStubProvider(options = {}) {
+  const rules = loadScript(options.script, options.baseDir);
+  const counters = new Map();
+  let callCount = 0;
+
+  const client = {
+    chat: {
+      completions: {
+        async create(payload, { signal } = {}) {
+          callCount += 1;
+          const reply = nextReply(rules, counters, payload);
+          if (reply.delayMs > 0) {
+            await waitFor(reply.delayMs, signal);
+          }
+          const completion = buildCompletion(payload, reply, callCount);
+          return payload.stream ? streamChunks(completion) : completion;
+        }
+      }
+    }
+  };
+
+  const chat = createOpenAIChatProvider({
+    client,
+    model: options.model || "stub",
+    label: "Stub chat.completions"
+  });
+
+  return {
+    ...chat,
+    type: TYPE,
+    capabilities: {
+      ...chat.capabilities,
+      local: true
+    },
+    getConfigurationError() {
+      return "";
+    },
+    debugInfo() {
+      return {
+        scripted_rules: rules.length,
+        calls: callCount
+      };
+    }
+  };
+}
+
+function loadScript(script, baseDir) {
+  if (!script) {
+    return [];
+  }
+  const rules = Array.isArray(script)
+    ? script
+    : JSON.parse(fs.readFileSync(path.resolve(baseDir || process.cwd(), String(script)), "utf8"));
+  if (!Array.isArray(rules)) {
+    throw new Error("Lo script del provider stub deve essere un array di regole.");
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || !Array.isArray(rule.replies) || rule.replies.length === 0) {
+      throw new Error(`Script stub, regola ${index}: replies deve essere un array non vuoto.`);
+    }
+  });
+  return rules;
+}
+
+function nextReply(rules, counters, payload) {
+  const input = readUserInput(payload);
+  const index = rules.findIndex((rule) => !rule.match || input.toLowerCase().includes(String(rule.match).toLowerCase()));
+  if (index === -1) {
+    return { text: buildEchoText(payload) };
+  }
+  const position = counters.get(index) || 0;
+  counters.set(index, position + 1);
+  const { replies } = rules[index];
+  return replies[Math.min(position, replies.length - 1)];
+}
+
+function buildCompletion(payload, reply, callCount) {
+  if (reply.error) {
+    const error = new Error(reply.message || `Errore simulato ${reply.error}`);
+    error.status = Number(reply.error) || 500;
+    throw error;
+  }
+
+  let content = "";
+  if (!reply.empty && !reply.refusal) {
+    content = typeof reply.text === "string"
+      ? reply.text.split("{{prompt}}").join(extractUserPrompt(readUserInput(payload)))
+      : buildEchoText(payload);
+  }
+
+  const promptTokens = estimateTokens(payload.messages.map((message) => message.content).join("\n"));
+  const completionTokens = estimateTokens(content);
+  return {
+    id: `stub-${callCount}`,
+    object: "chat.completion",
+    model: payload.model,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content, refusal: reply.refusal || null },
+        finish_reason: reply.empty ? reply.finishReason || "stop" : "stop"
+      }
+    ],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+// JSON mode answers with every structured section, plain mode with the bullets
+// listed in the instructions.
+function buildEchoText(payload) {
+  const prompt = extractUserPrompt(readUserInput(payload));
+  if (payload.response_format) {
+    return JSON.stringify(
+      Object.fromEntries(STRUCTURED_SECTIONS.map(({ key, list }) => [key, list ? [prompt] : prompt]))
+    );
+  }
+  const system = payload.messages.find((message) => message.role === "system")?.content || "";
+  const items = system
+    .split("\n")
+    .map((line) => line.match(/^-\s+(.+)$/)?.[1])
+    .filter(Boolean);
+  if (items.length === 0) {
+    return prompt;
+  }
+  return items.map((item) => `${item}: ${prompt}`).join("\n");
+}
+
+function readUserInput(payload) {
+  const messages = Array.isArray(payload.messages) ? payload.messages : [];
+  const last = messages[messages.length - 1];
+  return typeof last?.content === "string" ? last.content : "";
+}
+
+// Retries end with "Prompt di partenza:" and the prompt, the first request has
+// the prompt after its opening line.
+function extractUserPrompt(input) {
+  const marker = "Prompt di partenza:\n";
+  const markerIndex = input.lastIndexOf(marker);
+  if (markerIndex !== -1) {
+    return input.slice(markerIndex + marker.length).trim();
+  }
+  const separator = input.indexOf("\n\n");
+  return (separator === -1 ? input : input.slice(separator + 2)).trim();
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+async function* streamChunks(completion) {
+  const { content, refusal } = completion.choices[0].message;
+  if (content) {
+    yield { id: completion.id, model: completion.model, choices: [{ index: 0, delta: { content } }] };
+  }
+  if (refusal) {
+    yield { id: completion.id, model: completion.model, choices: [{ index: 0, delta: { refusal } }] };
+  }
+  yield {
+    id: completion.id,
+    model: completion.model,
+    choices: [{ index: 0, delta: {}, finish_reason: completion.choices[0].finish_reason }],
+    usage: completion.usage
+  };
+}
+
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason || new Error("Richiesta annullata."));
+    }, { once: true });
+  });
+}
+
+module.exports = {
+  TYPE,
+  createStubProvider,
+  extractUserPrompt
+};
@@ -0,0 +1,103 @@
+"use strict";
+
+const BUCKET_SWEEP_INTERVAL_MS = 60000;
+
+// Token bucket keyed by client id: each bucket holds up to `burst` tokens and
+// regains `perMinute` tokens per minute. Full buckets are swept periodically so
+// the map only holds clients that are actually being throttled.
+function createTokenBucketLimiter({ burst, perMinute }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, id) => {
+      if (refill(bucket, now) >= burst) {
+        buckets.delete(id);
+      }
+    });
+  }, BUCKET_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    burst,
+    perMinute,
+    check,
+    take
+  };
+
+  // count > 1 charges several requests at once (a batch). check answers without
+  // consuming, so a request limited by several buckets only pays once all of
+  // them allow it.
+  function check(id, count = 1) {
+    const tokens = refill(getBucket(id), Date.now());
+    if (tokens < count) {
+      return {
+        allowed: false,
+        remaining: Math.floor(tokens),
+        retryAfterMs: Math.ceil((count - tokens) / refillPerMs)
+      };
+    }
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - count),
+      retryAfterMs: 0
+    };
+  }
+
+  function take(id, count = 1) {
+    const decision = check(id, count);
+    if (decision.allowed) {
+      buckets.get(id).tokens -= count;
+    }
+    return decision;
+  }
+
+  function getBucket(id) {
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: Date.now() };
+      buckets.set(id, bucket);
+    }
+    return bucket;
+  }
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    return bucket.tokens;
+  }
+}
+
+function createConcurrencyLimiter({ max }) {
+  let active = 0;
+
+  return {
+    max,
+    get active() {
+      return active;
+    },
+    tryAcquire
+  };
+
+  // Returns a release function, or null when the cap is reached. Releasing
+  // twice is a no-op so callers can wire it to several response events.
+  function tryAcquire() {
+    if (active >= max) {
+      return null;
+    }
+    active += 1;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        active -= 1;
+      }
+    };
+  }
+}
+
+module.exports = {
+  createTokenBucketLimiter,
+  createConcurrencyLimiter
+};
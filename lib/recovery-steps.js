@@ -0,0 +1,198 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { toPositiveInt } = require("./env");
+
+const STEP_KINDS = ["request", "finalize"];
+const TOKEN_MODES = ["initial", "retry", "token_pressure", "adaptive"];
+
+// The recovery ladder run on every hop, in order, until a step produces text.
+// kind "request" sends a new request built from `instruction`; kind
+// "finalize" asks the provider to close the previous response and is skipped
+// when the hop cannot finalize. webSearch false marks the no-web phase
+// (usedNoWebRecovery). tokenMode "adaptive" switches to the token_pressure
+// budget when the previous response was cut by max_output_tokens. After a
+// refusal only the steps that set retryOnRefusal still run.
+const DEFAULT_RECOVERY_STEPS = [
+  {
+    id: "initial_web_search",
+    kind: "request",
+    webSearch: true,
+    tokenMode: "initial",
+    instruction: "improve",
+    label: "initial"
+  },
+  {
+    id: "retry_web_search_direct_text",
+    kind: "request",
+    webSearch: true,
+    tokenMode: "adaptive",
+    instruction: "direct_text",
+    label: "retry-empty-output",
+    retryOnRefusal: true
+  },
+  {
+    id: "finalize_from_previous_web_search",
+    kind: "finalize",
+    webSearch: true,
+    tokenMode: "adaptive",
+    instruction: "finalize",
+    label: "finalize-from-previous"
+  },
+  {
+    id: "retry_model_only",
+    kind: "request",
+    webSearch: false,
+    tokenMode: "adaptive",
+    instruction: "model_only",
+    label: "model-only retry-empty-output"
+  },
+  {
+    id: "finalize_from_previous_model_only",
+    kind: "finalize",
+    webSearch: false,
+    tokenMode: "adaptive",
+    instruction: "finalize",
+    label: "finalize-from-previous"
+  }
+];
+
+// Built-in inputs, called with { prompt, profile, tokenLimited }. The finalize
+// text is sent on its own when the provider keeps the previous response,
+// otherwise the executor appends the prompt to it.
+const RECOVERY_INSTRUCTIONS = {
+  improve: ({ prompt }) => buildImprovementInput(prompt),
+  direct_text: ({ prompt, profile, tokenLimited }) =>
+    [
+      `Genera direttamente il prompt finale ottimizzato ${describeOutputForm(profile)}.`,
+      "Nessuna spiegazione extra.",
+      tokenLimited
+        ? "Mantieni il risultato molto conciso (massimo 12 righe operative)."
+        : "Mantieni il risultato conciso e operativo.",
+      "",
+      "Prompt di partenza:",
+      prompt
+    ].join("\n"),
+  model_only: ({ prompt, profile, tokenLimited }) =>
+    [
+      `Genera direttamente il prompt finale ottimizzato ${describeOutputForm(profile)}.`,
+      "Nessuna spiegazione extra.",
+      "Nessuna chiamata a strumenti esterni.",
+      tokenLimited
+        ? "Output compatto: massimo 12 righe operative."
+        : "Output conciso e subito applicabile.",
+      "",
+      "Prompt di partenza:",
+      prompt
+    ].join("\n"),
+  finalize: ({ profile, tokenLimited }) =>
+    [
+      "Usa i risultati gia raccolti e restituisci ORA solo il prompt finale ottimizzato.",
+      `Output ${profile.responseFormat ? "solo JSON" : "testuale puro"}, nessuna introduzione e nessuna spiegazione.`,
+      tokenLimited
+        ? "Formato compatto: massimo 12 righe operative."
+        : "Mantieni il testo conciso e operativo."
+    ].join("\n")
+};
+
+// RECOVERY_LADDER and the recovery field of AI_PROVIDER_CHAIN entries: an inline
+// JSON array or the path of a JSON file holding one.
+function loadRecoveryConfig(value, baseDir) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return null;
+  }
+  const text = raw.startsWith("[")
+    ? raw
+    : fs.readFileSync(path.resolve(baseDir || process.cwd(), raw), "utf8");
+  return JSON.parse(text);
+}
+
+// config lists the steps to run, in order: a built-in id, or an object that
+// overrides a built-in step ({ id, ...fields }) or defines a new one (it then
+// needs kind and instruction or instructionTemplate). Steps with enabled: false
+// are dropped. Without config the default ladder is used.
+function resolveRecoverySteps(config, where = "RECOVERY_LADDER") {
+  if (config === undefined || config === null) {
+    return DEFAULT_RECOVERY_STEPS;
+  }
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error(`${where} deve essere un array non vuoto di passi.`);
+  }
+
+  const steps = config
+    .map((entry, index) => resolveStep(typeof entry === "string" ? { id: entry } : entry, `${where}[${index}]`))
+    .filter((step) => step.enabled !== false);
+  if (steps.length === 0) {
+    throw new Error(`${where}: tutti i passi sono disattivati.`);
+  }
+  return steps;
+}
+
+function resolveStep(entry, where) {
+  if (!entry || typeof entry !== "object" || !entry.id) {
+    throw new Error(`${where}: ogni passo deve avere un id.`);
+  }
+  const builtIn = DEFAULT_RECOVERY_STEPS.find((step) => step.id === entry.id);
+  if (!builtIn && !entry.kind) {
+    throw new Error(`${where}: passo sconosciuto "${entry.id}" (per un passo nuovo indica kind).`);
+  }
+
+  const step = {
+    label: String(entry.id),
+    tokenMode: "adaptive",
+    webSearch: false,
+    ...builtIn,
+    ...entry,
+    timeoutMs: entry.timeoutMs === undefined ? undefined : toPositiveInt(entry.timeoutMs, undefined)
+  };
+  if (!STEP_KINDS.includes(step.kind)) {
+    throw new Error(`${where}: kind "${step.kind}" non valido (${STEP_KINDS.join(", ")}).`);
+  }
+  if (!TOKEN_MODES.includes(step.tokenMode)) {
+    throw new Error(`${where}: tokenMode "${step.tokenMode}" non valido (${TOKEN_MODES.join(", ")}).`);
+  }
+  if (entry.timeoutMs !== undefined && !step.timeoutMs) {
+    throw new Error(`${where}: timeoutMs deve essere un numero positivo.`);
+  }
+  if (step.instructionTemplate !== undefined) {
+    step.instructionTemplate = String(step.instructionTemplate);
+  } else if (!step.instruction) {
+    throw new Error(`${where}: il passo "${step.id}" richiede instruction o instructionTemplate.`);
+  } else if (!RECOVERY_INSTRUCTIONS[step.instruction]) {
+    throw new Error(
+      `${where}: instruction "${step.instruction}" sconosciuta (${Object.keys(RECOVERY_INSTRUCTIONS).join(", ")}).`
+    );
+  }
+  return step;
+}
+
+// instructionTemplate accepts {{prompt}} and {{output_form}}.
+function buildStepInstruction(step, { prompt, profile, tokenLimited }) {
+  if (typeof step.instructionTemplate === "string") {
+    return step.instructionTemplate
+      .split("{{prompt}}")
+      .join(prompt)
+      .split("{{output_form}}")
+      .join(describeOutputForm(profile));
+  }
+  return RECOVERY_INSTRUCTIONS[step.instruction]({ prompt, profile, tokenLimited });
+}
+
+function buildImprovementInput(prompt) {
+  return `Migliora questo prompt rendendolo specifico e operativo:\n\n${prompt}`;
+}
+
+function describeOutputForm(profile) {
+  return profile.responseFormat ? "come oggetto JSON con le chiavi richieste" : "in testo semplice";
+}
+
+module.exports = {
+  DEFAULT_RECOVERY_STEPS,
+  loadRecoveryConfig,
+  resolveRecoverySteps,
+  buildStepInstruction,
+  buildImprovementInput,
+  describeOutputForm
+};
@@ -0,0 +1,138 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// In-memory LRU (Map insertion order) with per-entry TTL. When persistPath is
+// set the entries are mirrored to a JSON file so a restart keeps warm results.
+function createResultCache({ maxEntries, ttlMs, persistPath }) {
+  const entries = new Map();
+  let persistTimer = null;
+
+  if (persistPath) {
+    loadPersistedEntries();
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    clear,
+    get size() {
+      return entries.size;
+    }
+  };
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      schedulePersist();
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function set(key, value) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    schedulePersist();
+  }
+
+  function remove(key) {
+    if (entries.delete(key)) {
+      schedulePersist();
+    }
+  }
+
+  function clear() {
+    entries.clear();
+    schedulePersist();
+  }
+
+  function loadPersistedEntries() {
+    try {
+      const raw = fs.readFileSync(persistPath, "utf8");
+      const stored = JSON.parse(raw);
+      const now = Date.now();
+      (Array.isArray(stored?.entries) ? stored.entries : []).forEach((item) => {
+        if (!item || typeof item.key !== "string" || !(item.expiresAt > now)) {
+          return;
+        }
+        entries.set(item.key, {
+          value: item.value,
+          storedAt: item.storedAt,
+          expiresAt: item.expiresAt
+        });
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        console.warn(`Cache risultati: impossibile leggere ${persistPath}: ${error.message}`);
+      }
+    }
+  }
+
+  function schedulePersist() {
+    if (!persistPath || persistTimer) {
+      return;
+    }
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persistEntries();
+    }, PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  function persistEntries() {
+    const snapshot = {
+      entries: Array.from(entries, ([key, entry]) => ({ key, ...entry }))
+    };
+    const tempPath = `${persistPath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+      fs.renameSync(tempPath, persistPath);
+    } catch (error) {
+      console.warn(`Cache risultati: impossibile scrivere ${persistPath}: ${error.message}`);
+    }
+  }
+}
+
+function buildCacheKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+// Maps a Cache-Control style directive (header or body field) to read/write flags:
+// "no-cache" skips the lookup but stores the fresh result, "no-store" skips both.
+function parseCacheDirective(value) {
+  const directives = String(value || "")
+    .toLowerCase()
+    .split(",")
+    .map((directive) => directive.trim());
+  const noStore = directives.includes("no-store");
+  return {
+    read: !noStore && !directives.includes("no-cache"),
+    write: !noStore
+  };
+}
+
+module.exports = {
+  createResultCache,
+  buildCacheKey,
+  parseCacheDirective
+};
@@ -0,0 +1,173 @@
+"use strict";
+
+const { STRUCTURED_SECTIONS, renderStructuredPrompt } = require("../template-renderer");
+
+const DEFAULT_FORMAT = "text";
+const OUTPUT_FORMATS = ["text", "structured"];
+
+const STRUCTURED_OUTPUT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: STRUCTURED_SECTIONS.map((section) => section.key),
+  properties: Object.fromEntries(
+    STRUCTURED_SECTIONS.map(({ key, list }) => [
+      key,
+      list ? { type: "array", items: { type: "string" } } : { type: "string" }
+    ])
+  )
+};
+
+const STRUCTURED_INSTRUCTIONS = `
+Formato di risposta: un solo oggetto JSON valido, senza testo prima o dopo e senza blocchi di codice.
+Chiavi obbligatorie:
+- "role": ruolo dell'assistente (stringa)
+- "objective": obiettivo preciso (stringa)
+- "context": contesto specifico (stringa)
+- "constraints": vincoli e criteri di qualita (array di stringhe)
+- "output_format": formato output richiesto (stringa)
+- "clarifying_questions": domande chiarificatrici, massimo 3 (array di stringhe, anche vuoto)
+`.trim();
+
+// Line labels recognised when a plain-text answer has to be split into
+// sections, matched on the text before the first ":".
+const SECTION_LABEL_PATTERNS = {
+  role: /^(ruolo|role)\b/,
+  objective: /^(obiettivo|objective|goal)\b/,
+  context: /^(contesto|context|richiesta)\b/,
+  constraints: /^(vincoli|constraints)\b/,
+  output_format: /^(formato|output)\b/,
+  clarifying_questions: /^(domande|clarifying|questions)\b/
+};
+
+function resolveOutputFormat(value) {
+  const id = String(value || DEFAULT_FORMAT).trim().toLowerCase();
+  return OUTPUT_FORMATS.includes(id) ? id : null;
+}
+
+// Same profile, asking for JSON: the schema goes to providers that support it,
+// the instructions cover the ones that only have a generic JSON mode.
+function withStructuredOutput(profile) {
+  return {
+    ...profile,
+    instructions: `${profile.instructions}\n\n${STRUCTURED_INSTRUCTIONS}`,
+    responseFormat: {
+      name: "improved_prompt",
+      schema: STRUCTURED_OUTPUT_SCHEMA
+    }
+  };
+}
+
+// Returns { sections } or { error } with the reason the text was rejected.
+function parseStructuredOutput(text) {
+  const json = extractJsonObject(text);
+  if (!json) {
+    return { error: "nessun oggetto JSON nella risposta" };
+  }
+
+  let data = null;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { error: `JSON non valido: ${error.message}` };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { error: "la risposta non e un oggetto JSON" };
+  }
+
+  const sections = {};
+  for (const { key, list } of STRUCTURED_SECTIONS) {
+    const value = data[key];
+    if (list) {
+      if (value === undefined || value === null) {
+        sections[key] = [];
+      } else if (typeof value === "string") {
+        sections[key] = splitListText(value);
+      } else if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+        sections[key] = value.map((item) => item.trim()).filter(Boolean);
+      } else {
+        return { error: `il campo ${key} deve essere un array di stringhe` };
+      }
+    } else if (value === undefined || value === null) {
+      sections[key] = "";
+    } else if (typeof value === "string") {
+      sections[key] = value.trim();
+    } else {
+      return { error: `il campo ${key} deve essere una stringa` };
+    }
+  }
+
+  if (!sections.role || !sections.objective) {
+    return { error: "i campi role e objective sono obbligatori" };
+  }
+  return { sections };
+}
+
+// Last resort when the model never produced valid JSON: labelled lines start a
+// section, anything before the first label is treated as the objective.
+function sectionsFromPlainText(text) {
+  const buffers = Object.fromEntries(STRUCTURED_SECTIONS.map(({ key }) => [key, []]));
+  let current = "objective";
+
+  String(text || "").replace(/\r\n/g, "\n").split("\n").forEach((rawLine) => {
+    const line = rawLine.replace(/^[#>\s]+/, "").replace(/\*\*/g, "").trim();
+    const label = matchSectionLabel(line);
+    if (label) {
+      current = label.key;
+      if (label.rest) {
+        buffers[current].push(label.rest);
+      }
+      return;
+    }
+    buffers[current].push(line);
+  });
+
+  const sections = {};
+  STRUCTURED_SECTIONS.forEach(({ key, list }) => {
+    const joined = buffers[key].join("\n").trim();
+    sections[key] = list ? splitListText(joined) : joined;
+  });
+  return sections;
+}
+
+function matchSectionLabel(line) {
+  const match = line.match(/^([^:]{1,40}):\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const name = match[1].trim().toLowerCase();
+  const key = Object.keys(SECTION_LABEL_PATTERNS).find((candidate) =>
+    SECTION_LABEL_PATTERNS[candidate].test(name)
+  );
+  return key ? { key, rest: match[2].trim() } : null;
+}
+
+function splitListText(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean);
+}
+
+function extractJsonObject(text) {
+  const unfenced = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    return "";
+  }
+  return unfenced.slice(start, end + 1);
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  OUTPUT_FORMATS,
+  STRUCTURED_OUTPUT_SCHEMA,
+  resolveOutputFormat,
+  withStructuredOutput,
+  parseStructuredOutput,
+  sectionsFromPlainText,
+  renderStructuredPrompt
+};
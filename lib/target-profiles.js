@@ -0,0 +1,130 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const DEFAULT_TARGET = "chat";
+
+// A target profile describes who will consume the generated prompt. Each one has
+// its own system instructions, a length budget (maxWords is appended to the
+// instructions, maxOutputTokens replaces MAX_OUTPUT_TOKENS; 0 keeps the server
+// default) and a default template in templates/ with the same `target` for the
+// local fallback. structuredOutput tells whether format "structured" makes sense
+// for the target.
+const TARGET_PROFILES = {
+  chat: {
+    label: "Assistente chat",
+    structuredOutput: true,
+    maxWords: 0,
+    maxOutputTokens: 0,
+    instructions: `
+Sei un Prompt Engineer senior.
+Trasforma il prompt utente in un prompt molto specifico, pratico e pronto da usare.
+Usa lo strumento web_search quando l'argomento beneficia di dati aggiornati.
+Non inventare fatti: se un dato non e verificabile, usa un segnaposto esplicito [DA CONFERMARE].
+Mantieni la lingua dell'utente.
+Restituisci solo il prompt finale, senza spiegazioni.
+
+Il prompt finale deve includere:
+- Ruolo dell'assistente
+- Obiettivo preciso
+- Contesto specifico
+- Vincoli e criteri di qualita
+- Formato output richiesto
+- Istruzione su eventuali domande chiarificatrici (max 3)
+`.trim()
+  },
+  "coding-agent": {
+    label: "Agente di coding",
+    structuredOutput: true,
+    maxWords: 350,
+    maxOutputTokens: 1800,
+    instructions: `
+Sei un Prompt Engineer senior specializzato in agenti di coding (es. assistenti che modificano un repository).
+Trasforma la richiesta dell'utente in un task eseguibile da un agente autonomo.
+Usa lo strumento web_search solo per verificare API, versioni o librerie citate.
+Non inventare percorsi, file o comandi: se non sono noti, usa un segnaposto esplicito [DA CONFERMARE].
+Mantieni la lingua dell'utente.
+Restituisci solo il prompt finale, senza spiegazioni.
+
+Il prompt finale deve includere, in sezioni brevi:
+- Obiettivo del task in una frase
+- Contesto tecnico (stack, file o moduli coinvolti, comportamento attuale)
+- Passi suggeriti, in ordine
+- Vincoli (cosa non modificare, stile, compatibilita)
+- Criteri di accettazione verificabili (test o comandi da eseguire)
+- Cosa consegnare alla fine (diff, riepilogo, note)
+`.trim()
+  },
+  image: {
+    label: "Generatore di immagini",
+    structuredOutput: false,
+    maxWords: 120,
+    maxOutputTokens: 0,
+    instructions: `
+Sei un Prompt Engineer senior specializzato in generatori di immagini (Midjourney, Stable Diffusion, DALL-E).
+Trasforma la richiesta dell'utente in un prompt visivo in inglese, anche se l'utente scrive in un'altra lingua.
+Non usare strumenti esterni se non per verificare uno stile artistico o un riferimento citato.
+Restituisci solo il prompt, senza spiegazioni e senza titoli.
+
+Struttura:
+- Prima riga: soggetto, azione, ambientazione, stile, composizione, luce, palette, obiettivo o tecnica, dettagli di qualita, separati da virgole
+- Seconda riga: "Negative prompt:" seguito dagli elementi da evitare
+- Terza riga (solo se utile): parametri suggeriti come --ar 16:9 --style raw
+`.trim()
+  },
+  "agent-system": {
+    label: "System prompt per agenti",
+    structuredOutput: true,
+    maxWords: 500,
+    maxOutputTokens: 2400,
+    instructions: `
+Sei un Prompt Engineer senior specializzato in system prompt per agenti conversazionali e autonomi.
+Trasforma la richiesta dell'utente in un system prompt completo, in seconda persona ("Sei...", "Devi...").
+Usa lo strumento web_search quando il dominio richiede norme o dati aggiornati.
+Non inventare strumenti, policy o dati aziendali: usa un segnaposto esplicito [DA CONFERMARE].
+Mantieni la lingua dell'utente.
+Restituisci solo il system prompt, senza spiegazioni.
+
+Il system prompt deve includere:
+- Identita e missione dell'agente
+- Pubblico e tono
+- Capacita e uso degli strumenti disponibili
+- Regole e limiti (cosa non fare, privacy, sicurezza)
+- Procedura di lavoro passo per passo
+- Formato delle risposte
+- Quando chiedere chiarimenti o passare a un umano
+`.trim()
+  }
+};
+
+Object.values(TARGET_PROFILES).forEach((profile) => {
+  if (profile.maxWords > 0) {
+    profile.instructions += `\nLunghezza massima: ${profile.maxWords} parole.`;
+  }
+  // Changes whenever the instructions change, so cached results produced with
+  // older instructions are never served again.
+  profile.instructionsVersion = crypto
+    .createHash("sha256")
+    .update(profile.instructions)
+    .digest("hex")
+    .slice(0, 12);
+});
+
+function resolveTargetProfile(target) {
+  const id = String(target || DEFAULT_TARGET).trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(TARGET_PROFILES, id)) {
+    return null;
+  }
+  return { id, ...TARGET_PROFILES[id] };
+}
+
+function listTargetIds() {
+  return Object.keys(TARGET_PROFILES);
+}
+
+module.exports = {
+  DEFAULT_TARGET,
+  TARGET_PROFILES,
+  resolveTargetProfile,
+  listTargetIds
+};
@@ -0,0 +1,95 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const SECTION_STYLES = ["plain", "numbered", "bullets"];
+
+// Reads every *.json file in dir into { version, templates }. Templates are
+// sorted by priority (then category) because the renderer picks the first
+// keyword match; version changes whenever any file changes.
+function loadTemplateLibrary(dir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .sort();
+
+  const templates = files.map((fileName) => {
+    const filePath = path.join(dir, fileName);
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Template ${fileName} non valido: ${error.message}`);
+    }
+    const problem = validateTemplate(template);
+    if (problem) {
+      throw new Error(`Template ${fileName} non valido: ${problem}`);
+    }
+    return {
+      category: template.category,
+      target: template.target || "chat",
+      label: template.label || template.category,
+      priority: Number(template.priority) || 0,
+      default: Boolean(template.default),
+      keywords: template.keywords.map((keyword) => keyword.toLowerCase()),
+      separator: template.separator === "blank" ? "blank" : "none",
+      sections: template.sections
+    };
+  });
+
+  const categories = new Set();
+  templates.forEach((template) => {
+    if (categories.has(template.category)) {
+      throw new Error(`Categoria template duplicata: ${template.category}.`);
+    }
+    categories.add(template.category);
+  });
+
+  templates.sort(
+    (left, right) => left.priority - right.priority || left.category.localeCompare(right.category)
+  );
+
+  const version = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(templates))
+    .digest("hex")
+    .slice(0, 12);
+
+  return { version, templates };
+}
+
+function validateTemplate(template) {
+  if (!template || typeof template !== "object") {
+    return "il file deve contenere un oggetto JSON.";
+  }
+  if (typeof template.category !== "string" || !template.category.trim()) {
+    return "manca category.";
+  }
+  if (template.target !== undefined && (typeof template.target !== "string" || !template.target.trim())) {
+    return "target deve essere una stringa non vuota.";
+  }
+  if (!Array.isArray(template.keywords) || template.keywords.some((keyword) => typeof keyword !== "string")) {
+    return "keywords deve essere un array di stringhe.";
+  }
+  if (!Array.isArray(template.sections) || template.sections.length === 0) {
+    return "sections deve essere un array non vuoto.";
+  }
+  for (const section of template.sections) {
+    if (!Array.isArray(section?.lines) || section.lines.some((line) => typeof line !== "string")) {
+      return "ogni sezione deve avere lines (array di stringhe).";
+    }
+    if (section.title !== undefined && typeof section.title !== "string") {
+      return "title deve essere una stringa.";
+    }
+    if (section.style !== undefined && !SECTION_STYLES.includes(section.style)) {
+      return `style deve essere uno tra ${SECTION_STYLES.join(", ")}.`;
+    }
+  }
+  return "";
+}
+
+module.exports = {
+  loadTemplateLibrary
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createTimeoutError(message, timeoutMs, label) {
+  const timeoutError = new Error(message);
+  timeoutError.code = "TIMEOUT";
+  timeoutError.timeoutMs = timeoutMs;
+  timeoutError.label = label;
+  return timeoutError;
+}
+
+function isTimeoutError(error) {
+  const message = String(error?.message || "").toLowerCase();
+  return (
+    error?.code === "TIMEOUT" ||
+    message.includes("timeout") ||
+    message.includes("timed out")
+  );
+}
+
+async function withTimeout(promise, timeoutMs, label) {
+  let timeoutHandle;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => {
+      reject(createTimeoutError(`${label} timeout (${timeoutMs}ms)`, timeoutMs, label));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+async function withAbortableTimeout(start, timeoutMs, label) {
+  const controller = new AbortController();
+  try {
+    return await withTimeout(start(controller.signal), timeoutMs, label);
+  } finally {
+    controller.abort();
+  }
+}
+
+module.exports = {
+  sleep,
+  createTimeoutError,
+  isTimeoutError,
+  withTimeout,
+  withAbortableTimeout
+};
@@ -0,0 +1,109 @@
+"use strict";
+
+const { toPositiveInt } = require("./env");
+const { createJsonlLog } = require("./jsonl-log");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Debug payloads by request id, stored like the history in an append-only JSON
+// Lines log (see lib/jsonl-log.js). Entries older than retentionMs are dropped
+// on load, on every write and on every read, so expired traces are never
+// returned.
+function createTraceStore({ filePath, retentionMs, maxEntries }) {
+  const log = createJsonlLog({ filePath, label: "Trace di debug" });
+  let entries = log.readEntries().slice(-maxEntries);
+  dropExpired();
+  log.compactIfNeeded(entries);
+
+  return {
+    add,
+    get,
+    list
+  };
+
+  // Only the summary fields the admin list filters on are copied out of debug.
+  function add({ requestId, route, status, debug }) {
+    const entry = {
+      id: requestId,
+      createdAt: new Date().toISOString(),
+      route,
+      status,
+      owner: debug.owner || null,
+      target: debug.target || null,
+      provider: debug.provider || null,
+      model: debug.model || null,
+      rootCause: debug.diagnosis?.root_cause || null,
+      usedLocalFallback: Boolean(debug.used_local_fallback),
+      usedProviderFailover: Boolean(debug.used_provider_failover),
+      recoveredFromEmptyOutput: Boolean(debug.recovered_from_empty_output),
+      cached: Boolean(debug.cache?.hit),
+      totalElapsedMs: Number.isFinite(debug.total_elapsed_ms) ? debug.total_elapsed_ms : null,
+      debug
+    };
+    entries.push(entry);
+    log.append(entry);
+    if (entries.length > maxEntries) {
+      entries = entries.slice(entries.length - maxEntries);
+    }
+    dropExpired();
+    log.compactIfNeeded(entries);
+    return entry;
+  }
+
+  function get(id) {
+    dropExpired();
+    return entries.find((entry) => entry.id === id) || null;
+  }
+
+  // Filters: rootCause, fallback (true/false), since and until (ISO dates).
+  // Results are newest first and leave out the debug payload.
+  function list({ rootCause, fallback, since, until, page, pageSize } = {}) {
+    dropExpired();
+    const size = Math.min(MAX_PAGE_SIZE, toPositiveInt(pageSize, DEFAULT_PAGE_SIZE));
+    const pageNumber = toPositiveInt(page, 1);
+    const sinceMs = Date.parse(since || "") || 0;
+    const untilMs = Date.parse(until || "") || Infinity;
+
+    const matches = [];
+    for (let index = entries.length - 1; index >= 0; index -= 1) {
+      const entry = entries[index];
+      const createdMs = Date.parse(entry.createdAt);
+      if (createdMs < sinceMs || createdMs > untilMs) {
+        continue;
+      }
+      if (rootCause && entry.rootCause !== rootCause) {
+        continue;
+      }
+      if (fallback !== undefined && entry.usedLocalFallback !== fallback) {
+        continue;
+      }
+      const { debug: _debug, ...summary } = entry;
+      matches.push(summary);
+    }
+
+    const start = (pageNumber - 1) * size;
+    return {
+      items: matches.slice(start, start + size),
+      total: matches.length,
+      page: pageNumber,
+      pageSize: size,
+      hasMore: start + size < matches.length,
+      rootCauses: Array.from(new Set(entries.map((entry) => entry.rootCause).filter(Boolean))).sort()
+    };
+  }
+
+  function dropExpired() {
+    const cutoff = Date.now() - retentionMs;
+    const firstLive = entries.findIndex((entry) => Date.parse(entry.createdAt) > cutoff);
+    if (firstLive === -1) {
+      entries = [];
+    } else if (firstLive > 0) {
+      entries = entries.slice(firstLive);
+    }
+  }
+}
+
+module.exports = {
+  createTraceStore
+};
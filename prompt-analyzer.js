@@ -0,0 +1,159 @@
+// Shared by the pipeline (require) and app.js (window.PromptAnalyzer): a
+// deterministic, offline check of the parts the target instructions ask for,
+// so raw and improved prompts are scored the same way on both sides.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PromptAnalyzer = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MIN_WORDS = 20;
+  const MAX_WORDS = 600;
+  // One vague term is tolerated every VAGUE_TERMS_WORDS words.
+  const VAGUE_TERMS_WORDS = 150;
+
+  // Image prompts are a line of keywords: only the generic checks apply there.
+  const SECTION_TARGETS_EXCLUDED = ["image"];
+
+  // weight values add up to 100. Section checks pass when any pattern matches.
+  const CHECKS = [
+    {
+      id: "role",
+      label: "Ruolo",
+      weight: 15,
+      section: true,
+      patterns: [
+        /^[\s#>*-]*(ruolo|role|identit[aà])(?![a-z])/im,
+        /\bsei (un|una|uno|l')/i,
+        /\b(agisci come|in qualita di|you are an?|act as)\b/i
+      ]
+    },
+    {
+      id: "objective",
+      label: "Obiettivo",
+      weight: 20,
+      section: true,
+      patterns: [/\b(obiettivo|scopo|missione|objective|goal)\b/i, /\b(il tuo compito|your task)\b/i]
+    },
+    {
+      id: "context",
+      label: "Contesto",
+      weight: 15,
+      section: true,
+      patterns: [/\b(contesto|context|background|scenario|pubblico|destinatari|audience|richiesta utente)\b/i]
+    },
+    {
+      id: "constraints",
+      label: "Vincoli",
+      weight: 15,
+      section: true,
+      patterns: [
+        /\b(vincol[oi]|constraints?|regole|requisiti|limiti|criteri)\b/i,
+        /\b(non (devi|usare|inventare)|evita|al massimo|do not|must not)\b/i
+      ]
+    },
+    {
+      id: "output_format",
+      label: "Formato output",
+      weight: 15,
+      section: true,
+      patterns: [
+        /\b(formato|format|struttura della risposta|output richiesto|consegna|deliverable)\b/i,
+        /\b(tabella|elenco puntato|json|markdown|cosa consegnare)\b/i
+      ]
+    },
+    { id: "ambiguity", label: "Ambiguita", weight: 10 },
+    { id: "length", label: "Lunghezza", weight: 5 },
+    { id: "placeholders", label: "Segnaposto", weight: 5 }
+  ];
+
+  const VAGUE_TERMS = [
+    "qualcosa",
+    "cose",
+    "roba",
+    "ecc",
+    "eccetera",
+    "etc",
+    "vari",
+    "varie",
+    "un po'",
+    "in qualche modo",
+    "abbastanza",
+    "interessante",
+    "something",
+    "stuff",
+    "things",
+    "nice"
+  ];
+  const VAGUE_TERM_PATTERNS = VAGUE_TERMS.map((term) => ({
+    term,
+    pattern: new RegExp(`(^|[^a-zà-ú'])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?=$|[^a-zà-ú])`, "gi")
+  }));
+
+  // [DA CONFERMARE], [INSERISCI NOME] and unrendered {{placeholders}}.
+  const PLACEHOLDER_PATTERN = /\[[A-ZÀ-Ú][A-ZÀ-Ú0-9 _'/-]{2,}\]|\{\{[^{}]+\}\}/g;
+
+  // Only text and target are used, so the same prompt always gets the same
+  // score on server and client. Returns { score, words, placeholders,
+  // vagueTerms, checks: [{ id, label, weight, applicable, passed, detail }] }
+  // where score (0-100) only counts the applicable checks.
+  function analyzePrompt(text, target) {
+    const value = String(text || "");
+    const words = value.split(/\s+/).filter(Boolean).length;
+    const placeholders = (value.match(PLACEHOLDER_PATTERN) || []).length;
+    const vague = findVagueTerms(value);
+    const sectionsApply = !SECTION_TARGETS_EXCLUDED.includes(target);
+
+    const checks = CHECKS.map(({ id, label, weight, section, patterns }) => {
+      const check = { id, label, weight, applicable: !section || sectionsApply, passed: false, detail: "" };
+      if (section) {
+        check.passed = check.applicable && patterns.some((pattern) => pattern.test(value));
+        check.detail = check.applicable ? "" : "non previsto per questo target";
+      } else if (id === "ambiguity") {
+        check.passed = vague.count <= Math.floor(words / VAGUE_TERMS_WORDS);
+        check.detail = vague.terms.length > 0 ? `termini vaghi: ${vague.terms.join(", ")}` : "nessun termine vago";
+      } else if (id === "length") {
+        check.passed = words >= MIN_WORDS && words <= MAX_WORDS;
+        check.detail = `${words} parole (${MIN_WORDS}-${MAX_WORDS})`;
+      } else if (id === "placeholders") {
+        check.passed = placeholders === 0;
+        check.detail = placeholders === 1 ? "1 segnaposto da completare" : `${placeholders} segnaposto da completare`;
+      }
+      return check;
+    });
+
+    const applicable = checks.filter((check) => check.applicable);
+    const totalWeight = applicable.reduce((total, check) => total + check.weight, 0);
+    const passedWeight = applicable
+      .filter((check) => check.passed)
+      .reduce((total, check) => total + check.weight, 0);
+
+    return {
+      score: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 0,
+      words,
+      placeholders,
+      vagueTerms: vague.terms,
+      checks
+    };
+  }
+
+  function findVagueTerms(text) {
+    const terms = [];
+    let count = 0;
+    VAGUE_TERM_PATTERNS.forEach(({ term, pattern }) => {
+      const matches = text.match(pattern);
+      if (matches) {
+        terms.push(term);
+        count += matches.length;
+      }
+    });
+    return { terms, count };
+  }
+
+  return {
+    analyzePrompt
+  };
+});
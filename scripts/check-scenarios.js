@@ -0,0 +1,119 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createImprovementPipeline } = require("../lib/pipeline");
+const { createProviderHopsFromEnv } = require("../lib/providers/config");
+const { loadTemplateLibrary } = require("../lib/templates");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const SCENARIOS_DIR = path.join(ROOT_DIR, "scenarios");
+const CHECKS_FILE = path.join(SCENARIOS_DIR, "checks.jsonl");
+// Every scenario prompt matches the "migliora questo prompt" rules.
+const DEFAULT_PROMPT = "migliora questo prompt: scrivi una mail al cliente per il ritardo della consegna";
+// Short enough for the hang scenario to time out quickly, with no retries.
+const HOP_SETTINGS = { timeoutMs: 300, timeoutRetries: 0, pollIntervalMs: 20, pollMaxWaitMs: 2000 };
+
+// Runs every scenario of scenarios/ through the real pipeline with the mock
+// provider, without .env and without network, and compares the outcome, the
+// recovery steps, the hop outcomes and diagnosis.root_cause with
+// scenarios/checks.jsonl. Exits with 1 on any difference or on a scenario that
+// has no check.
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const checks = readChecks(CHECKS_FILE);
+  const templateLibrary = loadTemplateLibrary(path.join(ROOT_DIR, "templates"));
+  const scenarioFiles = fs.readdirSync(SCENARIOS_DIR).filter((file) => file.endsWith(".json")).sort();
+  let failures = 0;
+
+  for (const file of scenarioFiles) {
+    const check = checks.get(file);
+    if (!check) {
+      console.log(`MANCA ${file}: nessun controllo in ${path.basename(CHECKS_FILE)}`);
+      failures += 1;
+      continue;
+    }
+    const observed = await runScenario(file, check, templateLibrary);
+    const differences = Object.keys(check.expect)
+      .filter((field) => JSON.stringify(observed[field]) !== JSON.stringify(check.expect[field]))
+      .map((field) => `${field}: atteso ${JSON.stringify(check.expect[field])}, ottenuto ${JSON.stringify(observed[field])}`);
+    if (differences.length > 0) {
+      failures += 1;
+      console.log(`ERRORE ${file}`);
+      differences.forEach((difference) => console.log(`  ${difference}`));
+    } else {
+      console.log(`ok ${file} (${observed.rootCause})`);
+    }
+  }
+
+  checks.forEach((_check, file) => {
+    if (!scenarioFiles.includes(file)) {
+      console.log(`MANCA ${file}: scenario non trovato in scenarios/`);
+      failures += 1;
+    }
+  });
+  console.log(failures > 0 ? `${failures} scenari non conformi.` : `${scenarioFiles.length} scenari conformi.`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+// A fresh chain per scenario, so the mock counters (replies, polls) start at zero.
+async function runScenario(file, check, templateLibrary) {
+  const env = {
+    AI_PROVIDER_CHAIN: JSON.stringify([
+      { provider: "mock", name: "mock", scenario: path.join("scenarios", file), ...HOP_SETTINGS }
+    ])
+  };
+  const pipeline = createImprovementPipeline({
+    hops: createProviderHopsFromEnv(env, ROOT_DIR),
+    templateLibrary,
+    settings: {
+      maxPromptLength: 6000,
+      maxVariants: 1,
+      logEmptyOutputTrace: false
+    }
+  });
+  const result = await pipeline.runImprovement(check.prompt || DEFAULT_PROMPT, {
+    requestId: `scenario-${path.basename(file, ".json")}`,
+    format: check.format
+  });
+
+  const { body } = result;
+  const trace = Array.isArray(body.debug?.trace) ? body.debug.trace : [];
+  return {
+    status: result.status,
+    rootCause: body.debug?.diagnosis?.root_cause || null,
+    recoveredFromEmptyOutput: Boolean(body.recoveredFromEmptyOutput),
+    usedNoWebRecovery: Boolean(body.usedNoWebRecovery),
+    usedLocalFallback: Boolean(body.usedLocalFallback),
+    steps: trace.filter((entry) => entry.step !== "provider_hop").map((entry) => entry.step),
+    hops: trace.filter((entry) => entry.step === "provider_hop").map((entry) => entry.outcome),
+    polls: body.debug?.provider_details?.polls ?? null
+  };
+}
+
+// One line per scenario: { "scenario": "<file>.json", "prompt"?, "format"?,
+// "expect": { status, rootCause, steps, hops, ... } }. Only the fields listed
+// in expect are compared.
+function readChecks(filePath) {
+  const checks = new Map();
+  fs.readFileSync(filePath, "utf8").split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let data = null;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)}, riga ${index + 1} non valida: ${error.message}`);
+    }
+    if (typeof data?.scenario !== "string" || !data.expect || typeof data.expect !== "object") {
+      throw new Error(`${path.basename(filePath)}, riga ${index + 1}: servono scenario ed expect.`);
+    }
+    checks.set(data.scenario, data);
+  });
+  return checks;
+}
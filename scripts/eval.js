@@ -0,0 +1,279 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const { createImprovementPipeline } = require("../lib/pipeline");
+const { createProviderHopsFromEnv } = require("../lib/providers/config");
+const { TARGET_PROFILES } = require("../lib/target-profiles");
+const { loadTemplateLibrary } = require("../lib/templates");
+const { toPositiveInt } = require("../lib/env");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_CONCURRENCY = 4;
+const PERCENTILES = [50, 90, 95, 99];
+// Flags whose value is optional: they only take the next argument when it is a
+// .json file, so "--stub dataset.jsonl" keeps the dataset positional.
+const OPTIONAL_JSON_FLAGS = ["stub", "mock"];
+const USAGE = `Uso: npm run eval -- <dataset.jsonl> [opzioni]
+
+Ogni riga e un oggetto JSON con "prompt" (o "body") e, facoltativi, "id" (o
+"request_id"), "target" e "format". Le righe vuote sono ignorate.
+
+  --stub[=script.json]   usa il provider stub offline invece di quelli configurati
+  --mock[=scenario.json] usa il provider mock (Responses API simulata) offline
+  --concurrency N        richieste in parallelo, default ${DEFAULT_CONCURRENCY}
+  --limit N              valuta solo le prime N righe
+  --out <cartella>       dove scrivere results.jsonl e report.json,
+                         default .data/eval/<data e ora>`;
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const datasetPath = positional[0];
+  if (!datasetPath || options.help) {
+    console.log(USAGE);
+    process.exitCode = datasetPath || options.help ? 0 : 1;
+    return;
+  }
+
+  const items = readDataset(path.resolve(datasetPath)).slice(0, toPositiveInt(options.limit, Infinity));
+  const concurrency = toPositiveInt(options.concurrency, DEFAULT_CONCURRENCY);
+  const outDir = path.resolve(
+    typeof options.out === "string" ? options.out : path.join(ROOT_DIR, ".data", "eval", formatRunId(new Date()))
+  );
+
+  // The stub or the mock replaces the whole chain, everything else (ladder,
+  // fallback templates, analyzer) is the same code /api/improve runs.
+  const env = options.stub || options.mock
+    ? { ...process.env, AI_PROVIDER_CHAIN: JSON.stringify([buildOfflineHopEntry(options)]) }
+    : process.env;
+  const hops = createProviderHopsFromEnv(env, ROOT_DIR);
+  const pipeline = createImprovementPipeline({
+    hops,
+    templateLibrary: loadTemplateLibrary(path.resolve(ROOT_DIR, String(env.TEMPLATES_DIR || "templates").trim())),
+    settings: {
+      maxPromptLength: Number(env.MAX_PROMPT_LENGTH || 6000),
+      maxVariants: 1,
+      logEmptyOutputTrace: false
+    }
+  });
+
+  console.log(`Dataset: ${items.length} righe, provider: ${hops.map((hop) => hop.name).join(" -> ")}, concorrenza ${concurrency}`);
+  const startedAt = new Date();
+  let done = 0;
+  const results = await runWithConcurrency(items, concurrency, async (item) => {
+    const result = await evaluateItem(pipeline, item);
+    done += 1;
+    console.log(`[${done}/${items.length}] ${result.id} ${result.status} ${result.latencyMs}ms${result.usedLocalFallback ? " fallback" : ""}`);
+    return result;
+  });
+
+  const report = buildReport(results, {
+    dataset: path.resolve(datasetPath),
+    providers: hops.map((hop) => `${hop.name}:${hop.provider.type}:${hop.provider.model}`),
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString()
+  });
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outDir, "results.jsonl"),
+    results.map((result) => JSON.stringify(result)).join("\n") + "\n"
+  );
+  fs.writeFileSync(path.join(outDir, "report.json"), `${JSON.stringify(report, null, 2)}\n`);
+  printReport(report, outDir);
+}
+
+function buildOfflineHopEntry(options) {
+  if (options.stub) {
+    return {
+      provider: "stub",
+      name: "stub",
+      ...(typeof options.stub === "string" ? { script: path.resolve(options.stub) } : {})
+    };
+  }
+  return {
+    provider: "mock",
+    name: "mock",
+    ...(typeof options.mock === "string" ? { scenario: path.resolve(options.mock) } : {})
+  };
+}
+
+function readDataset(filePath) {
+  const items = [];
+  fs.readFileSync(filePath, "utf8").split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let data = null;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Riga ${index + 1} non valida: ${error.message}`);
+    }
+    items.push({
+      id: String(data.id || data.request_id || `riga-${index + 1}`),
+      prompt: typeof data.prompt === "string" ? data.prompt : String(data.body || ""),
+      target: data.target,
+      format: data.format
+    });
+  });
+  return items;
+}
+
+async function evaluateItem(pipeline, item) {
+  const startedAt = Date.now();
+  const { status, body } = await pipeline.runImprovement(item.prompt, {
+    requestId: item.id,
+    owner: null,
+    target: item.target,
+    format: item.format
+  });
+  return {
+    id: item.id,
+    target: body.target || item.target || null,
+    format: body.format || item.format || null,
+    status,
+    latencyMs: Date.now() - startedAt,
+    usedProvider: body.usedProvider || null,
+    usedLocalFallback: Boolean(body.usedLocalFallback),
+    usedProviderFailover: Boolean(body.usedProviderFailover),
+    recoveredFromEmptyOutput: Boolean(body.recoveredFromEmptyOutput),
+    rootCause: body.debug?.diagnosis?.root_cause || null,
+    tokens: sumTraceUsage(body.debug),
+    score: body.analysis
+      ? { raw: body.analysis.raw.score, improved: body.analysis.improved.score }
+      : null,
+    error: typeof body.error === "string" ? body.error : null,
+    output: typeof body.prompt === "string" ? body.prompt : null
+  };
+}
+
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function buildReport(results, meta) {
+  const count = results.length;
+  const rootCauses = {};
+  results.forEach(({ rootCause }) => {
+    const key = rootCause || "none";
+    rootCauses[key] = (rootCauses[key] || 0) + 1;
+  });
+  const latencies = results.map((result) => result.latencyMs).sort((a, b) => a - b);
+  const scored = results.filter((result) => result.score);
+  const average = (values) =>
+    values.length > 0 ? Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10 : null;
+
+  return {
+    ...meta,
+    // Results produced with other instructions are not comparable.
+    instructionsVersions: Object.fromEntries(
+      Object.entries(TARGET_PROFILES).map(([id, profile]) => [id, profile.instructionsVersion])
+    ),
+    items: count,
+    ok: results.filter((result) => result.status === 200).length,
+    errors: results.filter((result) => result.status !== 200).length,
+    fallbackRate: count > 0 ? results.filter((result) => result.usedLocalFallback).length / count : 0,
+    failoverRate: count > 0 ? results.filter((result) => result.usedProviderFailover).length / count : 0,
+    rootCauses,
+    latencyMs: {
+      ...Object.fromEntries(PERCENTILES.map((percentile) => [`p${percentile}`, percentileOf(latencies, percentile)])),
+      max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+    },
+    tokens: results.reduce(
+      (totals, { tokens }) => ({
+        input: totals.input + tokens.input,
+        output: totals.output + tokens.output,
+        total: totals.total + tokens.total
+      }),
+      { input: 0, output: 0, total: 0 }
+    ),
+    averageScore: {
+      raw: average(scored.map((result) => result.score.raw)),
+      improved: average(scored.map((result) => result.score.improved))
+    }
+  };
+}
+
+function printReport(report, outDir) {
+  const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+  console.log("");
+  console.log(`Righe: ${report.items}, ok ${report.ok}, errori ${report.errors}`);
+  console.log(`Fallback locale: ${percent(report.fallbackRate)}, failover: ${percent(report.failoverRate)}`);
+  console.log(`Cause (diagnosis.root_cause): ${Object.entries(report.rootCauses).map(([cause, n]) => `${cause}=${n}`).join(", ")}`);
+  console.log(`Latenza ms: ${Object.entries(report.latencyMs).map(([key, value]) => `${key}=${value}`).join(" ")}`);
+  console.log(`Token: input ${report.tokens.input}, output ${report.tokens.output}, totale ${report.tokens.total}`);
+  console.log(`Punteggio medio: ${report.averageScore.raw} -> ${report.averageScore.improved}`);
+  console.log(`Risultati in ${outDir}`);
+}
+
+// Nearest-rank percentile over an already sorted list.
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function sumTraceUsage(debug) {
+  const trace = Array.isArray(debug?.trace) ? debug.trace : [];
+  const read = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : 0);
+  return trace.reduce(
+    (totals, entry) => ({
+      input: totals.input + read(entry?.usage_input_tokens),
+      output: totals.output + read(entry?.usage_output_tokens),
+      total: totals.total + read(entry?.usage_total_tokens)
+    }),
+    { input: 0, output: 0, total: 0 }
+  );
+}
+
+function formatRunId(date) {
+  return date.toISOString().replace(/[:.]/g, "-").slice(0, 19);
+}
+
+// --name value, or --name alone for flags (value true).
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const separator = arg.indexOf("=");
+    if (separator !== -1) {
+      options[arg.slice(2, separator)] = arg.slice(separator + 1);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = argv[index + 1];
+    const takesNext = next !== undefined && !next.startsWith("--") &&
+      (!OPTIONAL_JSON_FLAGS.includes(name) || next.toLowerCase().endsWith(".json"));
+    if (takesNext) {
+      options[name] = next;
+      index += 1;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
@@ -0,0 +1,149 @@
+"use strict";
+
+const path = require("path");
+const readline = require("readline");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+const { createAuthStore } = require("../lib/auth/store");
+const { hashPassword, generateApiKey } = require("../lib/auth/credentials");
+
+const AUTH_FILE = String(process.env.AUTH_FILE || ".data/auth.json").trim();
+const USAGE = `Uso: npm run auth -- <comando> [argomenti]
+
+  list                                   utenti, API key e consumo del mese
+  add-user <username> [--quota N] [--password P]
+  set-password <username> [--password P]
+  remove-user <username>
+  create-key <owner> [--label L] [--quota N]
+  revoke-key <id>
+  set-quota <user:username|key:id> <token al mese, 0 = illimitato>`;
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const store = createAuthStore(path.resolve(__dirname, "..", AUTH_FILE));
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+
+  switch (command) {
+    case "list":
+      return listPrincipals(store);
+    case "add-user": {
+      const username = requireArg(args[0], "username");
+      const password = validatePassword(options.password || (await askPassword(username)));
+      store.addUser({
+        username,
+        passwordHash: hashPassword(password),
+        monthlyTokenQuota: toQuota(options.quota)
+      });
+      return console.log(`Utente ${username} creato.`);
+    }
+    case "set-password": {
+      const username = requireArg(args[0], "username");
+      const password = validatePassword(options.password || (await askPassword(username)));
+      store.updateUser(username, { passwordHash: hashPassword(password) });
+      return console.log(`Password di ${username} aggiornata: le sessioni aperte sono state chiuse.`);
+    }
+    case "remove-user":
+      store.removeUser(requireArg(args[0], "username"));
+      return console.log(`Utente ${args[0]} rimosso.`);
+    case "create-key": {
+      const owner = requireArg(args[0], "owner");
+      const { id, key, hash } = generateApiKey();
+      store.addKey({
+        id,
+        hash,
+        owner,
+        label: options.label || "",
+        monthlyTokenQuota: toQuota(options.quota)
+      });
+      console.log(`API key ${id} creata per ${owner}. Copiala ora, non verra piu mostrata:`);
+      return console.log(key);
+    }
+    case "revoke-key":
+      store.updateKey(requireArg(args[0], "id"), { revokedAt: new Date().toISOString() });
+      return console.log(`API key ${args[0]} revocata.`);
+    case "set-quota": {
+      const [type, id] = requireArg(args[0], "principal").split(":");
+      const quota = toQuota(requireArg(args[1], "token"));
+      if (type === "user") {
+        store.updateUser(id, { monthlyTokenQuota: quota });
+      } else if (type === "key") {
+        store.updateKey(id, { monthlyTokenQuota: quota });
+      } else {
+        throw new Error("Il principal deve essere user:<username> o key:<id>.");
+      }
+      return console.log(`Quota di ${args[0]}: ${quota || "illimitata"}.`);
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+function listPrincipals(store) {
+  const month = new Date().toISOString().slice(0, 7);
+  const formatQuota = (principalId, quota) =>
+    `${store.getUsage(principalId, month)}/${Number(quota) || "illimitata"} token (${month})`;
+
+  console.log(`File: ${store.filePath}`);
+  console.log("Utenti:");
+  store.listUsers().forEach((user) => {
+    console.log(`  ${user.username}  ${formatQuota(`user:${user.username}`, user.monthlyTokenQuota)}`);
+  });
+  console.log("API key:");
+  store.listKeys().forEach((key) => {
+    const state = key.revokedAt ? `revocata ${key.revokedAt}` : "attiva";
+    const label = key.label ? ` "${key.label}"` : "";
+    console.log(`  ${key.id}  ${key.owner}${label}  ${state}  ${formatQuota(`key:${key.id}`, key.monthlyTokenQuota)}`);
+  });
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg.startsWith("--")) {
+      options[arg.slice(2)] = argv[index + 1];
+      index += 1;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function requireArg(value, name) {
+  if (!value) {
+    throw new Error(`Argomento mancante: ${name}.\n\n${USAGE}`);
+  }
+  return value;
+}
+
+function toQuota(value) {
+  const quota = Number(value || 0);
+  if (!Number.isInteger(quota) || quota < 0) {
+    throw new Error(`Quota non valida: ${value}.`);
+  }
+  return quota;
+}
+
+function askPassword(username) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`Password per ${username}: `, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function validatePassword(password) {
+  if (String(password || "").length < 8) {
+    throw new Error("La password deve avere almeno 8 caratteri.");
+  }
+  return password;
+}
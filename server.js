@@ -1,56 +1,206 @@
 "use strict";
 
-const { randomUUID } = require("crypto");
+const { createHash, randomBytes, randomUUID, timingSafeEqual } = require("crypto");
 const path = require("path");
 const express = require("express");
-const OpenAI = require("openai");
 require("dotenv").config();
+const {
+  createImprovementPipeline,
+  buildImprovementMessages,
+  normalizePrompt
+} = require("./lib/pipeline");
+const { resolveTargetProfile, listTargetIds } = require("./lib/target-profiles");
+const { resolveOutputFormat } = require("./lib/structured-output");
+const { collectClarifications } = require("./lib/clarification");
+const {
+  createResultCache,
+  buildCacheKey,
+  parseCacheDirective
+} = require("./lib/result-cache");
+const { createTokenBucketLimiter, createConcurrencyLimiter } = require("./lib/rate-limit");
+const { createAuth } = require("./lib/auth");
+const { createHistoryStore } = require("./lib/history-store");
+const { createJobQueue } = require("./lib/job-queue");
+const { createPipelineMetrics } = require("./lib/metrics");
+const { createTraceStore } = require("./lib/trace-store");
+const { loadPriceTable, parseBudgetThresholds, createCostLedger } = require("./lib/costs");
+const { loadTemplateLibrary } = require("./lib/templates");
+const { toPositiveInt } = require("./lib/env");
+const { createProviderHopsFromEnv } = require("./lib/providers/config");
 
 const app = express();
 const PORT = Number(process.env.PORT || 3000);
-const MODEL_NAME = process.env.OPENAI_MODEL || "gpt-5";
-const OPENAI_BASE_URL = String(process.env.OPENAI_BASE_URL || "").trim();
-const AI_PROVIDER = String(process.env.AI_PROVIDER || "").trim().toLowerCase();
 const MAX_PROMPT_LENGTH = Number(process.env.MAX_PROMPT_LENGTH || 6000);
-const OPENAI_TIMEOUT_WEB_SEARCH_MS = toPositiveInt(process.env.OPENAI_TIMEOUT_WEB_SEARCH_MS, 30000);
-const OPENAI_TIMEOUT_RETRIES = toPositiveInt(process.env.OPENAI_TIMEOUT_RETRIES, 2);
-const OPENAI_TIMEOUT_RETRY_DELTA_MS = toPositiveInt(process.env.OPENAI_TIMEOUT_RETRY_DELTA_MS, 15000);
-const OPENAI_POLL_INTERVAL_MS = toPositiveInt(process.env.OPENAI_POLL_INTERVAL_MS, 1200);
-const OPENAI_POLL_MAX_WAIT_MS = toPositiveInt(process.env.OPENAI_POLL_MAX_WAIT_MS, 45000);
-const MAX_OUTPUT_TOKENS = toPositiveInt(process.env.MAX_OUTPUT_TOKENS, 550);
-const DEBUG_TRACE_VERSION = "2026-02-15";
+const MAX_PROMPT_VARIANTS = toPositiveInt(process.env.MAX_PROMPT_VARIANTS, 3);
+const SSE_HEARTBEAT_MS = toPositiveInt(process.env.SSE_HEARTBEAT_MS, 15000);
+const TEMPLATES_DIR = String(process.env.TEMPLATES_DIR || "templates").trim();
 const LOG_EMPTY_OUTPUT_TRACE = process.env.LOG_EMPTY_OUTPUT_TRACE !== "0";
-const MODEL_NAME_LOWER = String(MODEL_NAME || "").toLowerCase();
-const BASE_URL_LOWER = OPENAI_BASE_URL.toLowerCase();
-const USE_CHAT_COMPLETIONS_API =
-  AI_PROVIDER === "deepseek" ||
-  MODEL_NAME_LOWER.startsWith("deepseek") ||
-  BASE_URL_LOWER.includes("deepseek.com");
-
-const SYSTEM_INSTRUCTIONS = `
-Sei un Prompt Engineer senior.
-Trasforma il prompt utente in un prompt molto specifico, pratico e pronto da usare.
-Usa lo strumento web_search quando l'argomento beneficia di dati aggiornati.
-Non inventare fatti: se un dato non e verificabile, usa un segnaposto esplicito [DA CONFERMARE].
-Mantieni la lingua dell'utente.
-Restituisci solo il prompt finale, senza spiegazioni.
-
-Il prompt finale deve includere:
-- Ruolo dell'assistente
-- Obiettivo preciso
-- Contesto specifico
-- Vincoli e criteri di qualita
-- Formato output richiesto
-- Istruzione su eventuali domande chiarificatrici (max 3)
-`.trim();
-
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      ...(OPENAI_BASE_URL ? { baseURL: OPENAI_BASE_URL } : {})
+const RESULT_CACHE_ENABLED = process.env.RESULT_CACHE_ENABLED !== "0";
+const RESULT_CACHE_TTL_MS = toPositiveInt(process.env.RESULT_CACHE_TTL_MS, 6 * 60 * 60 * 1000);
+const RESULT_CACHE_MAX_ENTRIES = toPositiveInt(process.env.RESULT_CACHE_MAX_ENTRIES, 500);
+const RESULT_CACHE_FILE = String(process.env.RESULT_CACHE_FILE || "").trim();
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "0";
+const RATE_LIMIT_IP_BURST = toPositiveInt(process.env.RATE_LIMIT_IP_BURST, 5);
+const RATE_LIMIT_IP_PER_MINUTE = toPositiveInt(process.env.RATE_LIMIT_IP_PER_MINUTE, 3);
+const RATE_LIMIT_KEY_BURST = toPositiveInt(process.env.RATE_LIMIT_KEY_BURST, 20);
+const RATE_LIMIT_KEY_PER_MINUTE = toPositiveInt(process.env.RATE_LIMIT_KEY_PER_MINUTE, 10);
+const MAX_CONCURRENT_IMPROVEMENTS = toPositiveInt(process.env.MAX_CONCURRENT_IMPROVEMENTS, 4);
+const CONCURRENCY_RETRY_AFTER_MS = 5000;
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").trim();
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== "0";
+const HISTORY_FILE = String(process.env.HISTORY_FILE || ".data/history.jsonl").trim();
+const HISTORY_MAX_ENTRIES = toPositiveInt(process.env.HISTORY_MAX_ENTRIES, 5000);
+const AUTH_FILE = String(process.env.AUTH_FILE || ".data/auth.json").trim();
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === "1";
+const AUTH_SESSION_SECRET = String(process.env.AUTH_SESSION_SECRET || "").trim();
+const AUTH_SESSION_TTL_HOURS = toPositiveInt(process.env.AUTH_SESSION_TTL_HOURS, 168);
+const CLARIFY_SESSION_TTL_HOURS = toPositiveInt(process.env.CLARIFY_SESSION_TTL_HOURS, 24);
+const CLARIFY_SESSION_FILE = String(process.env.CLARIFY_SESSION_FILE || ".data/clarify-sessions.json").trim();
+const REFINE_SESSION_TTL_HOURS = toPositiveInt(process.env.REFINE_SESSION_TTL_HOURS, 24);
+const REFINE_SESSION_FILE = String(process.env.REFINE_SESSION_FILE || ".data/refine-sessions.json").trim();
+const BATCH_MAX_ITEMS = toPositiveInt(process.env.BATCH_MAX_ITEMS, 50);
+const BATCH_CONCURRENCY = toPositiveInt(process.env.BATCH_CONCURRENCY, 2);
+const BATCH_MAX_QUEUED_ITEMS = toPositiveInt(process.env.BATCH_MAX_QUEUED_ITEMS, 500);
+const BATCH_JOB_TTL_HOURS = toPositiveInt(process.env.BATCH_JOB_TTL_HOURS, 24);
+const METRICS_ENABLED = process.env.METRICS_ENABLED !== "0";
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || "").trim();
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || "").trim();
+const DEBUG_TRACE_STORE_ENABLED = process.env.DEBUG_TRACE_STORE_ENABLED !== "0";
+const DEBUG_TRACE_FILE = String(process.env.DEBUG_TRACE_FILE || ".data/debug-traces.jsonl").trim();
+const DEBUG_TRACE_RETENTION_HOURS = toPositiveInt(process.env.DEBUG_TRACE_RETENTION_HOURS, 72);
+const DEBUG_TRACE_MAX_ENTRIES = toPositiveInt(process.env.DEBUG_TRACE_MAX_ENTRIES, 2000);
+const COST_LEDGER_FILE = String(process.env.COST_LEDGER_FILE || ".data/costs.json").trim();
+const COST_RETENTION_DAYS = toPositiveInt(process.env.COST_RETENTION_DAYS, 90);
+const DAILY_BUDGET_USD = Math.max(0, Number(process.env.DAILY_BUDGET_USD) || 0);
+
+const providerHops = createProviderHopsFromEnv(process.env, __dirname);
+
+providerHops.forEach(({ name, provider }) => {
+  if (typeof provider.discover !== "function") {
+    return;
+  }
+  provider.discover().then((discovery) => {
+    if (discovery.error) {
+      console.warn(`[${name}] Discovery modelli su ${discovery.baseURL} fallita: ${discovery.error}`);
+    } else {
+      console.log(`[${name}] Modelli su ${discovery.baseURL}: ${discovery.models.join(", ") || "nessuno"}`);
+    }
+    if (discovery.model) {
+      console.log(`[${name}] Provider ${provider.type} attivo con modello ${discovery.model}`);
+    }
+  });
+});
+
+const templateLibrary = loadTemplateLibrary(path.resolve(__dirname, TEMPLATES_DIR));
+listTargetIds().forEach((target) => {
+  const hasDefault = templateLibrary.templates.some(
+    (template) => template.target === target && template.default
+  );
+  if (!hasDefault) {
+    console.warn(`Nessun template di fallback "default" per il target ${target}: uso quelli chat.`);
+  }
+});
+
+const pipeline = createImprovementPipeline({
+  hops: providerHops,
+  templateLibrary,
+  settings: {
+    maxPromptLength: MAX_PROMPT_LENGTH,
+    maxVariants: MAX_PROMPT_VARIANTS,
+    logEmptyOutputTrace: LOG_EMPTY_OUTPUT_TRACE
+  }
+});
+
+const resultCache = RESULT_CACHE_ENABLED
+  ? createResultCache({
+      maxEntries: RESULT_CACHE_MAX_ENTRIES,
+      ttlMs: RESULT_CACHE_TTL_MS,
+      persistPath: RESULT_CACHE_FILE ? path.resolve(__dirname, RESULT_CACHE_FILE) : ""
+    })
+  : null;
+
+const ipRateLimiter = createTokenBucketLimiter({
+  burst: RATE_LIMIT_IP_BURST,
+  perMinute: RATE_LIMIT_IP_PER_MINUTE
+});
+const apiKeyRateLimiter = createTokenBucketLimiter({
+  burst: RATE_LIMIT_KEY_BURST,
+  perMinute: RATE_LIMIT_KEY_PER_MINUTE
+});
+const improvementSlots = createConcurrencyLimiter({ max: MAX_CONCURRENT_IMPROVEMENTS });
+const loginRateLimiter = createTokenBucketLimiter({ burst: 5, perMinute: 5 });
+const IMPROVE_GUARDS = [authenticateRequest, limitImproveRequests, enforceTokenQuota];
+const BATCH_GUARDS = [authenticateRequest, limitBatchRequests, enforceTokenQuota];
+// Route labels of the metrics, by Express route path.
+const METRICS_ROUTES = {
+  "/api/improve": "improve",
+  "/api/improve/stream": "stream",
+  "/api/improve/batch": "batch",
+  "/api/improve/:requestId/refine": "refine",
+  "/api/clarify": "clarify",
+  "/api/clarify/:sessionId/answers": "clarify_answers"
+};
+
+if (!AUTH_SESSION_SECRET) {
+  console.warn("AUTH_SESSION_SECRET non impostato: le sessioni di login non sopravvivono al riavvio.");
+}
+const auth = createAuth({
+  filePath: path.resolve(__dirname, AUTH_FILE),
+  sessionSecret: AUTH_SESSION_SECRET || randomBytes(32).toString("hex"),
+  sessionTtlMs: AUTH_SESSION_TTL_HOURS * 60 * 60 * 1000
+});
+
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+const historyStore = HISTORY_ENABLED
+  ? createHistoryStore({
+      filePath: path.resolve(__dirname, HISTORY_FILE),
+      maxEntries: HISTORY_MAX_ENTRIES
     })
   : null;
 
+// Clarifying-question sessions and refinable results only need expiry and
+// persistence, which the result cache already provides.
+const clarifySessions = createResultCache({
+  maxEntries: 2000,
+  ttlMs: CLARIFY_SESSION_TTL_HOURS * 60 * 60 * 1000,
+  persistPath: path.resolve(__dirname, CLARIFY_SESSION_FILE)
+});
+const refineSessions = createResultCache({
+  maxEntries: 2000,
+  ttlMs: REFINE_SESSION_TTL_HOURS * 60 * 60 * 1000,
+  persistPath: path.resolve(__dirname, REFINE_SESSION_FILE)
+});
+
+const batchJobs = createJobQueue({
+  concurrency: BATCH_CONCURRENCY,
+  ttlMs: BATCH_JOB_TTL_HOURS * 60 * 60 * 1000,
+  maxJobs: 1000
+});
+
+const pipelineMetrics = METRICS_ENABLED ? createPipelineMetrics() : null;
+const traceStore = DEBUG_TRACE_STORE_ENABLED
+  ? createTraceStore({
+      filePath: path.resolve(__dirname, DEBUG_TRACE_FILE),
+      retentionMs: DEBUG_TRACE_RETENTION_HOURS * 60 * 60 * 1000,
+      maxEntries: DEBUG_TRACE_MAX_ENTRIES
+    })
+  : null;
+
+const priceTable = loadPriceTable(process.env.PRICE_TABLE, __dirname);
+if (DAILY_BUDGET_USD > 0 && Object.keys(priceTable.models).length === 0) {
+  console.warn("DAILY_BUDGET_USD impostato ma PRICE_TABLE e vuota: i costi restano a zero.");
+}
+const costLedger = createCostLedger({
+  filePath: path.resolve(__dirname, COST_LEDGER_FILE),
+  priceTable,
+  dailyBudgetUsd: DAILY_BUDGET_USD,
+  thresholds: parseBudgetThresholds(process.env.BUDGET_DOWNGRADE_THRESHOLDS),
+  retentionDays: COST_RETENTION_DAYS
+});
+
 app.use(express.json({ limit: "250kb" }));
 
 app.use((error, _req, res, next) => {
@@ -64,6 +214,20 @@ app.get("/health", (_req, res) => {
   res.status(200).json({ ok: true });
 });
 
+// Prometheus text format. With METRICS_TOKEN set the scraper must send it as a
+// bearer token.
+app.get("/metrics", (req, res) => {
+  if (!pipelineMetrics) {
+    return res.status(404).json({ error: "Metriche disattivate sul server (METRICS_ENABLED=0)." });
+  }
+  if (METRICS_TOKEN && !matchesBearerToken(req, METRICS_TOKEN)) {
+    return res.status(401).json({ error: "Token delle metriche mancante o non valido." });
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.set("Cache-Control", "no-cache");
+  return res.status(200).send(pipelineMetrics.render());
+});
+
 app.get("/service-worker.js", (_req, res) => {
   res.set("Cache-Control", "no-cache");
   res.sendFile(path.join(__dirname, "service-worker.js"));
@@ -74,6 +238,26 @@ app.get("/app.js", (_req, res) => {
   res.sendFile(path.join(__dirname, "app.js"));
 });
 
+app.get("/template-renderer.js", (_req, res) => {
+  res.set("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "template-renderer.js"));
+});
+
+app.get("/prompt-analyzer.js", (_req, res) => {
+  res.set("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "prompt-analyzer.js"));
+});
+
+app.get("/admin", (_req, res) => {
+  res.set("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "admin.html"));
+});
+
+app.get("/admin.js", (_req, res) => {
+  res.set("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "admin.js"));
+});
+
 app.get("/index.html", (_req, res) => {
   res.set("Cache-Control", "no-cache");
   res.sendFile(path.join(__dirname, "index.html"));
@@ -86,1240 +270,972 @@ app.get("/styles.css", (_req, res) => {
 
 app.use(express.static(path.join(__dirname)));
 
-app.post("/api/improve", async (req, res) => {
-  const requestId = randomUUID();
-  const requestStartedAt = Date.now();
-  const trace = [];
-  let prompt = "";
-  res.set("X-Debug-Request-Id", requestId);
+app.get("/api/templates", (_req, res) => {
+  res.set("Cache-Control", "no-cache");
+  return res.status(200).json(templateLibrary);
+});
 
-  try {
-    if (!openai) {
-      return res.status(500).json({
-        error: "OPENAI_API_KEY non configurata sul server.",
-        requestId
+app.post("/api/auth/login", (req, res) => {
+  if (RATE_LIMIT_ENABLED) {
+    const decision = loginRateLimiter.take(req.ip);
+    if (!decision.allowed) {
+      return sendRateLimited(req, res, {
+        code: "rate_limited",
+        scope: "login",
+        retryAfterMs: decision.retryAfterMs,
+        limit: { burst: loginRateLimiter.burst, perMinute: loginRateLimiter.perMinute }
       });
     }
+  }
 
-    prompt = normalizePrompt(req.body?.prompt);
-    if (!prompt) {
-      return res.status(400).json({ error: "Il campo prompt e obbligatorio.", requestId });
-    }
+  const user = auth.login(req.body?.username, req.body?.password);
+  if (!user) {
+    console.warn(`[auth] Login fallito per "${String(req.body?.username || "").slice(0, 60)}" da ${req.ip}`);
+    return res.status(401).json({ error: "Credenziali non valide.", code: "invalid_credentials" });
+  }
 
-    if (prompt.length > MAX_PROMPT_LENGTH) {
-      return res.status(400).json({
-        error: `Prompt troppo lungo: massimo ${MAX_PROMPT_LENGTH} caratteri.`,
-        requestId
-      });
-    }
+  res.set("Set-Cookie", auth.buildSessionCookie(user, { secure: req.secure }));
+  console.log(`[auth] Login di ${user.username} da ${req.ip}`);
+  return res.status(200).json({ ok: true, username: user.username });
+});
 
-    const initialStartedAt = Date.now();
-    const result = await createImprovementResponse(prompt);
-    let lastResponse = result.response;
-    pushDebugTrace(
-      trace,
-      "initial_web_search",
-      lastResponse,
-      Date.now() - initialStartedAt
-    );
-
-    let finalDebug = buildResponseDebugInfo(lastResponse);
-    let output = extractOutputText(lastResponse);
-    let refusal = extractRefusalText(lastResponse);
-    let recoveredFromEmptyOutput = false;
-    let usedNoWebRecovery = false;
-
-    if (!output) {
-      const retryReason = getIncompleteReason(lastResponse);
-      const retryStartedAt = Date.now();
-      const retryResponse = await requestDirectTextFallback(
-        prompt,
-        retryReason === "max_output_tokens"
-      );
-      lastResponse = retryResponse;
-      pushDebugTrace(
-        trace,
-        "retry_web_search_direct_text",
-        lastResponse,
-        Date.now() - retryStartedAt,
-        { trigger_reason: retryReason || "empty_output" }
-      );
-      finalDebug = buildResponseDebugInfo(retryResponse);
-      output = extractOutputText(retryResponse);
-      if (!refusal) {
-        refusal = extractRefusalText(retryResponse);
-      }
-      recoveredFromEmptyOutput = Boolean(output);
-    }
+app.post("/api/auth/logout", (req, res) => {
+  res.set("Set-Cookie", auth.buildLogoutCookie({ secure: req.secure }));
+  return res.status(200).json({ ok: true });
+});
 
-    if (!output && !refusal && typeof lastResponse?.id === "string" && lastResponse.id) {
-      const finalizeReason = getIncompleteReason(lastResponse);
-      const finalizeStartedAt = Date.now();
-      const finalizedResponse = await requestFinalizeFromPreviousResponse(
-        lastResponse.id,
-        finalizeReason === "max_output_tokens",
-        prompt
-      );
-      lastResponse = finalizedResponse;
-      pushDebugTrace(
-        trace,
-        "finalize_from_previous_web_search",
-        lastResponse,
-        Date.now() - finalizeStartedAt,
-        { trigger_reason: finalizeReason || "empty_output" }
-      );
-      finalDebug = buildResponseDebugInfo(finalizedResponse);
-      output = extractOutputText(finalizedResponse);
-      if (!refusal) {
-        refusal = extractRefusalText(finalizedResponse);
-      }
-      recoveredFromEmptyOutput = Boolean(output);
-    }
+app.get("/api/auth/me", (req, res) => {
+  const { principal } = auth.authenticate(req);
+  return res.status(200).json({
+    required: AUTH_REQUIRED,
+    loginAvailable: auth.store.hasUsers(),
+    authenticated: Boolean(principal),
+    owner: principal?.owner || null,
+    type: principal?.type || null,
+    quota: principal ? auth.getQuotaStatus(principal) : null
+  });
+});
 
-    if (!output && !refusal) {
-      const modelOnlyReason = getIncompleteReason(lastResponse);
-      const modelOnlyStartedAt = Date.now();
-      const modelOnlyResponse = await requestModelOnlyFallback(
-        prompt,
-        modelOnlyReason === "max_output_tokens"
-      );
-      lastResponse = modelOnlyResponse;
-      pushDebugTrace(
-        trace,
-        "retry_model_only",
-        lastResponse,
-        Date.now() - modelOnlyStartedAt,
-        { trigger_reason: modelOnlyReason || "empty_output" }
-      );
-      finalDebug = buildResponseDebugInfo(modelOnlyResponse);
-      output = extractOutputText(modelOnlyResponse);
-      if (!refusal) {
-        refusal = extractRefusalText(modelOnlyResponse);
-      }
-      if (output) {
-        recoveredFromEmptyOutput = true;
-        usedNoWebRecovery = true;
-      }
-    }
+app.post("/api/improve", ...IMPROVE_GUARDS, catchRouteErrors(async (req, res) => {
+  const requestId = randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Debug-Request-Id", requestId);
 
-    if (!output && !refusal && typeof lastResponse?.id === "string" && lastResponse.id) {
-      const finalizeModelReason = getIncompleteReason(lastResponse);
-      const finalizeModelStartedAt = Date.now();
-      const finalizedModelOnlyResponse = await requestFinalizeFromPreviousResponse(
-        lastResponse.id,
-        finalizeModelReason === "max_output_tokens",
-        prompt
-      );
-      lastResponse = finalizedModelOnlyResponse;
-      pushDebugTrace(
-        trace,
-        "finalize_from_previous_model_only",
-        lastResponse,
-        Date.now() - finalizeModelStartedAt,
-        { trigger_reason: finalizeModelReason || "empty_output" }
-      );
-      finalDebug = buildResponseDebugInfo(finalizedModelOnlyResponse);
-      output = extractOutputText(finalizedModelOnlyResponse);
-      if (!refusal) {
-        refusal = extractRefusalText(finalizedModelOnlyResponse);
-      }
-      if (output) {
-        recoveredFromEmptyOutput = true;
-        usedNoWebRecovery = true;
-      }
-    }
+  const result = await runCachedImprovement(req, { requestId });
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("improve", result, startedAt);
+  recordHistoryEntry(req, requestId, result, startedAt);
+  rememberRefinableResult(req, requestId, result, req.body?.prompt);
+  (result.candidates || [])
+    .filter((candidate) => candidate.body.requestId !== requestId)
+    .forEach((candidate) => rememberRefinableResult(req, candidate.body.requestId, candidate, req.body?.prompt));
+  res.set("X-Cache", result.cacheStatus);
+  return res.status(result.status).json(result.body);
+}));
+
+app.post("/api/improve/stream", ...IMPROVE_GUARDS, catchRouteErrors(async (req, res) => {
+  const requestId = randomUUID();
+  const startedAt = Date.now();
+  let closed = false;
+
+  // Several candidates cannot share one stream of deltas.
+  if (requestsVariants(req.body)) {
+    return res.status(400).json({
+      error: "Il campo variants e supportato solo da /api/improve, non dallo streaming.",
+      requestId
+    });
+  }
 
-    if (!output) {
-      const debugPayload = buildResponseDebugPayload({
-        requestId,
-        trace,
-        finalDebug,
-        recoveredFromEmptyOutput: true,
-        usedNoWebRecovery,
-        usedLocalFallback: !refusal,
-        totalElapsedMs: Date.now() - requestStartedAt
-      });
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+    "X-Debug-Request-Id": requestId
+  });
+  res.flushHeaders();
 
-      if (shouldLogEmptyOutputDebug(debugPayload)) {
-        logEmptyOutputDebug(debugPayload);
-      }
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(": keep-alive\n\n");
+    }
+  }, SSE_HEARTBEAT_MS);
 
-      if (refusal) {
-        return res.status(422).json({
-          error: refusal,
-          requestId,
-          debug: debugPayload
-        });
-      }
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
 
-      return res.status(200).json({
-        prompt: buildLocalFallbackPrompt(prompt),
-        recoveredFromEmptyOutput: true,
-        usedWebSearch: true,
-        usedModel: MODEL_NAME,
-        usedLocalFallback: true,
-        usedNoWebRecovery,
-        requestId,
-        debug: debugPayload
-      });
+  const sendEvent = (event, data) => {
+    if (closed) {
+      return;
     }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    const debugPayload = buildResponseDebugPayload({
-      requestId,
-      trace,
-      finalDebug,
-      recoveredFromEmptyOutput,
-      usedNoWebRecovery,
-      usedLocalFallback: false,
-      totalElapsedMs: Date.now() - requestStartedAt
-    });
+  sendEvent("start", { requestId });
 
-    if (shouldLogEmptyOutputDebug(debugPayload)) {
-      logEmptyOutputDebug(debugPayload);
+  const result = await runCachedImprovement(req, {
+    requestId,
+    hooks: {
+      onProgress: (progress) => sendEvent("progress", progress),
+      onDelta: (text) => sendEvent("delta", { text })
     }
+  });
 
-    return res.status(200).json({
-      prompt: output,
-      recoveredFromEmptyOutput,
-      usedWebSearch: true,
-      usedModel: MODEL_NAME,
-      usedNoWebRecovery,
-      requestId,
-      debug: debugPayload
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("stream", result, startedAt);
+  recordHistoryEntry(req, requestId, result, startedAt);
+  rememberRefinableResult(req, requestId, result, req.body?.prompt);
+  sendEvent(result.status === 200 ? "result" : "error", {
+    status: result.status,
+    ...result.body
+  });
+  clearInterval(heartbeat);
+  if (!closed) {
+    res.end();
+  }
+}));
+
+// Queues every prompt of the batch and answers right away with the job id. Every
+// prompt counts as a request for the rate limits; the items run through the
+// shared batch queue, each with its own requestId, history entry and charge.
+app.post("/api/improve/batch", ...BATCH_GUARDS, (req, res) => {
+  const { inputs, error } = parseBatchInputs(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (batchJobs.pending + inputs.length > BATCH_MAX_QUEUED_ITEMS) {
+    return sendRateLimited(req, res, {
+      code: "batch_queue_full",
+      scope: "global",
+      retryAfterMs: CONCURRENCY_RETRY_AFTER_MS * 6,
+      limit: { maxQueuedItems: BATCH_MAX_QUEUED_ITEMS, queued: batchJobs.pending }
     });
-  } catch (error) {
-    if (isTimeoutError(error)) {
-      const timeoutMs = Number(error?.timeoutMs) || OPENAI_TIMEOUT_WEB_SEARCH_MS;
-      const label = typeof error?.label === "string" ? error.label : "OpenAI";
-      const attempts = Number(error?.attempts) || 1;
-
-      const errorDebug = {
-        timeout_label: label,
-        timeout_ms: timeoutMs,
-        attempts
-      };
-
-      const debugPayload = buildResponseDebugPayload({
-        requestId,
-        trace,
-        finalDebug: null,
-        recoveredFromEmptyOutput: Boolean(prompt),
-        usedNoWebRecovery: false,
-        usedLocalFallback: Boolean(prompt),
-        totalElapsedMs: Date.now() - requestStartedAt,
-        errorDebug
-      });
-
-      if (shouldLogEmptyOutputDebug(debugPayload)) {
-        logEmptyOutputDebug(debugPayload);
-      }
+  }
 
-      if (prompt) {
-        return res.status(200).json({
-          prompt: buildLocalFallbackPrompt(prompt),
-          recoveredFromEmptyOutput: true,
-          usedWebSearch: true,
-          usedModel: MODEL_NAME,
-          usedLocalFallback: true,
-          requestId,
-          debug: debugPayload
-        });
-      }
+  const job = batchJobs.enqueue({
+    owner: req.principal?.owner || null,
+    inputs,
+    run: (item) => runBatchItem(req, item)
+  });
+  console.log(`[batch] Job ${job.id}: ${inputs.length} prompt in coda (${batchJobs.pending} in attesa)`);
+  res.set("Location", `/api/jobs/${job.id}`);
+  return res.status(202).json(describeBatchJob(job));
+});
 
-      return res.status(504).json({
-        error: `Timeout ${label} dopo ${timeoutMs}ms (tentativi: ${attempts}). Riprova con un prompt piu corto.`,
-        requestId,
-        debug: debugPayload
-      });
-    }
+app.get("/api/jobs/:jobId", authenticateRequest, (req, res) => {
+  const job = batchJobs.get(String(req.params.jobId || ""));
+  if (!job || job.owner !== (req.principal?.owner || null)) {
+    return res.status(404).json({ error: "Job non trovato o scaduto." });
+  }
+  return res.status(200).json(describeBatchJob(job));
+});
 
-    const status = Number(error?.status) || 502;
-    const rawMessage = typeof error?.message === "string" ? error.message : "Errore chiamata OpenAI.";
-    const message = redactSensitiveText(rawMessage);
-    const errorDebug = {
-      upstream_status: status,
-      upstream_error: message
-    };
+// Applies free-text feedback to any result still in refineSessions. Each
+// refinement is a new version with its own requestId, so versions can be
+// refined again or branched from.
+app.post("/api/improve/:requestId/refine", ...IMPROVE_GUARDS, enforceDailyBudget, catchRouteErrors(async (req, res) => {
+  const parent = findRefinableResult(req);
+  if (!parent) {
+    return res.status(404).json({ error: "Risultato da raffinare non trovato o scaduto." });
+  }
 
-    const debugPayload = buildResponseDebugPayload({
-      requestId,
-      trace,
-      finalDebug: null,
-      recoveredFromEmptyOutput: Boolean(prompt && status >= 500),
-      usedNoWebRecovery: false,
-      usedLocalFallback: Boolean(prompt && status >= 500),
-      totalElapsedMs: Date.now() - requestStartedAt,
-      errorDebug
-    });
+  const requestId = randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Debug-Request-Id", requestId);
 
-    if (shouldLogEmptyOutputDebug(debugPayload)) {
-      logEmptyOutputDebug(debugPayload);
-    }
+  const result = await pipeline.runRefinement(req.body?.feedback, {
+    requestId,
+    owner: req.principal?.owner || null,
+    conversation: parent,
+    budgetMode: costLedger.getBudgetStatus().mode
+  });
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("refine", result, startedAt);
+  recordHistoryEntry(req, requestId, result, startedAt, parent.prompt);
+  const version = rememberRefinableResult(req, requestId, result, parent.prompt, parent);
+  if (!version) {
+    return res.status(result.status).json(result.body);
+  }
+  return res.status(200).json({
+    ...result.body,
+    parentRequestId: parent.id,
+    rootRequestId: version.rootId,
+    version: version.version,
+    feedback: version.feedback
+  });
+}));
 
-    if (prompt && status >= 500) {
-      return res.status(200).json({
-        prompt: buildLocalFallbackPrompt(prompt),
-        recoveredFromEmptyOutput: true,
-        usedWebSearch: true,
-        usedModel: MODEL_NAME,
-        usedLocalFallback: true,
-        requestId,
-        debug: debugPayload
-      });
-    }
+// Phase one of the clarifying-questions flow: returns the questions and a
+// session id to post the answers to.
+app.post("/api/clarify", ...IMPROVE_GUARDS, enforceDailyBudget, catchRouteErrors(async (req, res) => {
+  const requestId = randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Debug-Request-Id", requestId);
 
-    return res.status(status).json({
-      error: message,
-      requestId,
-      debug: debugPayload
-    });
+  const result = await pipeline.runClarification(req.body?.prompt, {
+    requestId,
+    owner: req.principal?.owner || null,
+    target: req.body?.target,
+    budgetMode: costLedger.getBudgetStatus().mode
+  });
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("clarify", result, startedAt);
+  if (result.status !== 200) {
+    return res.status(result.status).json(result.body);
   }
-});
-
-app.all("/api/improve", (_req, res) => {
-  return res.status(405).json({ error: "Metodo non consentito. Usa POST /api/improve." });
-});
 
-app.get("*", (_req, res) => {
-  res.sendFile(path.join(__dirname, "index.html"));
-});
+  const session = {
+    id: requestId,
+    owner: req.principal?.owner || null,
+    createdAt: new Date().toISOString(),
+    prompt: normalizePrompt(req.body?.prompt),
+    target: result.body.target,
+    questions: result.body.questions.map((text, index) => ({ id: `q${index + 1}`, text })),
+    continuation: result.continuation,
+    status: "awaiting_answers",
+    answers: null,
+    result: null
+  };
+  clarifySessions.set(session.id, session);
+  return res.status(200).json({
+    ...result.body,
+    ...describeClarifySession(session)
+  });
+}));
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`Prompt Forge server in ascolto su http://localhost:${PORT}`);
+app.get("/api/clarify/:sessionId", authenticateRequest, (req, res) => {
+  const session = findClarifySession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Sessione di chiarimento non trovata o scaduta." });
+  }
+  return res.status(200).json(describeClarifySession(session));
 });
 
-function normalizePrompt(value) {
-  if (typeof value !== "string") {
-    return "";
+// Phase two: the answers are appended to the prompt and the improvement runs
+// as usual, chained on the phase-one response when the provider allows it.
+// Answers can be sent again to regenerate the prompt.
+app.post("/api/clarify/:sessionId/answers", ...IMPROVE_GUARDS, catchRouteErrors(async (req, res) => {
+  const session = findClarifySession(req);
+  if (!session) {
+    return res.status(404).json({ error: "Sessione di chiarimento non trovata o scaduta." });
   }
-  return value
-    .replace(/\r\n/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-}
-
-function toPositiveInt(value, fallbackValue) {
-  const parsed = Number(value);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
-    return fallbackValue;
+  const { clarifications, error } = collectClarifications(session.questions, req.body?.answers);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  return Math.floor(parsed);
-}
 
-function extractOutputText(response) {
-  if (response && typeof response.output_text === "string" && response.output_text.trim()) {
-    return response.output_text.trim();
-  }
+  const requestId = randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Debug-Request-Id", requestId);
 
-  if (
-    response &&
-    Array.isArray(response.output_text) &&
-    response.output_text.length > 0
-  ) {
-    const textFromArray = response.output_text
-      .map((part) => {
-        if (typeof part === "string") {
-          return part.trim();
-        }
-        if (typeof part?.text === "string") {
-          return part.text.trim();
-        }
-        if (typeof part?.value === "string") {
-          return part.value.trim();
-        }
-        return "";
-      })
-      .filter(Boolean)
-      .join("\n")
-      .trim();
-    if (textFromArray) {
-      return textFromArray;
-    }
+  const result = await pipeline.runImprovement(session.prompt, {
+    requestId,
+    owner: req.principal?.owner || null,
+    target: session.target,
+    format: req.body?.format,
+    clarifications,
+    previousResponse: session.continuation,
+    budgetMode: costLedger.getBudgetStatus().mode
+  });
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("clarify_answers", result, startedAt);
+  recordHistoryEntry(req, requestId, result, startedAt, session.prompt);
+  rememberRefinableResult(req, requestId, result, session.prompt);
+  if (result.status === 200) {
+    Object.assign(session, {
+      status: "completed",
+      answers: clarifications,
+      result: { requestId, prompt: result.body.prompt, sections: result.body.sections || null }
+    });
+    clarifySessions.set(session.id, session);
   }
+  return res.status(result.status).json({ ...result.body, sessionId: session.id });
+}));
+
+// Stored debug payloads for support: the list leaves out the traces, the
+// lookup by X-Debug-Request-Id returns the whole payload.
+app.get("/api/debug", requireAdmin, requireTraceStore, (req, res) => {
+  const { fallback } = req.query;
+  return res.status(200).json(
+    traceStore.list({
+      rootCause: typeof req.query.rootCause === "string" ? req.query.rootCause : undefined,
+      fallback: fallback === "1" || fallback === "0" ? fallback === "1" : undefined,
+      since: req.query.since,
+      until: req.query.until,
+      page: req.query.page,
+      pageSize: req.query.pageSize
+    })
+  );
+});
 
-  if (!response || !Array.isArray(response.output)) {
-    return extractTextFromChoices(response);
+app.get("/api/debug/:requestId", requireAdmin, requireTraceStore, (req, res) => {
+  const entry = traceStore.get(String(req.params.requestId || ""));
+  if (!entry) {
+    return res.status(404).json({ error: "Trace non trovata o scaduta." });
   }
+  return res.status(200).json(entry);
+});
 
-  const chunks = [];
-  response.output.forEach((item) => {
-    if (typeof item?.text === "string" && item.text.trim()) {
-      chunks.push(item.text.trim());
-    }
-
-    if (typeof item?.content === "string" && item.content.trim()) {
-      chunks.push(item.content.trim());
-      return;
-    }
-
-    if (!item || !Array.isArray(item.content)) {
-      return;
-    }
-    item.content.forEach((part) => {
-      if (typeof part === "string" && part.trim()) {
-        chunks.push(part.trim());
-        return;
-      }
-      if (typeof part?.text === "string" && part.text.trim()) {
-        chunks.push(part.text.trim());
-        return;
-      }
-      if (part?.type === "output_text" && typeof part?.text === "string" && part.text.trim()) {
-        chunks.push(part.text.trim());
-      }
-    });
+// Spend of the last days (default 7), in total, per key or user and per model,
+// with the state of today's budget.
+app.get("/api/costs", requireAdmin, (req, res) => {
+  const days = Math.min(COST_RETENTION_DAYS, toPositiveInt(req.query.days, 7));
+  return res.status(200).json({
+    budget: costLedger.getBudgetStatus(),
+    days: costLedger.listDays(days)
   });
+});
 
-  const output = chunks.join("\n").trim();
-  if (output) {
-    return output;
+// History is private: every endpoint needs a key or a login and only sees the
+// entries created by that owner.
+app.get("/api/history", authenticateRequest, requireHistory, (req, res) => {
+  return res.status(200).json(
+    historyStore.list({
+      q: req.query.q,
+      owner: req.principal.owner,
+      page: req.query.page,
+      pageSize: req.query.pageSize
+    })
+  );
+});
+
+app.get("/api/history/:id", authenticateRequest, requireHistory, (req, res) => {
+  const entry = findOwnHistoryEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: "Voce di storico non trovata." });
   }
+  return res.status(200).json(entry);
+});
 
-  return extractTextFromChoices(response);
-}
+app.delete("/api/history/:id", authenticateRequest, requireHistory, (req, res) => {
+  const entry = findOwnHistoryEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: "Voce di storico non trovata." });
+  }
+  historyStore.remove(entry.id);
+  return res.status(204).end();
+});
 
-function extractRefusalText(response) {
-  const chunks = [];
+app.all("/api/improve", (_req, res) => {
+  return res.status(405).json({ error: "Metodo non consentito. Usa POST /api/improve." });
+});
 
-  if (Array.isArray(response?.output)) {
-    response.output.forEach((item) => {
-      if (typeof item?.refusal === "string" && item.refusal.trim()) {
-        chunks.push(item.refusal.trim());
-      }
+app.all("/api/improve/stream", (_req, res) => {
+  return res.status(405).json({ error: "Metodo non consentito. Usa POST /api/improve/stream." });
+});
 
-      if (!Array.isArray(item?.content)) {
-        return;
-      }
+app.all("/api/improve/batch", (_req, res) => {
+  return res.status(405).json({ error: "Metodo non consentito. Usa POST /api/improve/batch." });
+});
 
-      item.content.forEach((part) => {
-        if (typeof part?.refusal === "string" && part.refusal.trim()) {
-          chunks.push(part.refusal.trim());
-          return;
-        }
+app.get("*", (_req, res) => {
+  res.sendFile(path.join(__dirname, "index.html"));
+});
 
-        if (part?.type === "refusal" && typeof part?.text === "string" && part.text.trim()) {
-          chunks.push(part.text.trim());
-        }
-      });
-    });
+app.listen(PORT, "0.0.0.0", () => {
+  console.log(`Prompt Forge server in ascolto su http://localhost:${PORT}`);
+  if (providerHops.length > 1) {
+    console.log(`Catena provider: ${providerHops.map((hop) => hop.name).join(" -> ")} -> template locale`);
   }
+});
 
-  if (chunks.length > 0) {
-    return chunks.join("\n").trim();
+function authenticateRequest(req, res, next) {
+  const { principal, error } = auth.authenticate(req);
+  if (error) {
+    observeRejectedRequest(req, error.code);
+    return res.status(error.status).json({ error: error.message, code: error.code });
   }
-
-  const choices = Array.isArray(response?.choices) ? response.choices : [];
-  const refusalChunks = [];
-  choices.forEach((choice) => {
-    const directRefusal = choice?.message?.refusal;
-    if (typeof directRefusal === "string" && directRefusal.trim()) {
-      refusalChunks.push(directRefusal.trim());
-      return;
-    }
-
-    const content = choice?.message?.content;
-    if (!Array.isArray(content)) {
-      return;
-    }
-    content.forEach((part) => {
-      if (typeof part?.refusal === "string" && part.refusal.trim()) {
-        refusalChunks.push(part.refusal.trim());
-      }
+  if (!principal && AUTH_REQUIRED) {
+    observeRejectedRequest(req, "auth_required");
+    return res.status(401).json({
+      error: "Autenticazione richiesta: accedi o invia una API key.",
+      code: "auth_required"
     });
-  });
-
-  return refusalChunks.join("\n").trim();
-}
-
-function getIncompleteReason(response) {
-  return response?.incomplete_details?.reason || "";
+  }
+  req.principal = principal;
+  return next();
 }
 
-function buildResponseDebugInfo(response) {
-  const outputItems = Array.isArray(response?.output) ? response.output : [];
-  const outputTypes = outputItems.map((item) => item?.type || "unknown");
-  const outputText = extractOutputText(response);
-  const refusalText = extractRefusalText(response);
-  const usage = extractUsageStats(response);
-
-  const hasOutputText = outputItems.some((item) => {
-    if (typeof item?.text === "string" && item.text.trim()) {
-      return true;
-    }
-    if (!Array.isArray(item?.content)) {
-      return false;
-    }
-    return item.content.some((part) => {
-      if (typeof part === "string" && part.trim()) {
-        return true;
-      }
-      return part?.type === "output_text" && typeof part?.text === "string" && part.text.trim();
-    });
+function enforceTokenQuota(req, res, next) {
+  if (!req.principal) {
+    return next();
+  }
+  const quota = auth.getQuotaStatus(req.principal);
+  if (!quota.exceeded) {
+    return next();
+  }
+  console.warn(`[auth] Quota mensile esaurita per ${req.principal.owner} (${req.principal.id}): ${quota.used}/${quota.limit}`);
+  return sendRateLimited(req, res, {
+    code: "quota_exceeded",
+    scope: "quota",
+    retryAfterMs: Date.parse(quota.resetsAt) - Date.now(),
+    limit: { monthlyTokens: quota.limit, used: quota.used, month: quota.month }
   });
+}
 
-  const hasRefusal = outputItems.some((item) => {
-    if (typeof item?.refusal === "string" && item.refusal.trim()) {
-      return true;
-    }
-    if (!Array.isArray(item?.content)) {
-      return false;
-    }
-    return item.content.some((part) => {
-      if (typeof part?.refusal === "string" && part.refusal.trim()) {
-        return true;
-      }
-      return part?.type === "refusal" && typeof part?.text === "string" && part.text.trim();
-    });
+// Clarifying questions and refinements have no template to fall back on, so
+// they stop once the daily budget reaches local_only.
+function enforceDailyBudget(req, res, next) {
+  const budget = costLedger.getBudgetStatus();
+  if (budget.mode !== "local_only") {
+    return next();
+  }
+  return sendRateLimited(req, res, {
+    code: "daily_budget_exhausted",
+    scope: "budget",
+    retryAfterMs: Date.parse(budget.resetsAt) - Date.now(),
+    limit: { dailyBudgetUsd: budget.budgetUsd, spentUsd: roundUsd(budget.spentUsd), day: budget.day }
   });
+}
 
-  const hasWebSearchCall = outputTypes.some((type) =>
-    String(type || "").toLowerCase().includes("web_search")
-  );
+// Every client is throttled by IP; requests carrying an API key also draw from
+// that key's bucket. The concurrency cap is global and is released when the
+// response closes.
+function limitImproveRequests(req, res, next) {
+  return applyRateLimits(req, res, next, 1);
+}
 
-  return {
-    response_id: response?.id || "",
-    status: response?.status || "",
-    incomplete_reason: getIncompleteReason(response),
-    output_count: outputItems.length,
-    output_types: outputTypes,
-    has_web_search_call: hasWebSearchCall,
-    has_output_text: Boolean(hasOutputText || outputText.length > 0),
-    has_refusal: Boolean(hasRefusal || refusalText.length > 0),
-    output_text_length: outputText.length,
-    refusal_length: refusalText.length,
-    usage_input_tokens: usage.input_tokens,
-    usage_output_tokens: usage.output_tokens,
-    usage_total_tokens: usage.total_tokens,
-    usage_reasoning_tokens: usage.reasoning_tokens
-  };
+// A batch costs one token per prompt. Invalid bodies cost one and get their 400
+// from the route.
+function limitBatchRequests(req, res, next) {
+  const prompts = req.body?.prompts;
+  const count = Array.isArray(prompts) && prompts.length > 0 && prompts.length <= BATCH_MAX_ITEMS
+    ? prompts.length
+    : 1;
+  return applyRateLimits(req, res, next, count);
 }
 
-function pushDebugTrace(trace, step, response, elapsedMs, extra) {
-  if (!Array.isArray(trace)) {
-    return;
+function applyRateLimits(req, res, next, count) {
+  if (!RATE_LIMIT_ENABLED) {
+    return next();
   }
 
-  const base = buildResponseDebugInfo(response);
-  const entry = {
-    step,
-    elapsed_ms: toFiniteNumber(elapsedMs),
-    ...base
-  };
-
-  if (extra && typeof extra === "object") {
-    Object.keys(extra).forEach((key) => {
-      const value = extra[key];
-      if (value === undefined) {
-        return;
-      }
-      entry[key] = value;
+  const release = improvementSlots.tryAcquire();
+  if (!release) {
+    return sendRateLimited(req, res, {
+      code: "concurrency_limit",
+      scope: "global",
+      retryAfterMs: CONCURRENCY_RETRY_AFTER_MS,
+      limit: { maxConcurrent: improvementSlots.max }
     });
   }
 
-  trace.push(entry);
-}
-
-function buildResponseDebugPayload({
-  requestId,
-  trace,
-  finalDebug,
-  recoveredFromEmptyOutput,
-  usedNoWebRecovery,
-  usedLocalFallback,
-  totalElapsedMs,
-  errorDebug
-}) {
-  const safeTrace = Array.isArray(trace) ? trace.slice() : [];
-  const diagnosis = buildEmptyOutputDiagnosis(safeTrace);
-  const firstAttempt = safeTrace.length > 0 ? safeTrace[0] : null;
-  const payload = {
-    debug_version: DEBUG_TRACE_VERSION,
-    request_id: requestId,
-    recovered_from_empty_output: Boolean(recoveredFromEmptyOutput),
-    used_no_web_recovery: Boolean(usedNoWebRecovery),
-    used_local_fallback: Boolean(usedLocalFallback),
-    total_elapsed_ms: toFiniteNumber(totalElapsedMs),
-    diagnosis,
-    first_attempt: firstAttempt,
-    final_attempt: finalDebug && typeof finalDebug === "object" ? finalDebug : null,
-    trace: safeTrace
-  };
+  const checks = [{ scope: "ip", limiter: ipRateLimiter, id: req.ip }];
+  if (req.principal?.keyId) {
+    checks.push({ scope: "api_key", limiter: apiKeyRateLimiter, id: req.principal.keyId });
+  }
 
-  if (errorDebug && typeof errorDebug === "object") {
-    payload.error = errorDebug;
-    if (typeof errorDebug.timeout_label === "string") {
-      payload.timeout_label = errorDebug.timeout_label;
-    }
-    if (Number.isFinite(Number(errorDebug.timeout_ms))) {
-      payload.timeout_ms = Number(errorDebug.timeout_ms);
-    }
-    if (Number.isFinite(Number(errorDebug.attempts))) {
-      payload.attempts = Number(errorDebug.attempts);
-    }
-    if (Number.isFinite(Number(errorDebug.upstream_status))) {
-      payload.upstream_status = Number(errorDebug.upstream_status);
+  // Every bucket is checked before any is charged, so a request refused by the
+  // key bucket does not cost IP tokens.
+  for (const { scope, limiter, id } of checks) {
+    const limit = { burst: limiter.burst, perMinute: limiter.perMinute };
+    if (count > limiter.burst) {
+      release();
+      return sendRateLimited(req, res, {
+        code: "batch_over_burst",
+        scope,
+        retryAfterMs: Math.ceil((limiter.burst / limiter.perMinute) * 60000),
+        limit: { ...limit, requested: count }
+      });
     }
-    if (typeof errorDebug.upstream_error === "string") {
-      payload.upstream_error = errorDebug.upstream_error;
+    const decision = limiter.check(id, count);
+    if (!decision.allowed) {
+      release();
+      return sendRateLimited(req, res, {
+        code: "rate_limited",
+        scope,
+        retryAfterMs: decision.retryAfterMs,
+        limit: count > 1 ? { ...limit, requested: count } : limit
+      });
     }
   }
 
-  return payload;
+  const remaining = checks.map(({ limiter, id }) => limiter.take(id, count).remaining);
+  res.set("X-RateLimit-Remaining", String(remaining[remaining.length - 1]));
+  res.on("close", release);
+  return next();
 }
 
-function buildEmptyOutputDiagnosis(trace) {
-  const firstAttempt = Array.isArray(trace) && trace.length > 0 ? trace[0] : null;
-  if (!firstAttempt) {
-    return {
-      root_cause: "missing_first_attempt_trace",
-      summary: "Nessuna traccia del primo tentativo disponibile."
-    };
-  }
-
-  if (firstAttempt.has_output_text) {
-    return {
-      root_cause: "no_empty_output_first_attempt",
-      summary: "Il primo tentativo ha gia prodotto testo utile."
-    };
-  }
+function sendRateLimited(req, res, { code, scope, retryAfterMs, limit }) {
+  observeRejectedRequest(req, code);
+  const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    error: formatRateLimitError(code, retryAfterSeconds),
+    code,
+    scope,
+    retryAfterSeconds,
+    limit
+  });
+}
 
-  if (firstAttempt.has_refusal) {
-    return {
-      root_cause: "first_attempt_refusal",
-      summary: "Il primo tentativo contiene una refusal e non testo utilizzabile."
-    };
+// Prompts are strings or { prompt, target, format }; target, format and cache at
+// the top level apply to every item that does not set its own.
+function parseBatchInputs(body) {
+  const prompts = body?.prompts;
+  if (!Array.isArray(prompts) || prompts.length === 0) {
+    return { error: "Il campo prompts deve essere un array non vuoto." };
   }
-
-  if (firstAttempt.incomplete_reason === "max_output_tokens") {
-    return {
-      root_cause: "max_output_tokens_reached",
-      summary: "Il primo tentativo e stato interrotto per limite token."
-    };
+  if (prompts.length > BATCH_MAX_ITEMS) {
+    return { error: `Troppi prompt nel batch: massimo ${BATCH_MAX_ITEMS}.` };
   }
+  return {
+    inputs: prompts.map((entry) => {
+      const item = entry && typeof entry === "object" ? entry : { prompt: entry };
+      return {
+        prompt: item.prompt,
+        target: item.target ?? body.target,
+        format: item.format ?? body.format,
+        cache: body.cache
+      };
+    })
+  };
+}
 
-  if (typeof firstAttempt.status === "string" && firstAttempt.status && firstAttempt.status !== "completed") {
+// The quota is checked again before each item, so a long batch stops charging
+// once it runs out.
+async function runBatchItem(req, item) {
+  const { requestId, input } = item;
+  if (req.principal && auth.getQuotaStatus(req.principal).exceeded) {
     return {
-      root_cause: "first_attempt_not_completed",
-      summary: `Il primo tentativo e terminato con status=${firstAttempt.status}.`
+      status: 429,
+      body: { error: formatRateLimitError("quota_exceeded"), code: "quota_exceeded", requestId }
     };
   }
 
-  if (firstAttempt.has_web_search_call && !firstAttempt.has_output_text) {
-    return {
-      root_cause: "web_search_without_final_text",
-      summary: "Il primo tentativo ha eseguito web_search ma non ha emesso output_text finale."
-    };
-  }
+  const startedAt = Date.now();
+  const result = await runCachedImprovement(req, { requestId, input });
+  recordPrincipalUsage(req, requestId, result);
+  recordRequestCost(req, requestId, result);
+  observePipelineResult("batch", result, startedAt);
+  recordHistoryEntry(req, requestId, result, startedAt, input.prompt);
+  rememberRefinableResult(req, requestId, result, input.prompt);
+  return result;
+}
 
-  if (Number(firstAttempt.output_count) === 0) {
-    return {
-      root_cause: "first_attempt_no_output_items",
-      summary: "Il primo tentativo non contiene elementi in output."
-    };
+function describeBatchJob(job) {
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+  job.items.forEach((item) => {
+    counts[item.status] += 1;
+  });
+  let status = "queued";
+  if (job.finishedAt) {
+    status = "completed";
+  } else if (counts.queued < job.items.length) {
+    status = "running";
   }
-
   return {
-    root_cause: "first_attempt_non_text_output",
-    summary: "Il primo tentativo contiene output non testuale."
+    jobId: job.id,
+    status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    total: job.items.length,
+    counts,
+    items: job.items.map((item) => ({
+      index: item.index,
+      requestId: item.requestId,
+      status: item.status,
+      httpStatus: item.httpStatus,
+      prompt: normalizePrompt(item.input.prompt),
+      startedAt: item.startedAt,
+      finishedAt: item.finishedAt,
+      result: item.result
+    }))
   };
 }
 
-function shouldLogEmptyOutputDebug(debugPayload) {
-  if (!LOG_EMPTY_OUTPUT_TRACE || !debugPayload || typeof debugPayload !== "object") {
-    return false;
+// The admin endpoints stay off until ADMIN_TOKEN is set.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: "Endpoint di amministrazione disattivati: imposta ADMIN_TOKEN." });
   }
-
-  if (debugPayload.used_local_fallback || debugPayload.recovered_from_empty_output) {
-    return true;
+  if (!matchesBearerToken(req, ADMIN_TOKEN)) {
+    return res.status(401).json({ error: "Token di amministrazione mancante o non valido.", code: "admin_token_required" });
   }
-
-  const rootCause = debugPayload?.diagnosis?.root_cause || "";
-  return rootCause !== "no_empty_output_first_attempt";
+  return next();
 }
 
-function logEmptyOutputDebug(debugPayload) {
-  try {
-    const event = {
-      request_id: debugPayload?.request_id || "",
-      root_cause: debugPayload?.diagnosis?.root_cause || "unknown",
-      summary: debugPayload?.diagnosis?.summary || "",
-      total_elapsed_ms: debugPayload?.total_elapsed_ms,
-      first_attempt: debugPayload?.first_attempt || null,
-      final_attempt: debugPayload?.final_attempt || null,
-      trace: Array.isArray(debugPayload?.trace) ? debugPayload.trace : [],
-      error: debugPayload?.error || null
-    };
-    console.warn(`[debug-empty-output] ${JSON.stringify(event)}`);
-  } catch (_error) {
-    console.warn("[debug-empty-output] Impossibile serializzare il payload di debug.");
+function requireTraceStore(_req, res, next) {
+  if (!traceStore) {
+    return res.status(404).json({ error: "Archivio delle trace disattivato (DEBUG_TRACE_STORE_ENABLED=0)." });
   }
+  return next();
 }
 
-function extractUsageStats(response) {
-  const usage = response?.usage || {};
-  const outputDetails = usage?.output_tokens_details || usage?.output_token_details || {};
-  return {
-    input_tokens: toFiniteNumber(usage?.input_tokens),
-    output_tokens: toFiniteNumber(usage?.output_tokens),
-    total_tokens: toFiniteNumber(usage?.total_tokens),
-    reasoning_tokens: toFiniteNumber(
-      outputDetails?.reasoning_tokens ?? usage?.reasoning_tokens
-    )
-  };
+// Compares hashes so the check takes the same time whatever the token.
+function matchesBearerToken(req, token) {
+  const header = String(req.get("Authorization") || "");
+  const sent = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return Boolean(sent) && timingSafeEqual(digest(sent), digest(token));
 }
 
-function toFiniteNumber(value) {
-  const parsed = Number(value);
-  if (!Number.isFinite(parsed)) {
-    return null;
-  }
-  return Math.max(0, Math.floor(parsed));
+// Express 4 does not forward rejected promises: an unexpected error in an async
+// route (analyzer, templates, stores) answers 500 with the request id, or ends
+// the stream with an error event once the SSE headers are out.
+function catchRouteErrors(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      const requestId = res.get("X-Debug-Request-Id") || null;
+      console.error(`[errore] ${req.method} ${req.path} request=${requestId}:`, error);
+      const body = { error: "Errore interno del server. Riprova tra poco.", requestId };
+      if (!res.headersSent) {
+        res.status(500).json(body);
+      } else if (String(res.get("Content-Type") || "").includes("text/event-stream")) {
+        if (!res.writableEnded) {
+          res.write(`event: error\ndata: ${JSON.stringify({ status: 500, ...body })}\n\n`);
+          res.end();
+        }
+      } else if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
 }
 
-function redactSensitiveText(value) {
-  const text = String(value || "");
-  if (!text) {
-    return "";
+function requireHistory(req, res, next) {
+  if (!historyStore) {
+    return res.status(404).json({ error: "Storico disattivato sul server (HISTORY_ENABLED=0)." });
   }
+  if (!req.principal) {
+    return res.status(401).json({
+      error: "Autenticazione richiesta: lo storico e visibile solo con una API key o un login.",
+      code: "auth_required"
+    });
+  }
+  return next();
+}
 
-  return text
-    .replace(/sk-[A-Za-z0-9_-]{12,}/g, "sk-***REDACTED***")
-    .replace(/(api[_\s-]*key[^:\n]*:\s*)([^\s,;]+)/gi, "$1***REDACTED***");
+// Entries of other owners answer 404 like missing ones, so ids cannot be probed.
+function findOwnHistoryEntry(req) {
+  const entry = historyStore.get(req.params.id);
+  return entry && entry.owner === req.principal.owner ? entry : null;
 }
 
-function buildLocalFallbackPrompt(userPrompt) {
-  const concisePrompt = String(userPrompt || "")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const lowerPrompt = concisePrompt.toLowerCase();
-  const isHealthRequest = hasAnyKeyword(lowerPrompt, [
-    "dieta",
-    "alimentazione",
-    "dimagr",
-    "calorie",
-    "fitness",
-    "allenamento",
-    "nutriz"
-  ]);
-  const isMarketingRequest = hasAnyKeyword(lowerPrompt, [
-    "marketing",
-    "campagna",
-    "lead",
-    "funnel",
-    "brand",
-    "social",
-    "ads",
-    "seo",
-    "ecommerce",
-    "vendit",
-    "growth"
-  ]);
-  const isCodingRequest = hasAnyKeyword(lowerPrompt, [
-    "codice",
-    "bug",
-    "debug",
-    "javascript",
-    "typescript",
-    "python",
-    "node",
-    "api",
-    "app",
-    "frontend",
-    "backend",
-    "deploy",
-    "server"
-  ]);
-  const isStudyRequest = hasAnyKeyword(lowerPrompt, [
-    "stud",
-    "esame",
-    "tesi",
-    "impar",
-    "apprendere",
-    "riassunto",
-    "piano studio"
-  ]);
-
-  if (isHealthRequest) {
-    return [
-      "Agisci come nutrizionista educativo (non medico) e personal trainer della nutrizione.",
-      "Obiettivo: aiutarmi a iniziare una dieta in modo sano, sostenibile e realistico.",
-      "",
-      "Richiesta di partenza:",
-      concisePrompt,
-      "",
-      "Prima parte (domande chiarificatrici, max 3):",
-      "- Obiettivo principale (dimagrimento, ricomposizione, salute).",
-      "- Restrizioni/preferenze alimentari e budget.",
-      "- Livello di attivita fisica e routine giornaliera.",
-      "",
-      "Seconda parte (output pratico):",
-      "1. Strategia alimentare semplice per 4 settimane.",
-      "2. Calorie/macronutrienti stimate con range (non prescrizione medica).",
-      "3. Esempio menu 7 giorni (colazione, pranzo, cena, spuntini).",
-      "4. Lista spesa settimanale.",
-      "5. Errori da evitare e come gestire fame/sbalzi di motivazione.",
-      "6. Piano monitoraggio progressi (peso, circonferenze, energia).",
-      "",
-      "Vincoli:",
-      "- Italiano chiaro, tono pratico.",
-      "- Nessuna promessa irrealistica.",
-      "- Se emergono segnali clinici, consiglia consulto con dietista/medico."
-    ].join("\n");
+function formatRateLimitError(code, retryAfterSeconds) {
+  if (code === "quota_exceeded") {
+    return "Quota mensile di token esaurita per questa API key o utente.";
   }
-
-  if (isMarketingRequest) {
-    return [
-      "Ruolo: Sei un growth marketer senior orientato ai risultati.",
-      "Obiettivo: creare un piano marketing concreto, misurabile e sostenibile.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Output richiesto:",
-      "1. Sintesi strategica in 4-6 righe (target, proposta di valore, canali prioritari).",
-      "2. Piano operativo 90 giorni in fasi: setup, test, ottimizzazione, scala.",
-      "3. Canali consigliati con motivazione e KPI per ciascun canale.",
-      "4. Budget indicativo low/medium/high e ripartizione percentuale.",
-      "5. Calendario contenuti/campagne per 4 settimane.",
-      "6. Dashboard KPI minima (CAC, CPL, conversion rate, ROAS, LTV) con soglie target.",
-      "Vincoli:",
-      "- Italiano chiaro, zero teoria superflua.",
-      "- Passi numerati e azionabili subito.",
-      "- Evidenzia ipotesi da validare."
-    ].join("\n");
+  if (code === "daily_budget_exhausted") {
+    return "Budget giornaliero esaurito: disponibile solo l'ottimizzazione con i template locali.";
+  }
+  if (code === "batch_over_burst") {
+    return "Il batch supera il picco del rate limit: dividilo in batch piu piccoli.";
+  }
+  if (code === "batch_queue_full") {
+    return `Coda dei batch piena. Riprova tra ${retryAfterSeconds} secondi.`;
   }
+  if (code === "concurrency_limit") {
+    return `Server occupato: troppe ottimizzazioni in corso. Riprova tra ${retryAfterSeconds} secondi.`;
+  }
+  return `Troppe richieste: riprova tra ${retryAfterSeconds} secondi.`;
+}
 
-  if (isCodingRequest) {
-    return [
-      "Ruolo: Sei un software engineer senior pragmatico.",
-      "Obiettivo: fornire una soluzione tecnica implementabile rapidamente.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Formato output:",
-      "1. Diagnosi rapida del problema o obiettivo tecnico.",
-      "2. Piano step-by-step con comandi/esempi concreti.",
-      "3. Patch di codice proposta (snippets pronti da incollare).",
-      "4. Checklist di verifica e test minimi.",
-      "Vincoli:",
-      "- Evita astrazioni inutili.",
-      "- Specifica assunzioni e limiti.",
-      "- Mantieni compatibilita con stack web moderno."
-    ].join("\n");
+// Charges the tokens reported by the providers to the key or user that made
+// the request.
+function recordPrincipalUsage(req, requestId, result) {
+  const { principal } = req;
+  if (!principal) {
+    return;
   }
+  const tokens = countChargedTokens(result);
+  const monthlyTotal = auth.recordUsage(principal, tokens);
+  console.log(
+    `[auth] ${principal.owner} (${principal.id}) request=${requestId} status=${result.status} tokens=${tokens} mese=${monthlyTotal}`
+  );
+}
 
-  if (isStudyRequest) {
-    return [
-      "Ruolo: Sei un tutor esperto in metodo di studio.",
-      "Obiettivo: costruire un piano di apprendimento realistico e progressivo.",
-      `Richiesta utente: ${concisePrompt}`,
-      "Formato output:",
-      "1. Obiettivo concreto (misurabile) e livello attuale ipotizzato.",
-      "2. Piano settimanale con blocchi giornalieri e priorita.",
-      "3. Tecniche pratiche (active recall, spaced repetition, esercizi).",
-      "4. Metriche di avanzamento e checkpoint.",
-      "5. Errori comuni da evitare.",
-      "Vincoli:",
-      "- Linguaggio semplice e operativo.",
-      "- Nessun consiglio generico non applicabile."
-    ].join("\n");
+// Prices the request with PRICE_TABLE, adds it to the daily ledger under the
+// key or user (or "anonymous") and returns it in the body as cost.
+function recordRequestCost(req, requestId, result) {
+  if (result.status === 400 || !result.body) {
+    return;
   }
+  const cost = costLedger.computeCost(listChargedDebugs(result));
+  const dailyTotal = costLedger.record(req.principal?.id || "anonymous", cost);
+  const budgetMode = result.body.debug?.budget_mode || "full";
+  result.body.cost = {
+    usd: roundUsd(cost.usd),
+    inputTokens: cost.inputTokens,
+    outputTokens: cost.outputTokens,
+    reasoningTokens: cost.reasoningTokens,
+    webSearchCalls: cost.webSearchCalls,
+    budgetMode,
+    ...(cost.unpricedModels.length > 0 ? { unpricedModels: cost.unpricedModels } : {})
+  };
+  if (cost.usd > 0) {
+    console.log(`[costi] request=${requestId} usd=${roundUsd(cost.usd)} giorno=${roundUsd(dailyTotal)} modalita=${budgetMode}`);
+  }
+}
 
-  return [
-    "Ruolo: Sei un assistente esperto e pragmatico orientato all'azione.",
-    "Obiettivo: Fornire una risposta utile, concreta e immediatamente applicabile.",
-    `Richiesta utente: ${concisePrompt}`,
-    "Vincoli di qualita:",
-    "- Linguaggio chiaro e in italiano.",
-    "- Soluzione in passi numerati.",
-    "- Evidenzia assunzioni e limiti.",
-    "- Evita invenzioni non verificabili.",
-    "Formato output richiesto:",
-    "1. Sintesi in 2-3 righe",
-    "2. Piano pratico step-by-step",
-    "3. Checklist finale",
-    "Domande chiarificatrici (max 3) solo se strettamente necessarie."
-  ].join("\n");
+function roundUsd(value) {
+  return Math.round(value * 1000000) / 1000000;
 }
 
-function hasAnyKeyword(text, keywords) {
-  if (!text || !Array.isArray(keywords) || keywords.length === 0) {
-    return false;
+// Rejections by the guards of the routes the metrics follow; the login limiter,
+// jobs and history are not counted.
+function observeRejectedRequest(req, code) {
+  const route = METRICS_ROUTES[req.route?.path];
+  if (route) {
+    pipelineMetrics?.observeRejected(route, code);
   }
-  return keywords.some((keyword) => text.includes(keyword));
 }
 
-function extractTextFromChoices(response) {
-  const choices = Array.isArray(response?.choices) ? response.choices : [];
-  if (choices.length === 0) {
-    return "";
+// Feeds the metrics and the debug trace store. The HTTP request is counted once;
+// every candidate of a variants request is a pipeline run of its own, so each
+// one feeds the step, hop and token counters and is stored under its own child
+// requestId, next to the aggregated debug stored under the request's id.
+// Failed and duplicate candidates only keep their debug payload.
+function observePipelineResult(route, result, startedAt) {
+  pipelineMetrics?.observe(route, result, Date.now() - startedAt, listChargedDebugs(result));
+  if (!traceStore) {
+    return;
   }
-
-  const chunks = [];
-  choices.forEach((choice) => {
-    const content = choice?.message?.content;
-    if (typeof content === "string" && content.trim()) {
-      chunks.push(content.trim());
-      return;
-    }
-
-    if (Array.isArray(content)) {
-      content.forEach((part) => {
-        if (typeof part === "string" && part.trim()) {
-          chunks.push(part.trim());
-          return;
-        }
-        if (typeof part?.text === "string" && part.text.trim()) {
-          chunks.push(part.text.trim());
-        }
-      });
+  const runs = Array.isArray(result.body?.candidates)
+    ? [
+        result,
+        ...result.candidates,
+        ...result.body.failedCandidates.map(({ status, debug }) => ({ status, body: { debug } }))
+      ]
+    : [result];
+  runs.forEach((run) => {
+    const debug = run.body?.debug;
+    if (debug?.request_id) {
+      traceStore.add({ requestId: debug.request_id, route, status: run.status, debug });
     }
   });
-
-  return chunks.join("\n").trim();
 }
 
-async function createImprovementResponse(prompt) {
-  if (USE_CHAT_COMPLETIONS_API) {
-    const response = await requestChatCompletionWithTimeoutRetry(
-      buildChatCompletionPayload(
-        prompt,
-        undefined,
-        MODEL_NAME,
-        getAdaptiveMaxOutputTokens("initial")
-      ),
-      OPENAI_TIMEOUT_WEB_SEARCH_MS,
-      "Provider chat.completions initial"
-    );
-
-    return {
-      response
-    };
+// Keeps what is needed to refine a successful result later. parent is the
+// version it was refined from, if any. Returns the stored entry.
+function rememberRefinableResult(req, requestId, result, rawPrompt, parent) {
+  if (result.status !== 200 || !result.continuation) {
+    return null;
   }
-
-  const basePayload = buildBasePayload(
-    prompt,
-    undefined,
-    MODEL_NAME,
-    getAdaptiveMaxOutputTokens("initial")
-  );
-  const response = await requestOpenAIWithTimeoutRetry(
-    {
-      ...basePayload,
-      tools: [{ type: "web_search" }]
-    },
-    OPENAI_TIMEOUT_WEB_SEARCH_MS,
-    "OpenAI+web_search"
-  );
-
-  return {
-    response
+  const entry = {
+    id: requestId,
+    owner: req.principal?.owner || null,
+    rootId: parent ? parent.rootId : requestId,
+    parentId: parent ? parent.id : null,
+    version: parent ? parent.version + 1 : 1,
+    feedback: parent ? normalizePrompt(req.body?.feedback) : null,
+    prompt: normalizePrompt(rawPrompt),
+    target: result.body.target,
+    format: result.body.format,
+    output: result.body.prompt,
+    continuation: result.continuation
   };
+  refineSessions.set(entry.id, entry);
+  return entry;
 }
 
-function buildBasePayload(prompt, userInstructionText, modelName, maxOutputTokensOverride) {
-  const payload = {
-    model: modelName || MODEL_NAME,
-    text: {
-      verbosity: "low"
-    },
-    input: [
-      {
-        role: "system",
-        content: [{ type: "input_text", text: SYSTEM_INSTRUCTIONS }]
-      },
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text: userInstructionText || `Migliora questo prompt rendendolo specifico e operativo:\n\n${prompt}`
-          }
-        ]
-      }
-    ]
-  };
-
-  const maxOutputTokens = Number.isFinite(maxOutputTokensOverride)
-    ? Math.floor(maxOutputTokensOverride)
-    : MAX_OUTPUT_TOKENS;
-
-  if (maxOutputTokens > 0) {
-    payload.max_output_tokens = maxOutputTokens;
+function findRefinableResult(req) {
+  const entry = refineSessions.get(String(req.params.requestId || ""));
+  if (!entry || entry.value.owner !== (req.principal?.owner || null)) {
+    return null;
   }
-
-  return payload;
+  return entry.value;
 }
 
-function buildChatCompletionPayload(prompt, userInstructionText, modelName, maxOutputTokensOverride) {
-  const payload = {
-    model: modelName || MODEL_NAME,
-    messages: [
-      { role: "system", content: SYSTEM_INSTRUCTIONS },
-      {
-        role: "user",
-        content: userInstructionText || `Migliora questo prompt rendendolo specifico e operativo:\n\n${prompt}`
-      }
-    ]
-  };
-
-  const maxOutputTokens = Number.isFinite(maxOutputTokensOverride)
-    ? Math.floor(maxOutputTokensOverride)
-    : MAX_OUTPUT_TOKENS;
-
-  if (maxOutputTokens > 0) {
-    payload.max_tokens = maxOutputTokens;
+// Sessions are private to the key or user that opened them; anonymous sessions
+// are reachable by anyone holding the id.
+function findClarifySession(req) {
+  const entry = clarifySessions.get(String(req.params.sessionId || ""));
+  if (!entry || entry.value.owner !== (req.principal?.owner || null)) {
+    return null;
   }
-
-  return payload;
+  return entry.value;
 }
 
-async function requestDirectTextFallback(prompt, isTokenLimited) {
-  const retryInstruction = [
-    "Genera direttamente il prompt finale ottimizzato in testo semplice.",
-    "Nessuna spiegazione extra.",
-    isTokenLimited
-      ? "Mantieni il risultato molto conciso (massimo 12 righe operative)."
-      : "Mantieni il risultato conciso e operativo.",
-    "",
-    "Prompt di partenza:",
-    prompt
-  ].join("\n");
-
-  const boostedMaxOutputTokens = getAdaptiveMaxOutputTokens(
-    isTokenLimited ? "token_pressure" : "retry"
-  );
-
-  if (USE_CHAT_COMPLETIONS_API) {
-    return requestChatCompletionWithTimeoutRetry(
-      buildChatCompletionPayload(
-        prompt,
-        retryInstruction,
-        MODEL_NAME,
-        boostedMaxOutputTokens
-      ),
-      OPENAI_TIMEOUT_WEB_SEARCH_MS,
-      "Provider chat.completions retry-empty-output"
-    );
-  }
-
-  return requestOpenAIWithTimeoutRetry(
-    {
-      ...buildBasePayload(prompt, retryInstruction, MODEL_NAME, boostedMaxOutputTokens),
-      tools: [{ type: "web_search" }]
-    },
-    OPENAI_TIMEOUT_WEB_SEARCH_MS,
-    "OpenAI+web_search retry-empty-output"
-  );
+function describeClarifySession(session) {
+  return {
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    prompt: session.prompt,
+    target: session.target,
+    questions: session.questions,
+    status: session.status,
+    answers: session.answers,
+    result: session.result
+  };
 }
 
-async function requestModelOnlyFallback(prompt, isTokenLimited) {
-  const retryInstruction = [
-    "Genera direttamente il prompt finale ottimizzato in testo semplice.",
-    "Nessuna spiegazione extra.",
-    "Nessuna chiamata a strumenti esterni.",
-    isTokenLimited
-      ? "Output compatto: massimo 12 righe operative."
-      : "Output conciso e subito applicabile.",
-    "",
-    "Prompt di partenza:",
-    prompt
-  ].join("\n");
-
-  const boostedMaxOutputTokens = getAdaptiveMaxOutputTokens(
-    isTokenLimited ? "token_pressure" : "retry"
-  );
-
-  if (USE_CHAT_COMPLETIONS_API) {
-    return requestChatCompletionWithTimeoutRetry(
-      buildChatCompletionPayload(
-        prompt,
-        retryInstruction,
-        MODEL_NAME,
-        boostedMaxOutputTokens
-      ),
-      OPENAI_TIMEOUT_WEB_SEARCH_MS,
-      "Provider chat.completions model-only retry-empty-output"
-    );
+// Validation errors never reach a provider and are not worth keeping. Only
+// requests with a key or a login are kept: anonymous entries could never be
+// read or deleted through /api/history.
+function recordHistoryEntry(req, requestId, result, startedAt, rawPrompt = req.body?.prompt) {
+  if (!historyStore || !req.principal || result.status === 400) {
+    return;
   }
-
-  return requestOpenAIWithTimeoutRetry(
-    buildBasePayload(prompt, retryInstruction, MODEL_NAME, boostedMaxOutputTokens),
-    OPENAI_TIMEOUT_WEB_SEARCH_MS,
-    "OpenAI model-only retry-empty-output"
-  );
+  const { body } = result;
+  historyStore.add({
+    id: requestId,
+    createdAt: new Date(startedAt).toISOString(),
+    owner: req.principal?.owner || null,
+    rawPrompt: normalizePrompt(rawPrompt),
+    target: body.target || null,
+    format: body.format || null,
+    prompt: typeof body.prompt === "string" ? body.prompt : null,
+    status: result.status,
+    error: typeof body.error === "string" ? body.error : null,
+    model: body.usedModel || body.debug?.model || null,
+    provider: body.usedProvider || body.debug?.provider || null,
+    usedLocalFallback: Boolean(body.usedLocalFallback),
+    usedWebSearch: Boolean(body.usedWebSearch),
+    usedProviderFailover: Boolean(body.usedProviderFailover),
+    usedNoWebRecovery: Boolean(body.usedNoWebRecovery),
+    recoveredFromEmptyOutput: Boolean(body.recoveredFromEmptyOutput),
+    cached: Boolean(body.cached),
+    elapsedMs: Date.now() - startedAt,
+    tokens: countChargedTokens(result),
+    costUsd: body.cost ? body.cost.usd : null
+  });
 }
 
-function isTimeoutError(error) {
-  const message = String(error?.message || "").toLowerCase();
-  return (
-    error?.code === "TIMEOUT" ||
-    message.includes("timeout") ||
-    message.includes("timed out")
-  );
+function countChargedTokens(result) {
+  return listChargedDebugs(result).reduce((total, debug) => total + sumTraceTokens(debug), 0);
 }
 
-async function requestOpenAI(payload, timeoutMs, label) {
-  const created = await withTimeout(openai.responses.create(payload), timeoutMs, label);
-  return waitForResponseCompletion(created, label);
+// Cache hits replay a stored trace, so they cost nothing. With variants every
+// candidate is charged, including the failed and duplicate ones.
+function listChargedDebugs(result) {
+  if (result.cacheStatus === "HIT") {
+    return [];
+  }
+  const { body } = result;
+  if (Array.isArray(body?.candidates)) {
+    return [...body.candidates, ...body.failedCandidates].map((candidate) => candidate.debug).filter(Boolean);
+  }
+  return body?.debug ? [body.debug] : [];
 }
 
-async function requestChatCompletion(payload, timeoutMs, label) {
-  return withTimeout(openai.chat.completions.create(payload), timeoutMs, label);
+function sumTraceTokens(debug) {
+  const trace = Array.isArray(debug?.trace) ? debug.trace : [];
+  return trace.reduce((total, entry) => {
+    const tokens = Number(entry?.usage_total_tokens);
+    return Number.isFinite(tokens) && tokens > 0 ? total + tokens : total;
+  }, 0);
 }
 
-async function requestFinalizeFromPreviousResponse(previousResponseId, isTokenLimited, prompt) {
-  const finalizeInstruction = [
-    "Usa i risultati gia raccolti e restituisci ORA solo il prompt finale ottimizzato.",
-    "Output testuale puro, nessuna introduzione e nessuna spiegazione.",
-    isTokenLimited
-      ? "Formato compatto: massimo 12 righe operative."
-      : "Mantieni il testo conciso e operativo."
-  ].join("\n");
-
-  if (USE_CHAT_COMPLETIONS_API) {
-    const finalizePrompt = [
-      finalizeInstruction,
-      "",
-      "Prompt di partenza:",
-      prompt
-    ].join("\n");
-
-    return requestChatCompletionWithTimeoutRetry(
-      buildChatCompletionPayload(
-        prompt,
-        finalizePrompt,
-        MODEL_NAME,
-        getAdaptiveMaxOutputTokens(isTokenLimited ? "token_pressure" : "retry")
-      ),
-      OPENAI_TIMEOUT_WEB_SEARCH_MS,
-      "Provider chat.completions finalize-fallback"
-    );
+// Wraps the pipeline with the result cache. Only provider output is stored:
+// refusals, errors and local-template results always go through the pipeline.
+// Asking for several variants means asking for fresh candidates, so those
+// requests skip the cache. input defaults to the request body; batch items pass
+// their own. Downgraded results are served from the cache but never stored.
+async function runCachedImprovement(req, { requestId, hooks, input = req.body }) {
+  const budgetMode = costLedger.getBudgetStatus().mode;
+  if (requestsVariants(input)) {
+    const result = await pipeline.runVariants(input?.prompt, {
+      requestId,
+      owner: req.principal?.owner || null,
+      target: input?.target,
+      format: input?.format,
+      count: input.variants,
+      budgetMode
+    });
+    return { ...result, cacheStatus: "BYPASS" };
   }
 
-  return requestOpenAIWithTimeoutRetry(
-    {
-      model: MODEL_NAME,
-      previous_response_id: previousResponseId,
-      text: { verbosity: "low" },
-      input: [
-        {
-          role: "user",
-          content: [{ type: "input_text", text: finalizeInstruction }]
+  const directive = parseCacheDirective(input?.cache || req.get("Cache-Control"));
+  const prompt = normalizePrompt(input?.prompt);
+  const profile = resolveTargetProfile(input?.target);
+  const format = resolveOutputFormat(input?.format);
+  const cacheKey = resultCache && prompt && profile && format
+    ? buildResultCacheKey(prompt, profile, format)
+    : "";
+
+  if (cacheKey && directive.read) {
+    const entry = resultCache.get(cacheKey);
+    if (entry) {
+      hooks?.onProgress?.({ step: "cache_hit", attempt: 0 });
+      return {
+        status: 200,
+        cacheStatus: "HIT",
+        continuation: {
+          provider: "",
+          responseId: "",
+          messages: buildImprovementMessages(prompt, entry.value.prompt)
+        },
+        body: {
+          ...entry.value,
+          cached: true,
+          requestId,
+          debug: {
+            ...entry.value.debug,
+            request_id: requestId,
+            owner: req.principal?.owner || null,
+            cache: {
+              hit: true,
+              key: cacheKey,
+              age_ms: Date.now() - entry.storedAt,
+              original_request_id: entry.value.requestId
+            }
+          }
         }
-      ],
-      max_output_tokens: getAdaptiveMaxOutputTokens(
-        isTokenLimited ? "token_pressure" : "retry"
-      )
-    },
-    OPENAI_TIMEOUT_WEB_SEARCH_MS,
-    "OpenAI finalize-from-previous"
-  );
-}
-
-function getAdaptiveMaxOutputTokens(mode) {
-  let floor = 1100;
-  if (mode === "initial") {
-    floor = 1200;
-  } else if (mode === "retry") {
-    floor = 1600;
-  } else if (mode === "token_pressure") {
-    floor = 2600;
+      };
+    }
   }
 
-  if (MAX_OUTPUT_TOKENS > 0) {
-    return Math.max(MAX_OUTPUT_TOKENS, floor);
+  const owner = req.principal?.owner || null;
+  const result = await pipeline.runImprovement(input?.prompt, {
+    requestId,
+    hooks,
+    owner,
+    target: input?.target,
+    format: input?.format,
+    budgetMode
+  });
+  const cacheable = Boolean(
+    cacheKey && result.status === 200 && !result.body.usedLocalFallback && budgetMode === "full"
+  );
+  const stored = cacheable && directive.write;
+  if (stored) {
+    resultCache.set(cacheKey, result.body);
   }
-  return floor;
-}
-
-async function waitForResponseCompletion(initialResponse, label) {
-  let response = initialResponse;
-  let waitedMs = 0;
-
-  while (isPendingResponseStatus(response?.status)) {
-    if (!response?.id) {
-      break;
-    }
-
-    if (waitedMs >= OPENAI_POLL_MAX_WAIT_MS) {
-      const timeoutError = new Error(`${label} polling timeout (${OPENAI_POLL_MAX_WAIT_MS}ms)`);
-      timeoutError.code = "TIMEOUT";
-      timeoutError.timeoutMs = OPENAI_POLL_MAX_WAIT_MS;
-      timeoutError.label = `${label} polling`;
-      throw timeoutError;
-    }
 
-    await sleep(OPENAI_POLL_INTERVAL_MS);
-    waitedMs += OPENAI_POLL_INTERVAL_MS;
-    response = await withTimeout(
-      openai.responses.retrieve(response.id),
-      OPENAI_TIMEOUT_WEB_SEARCH_MS,
-      `${label} retrieve`
-    );
+  const cacheStatus = cacheKey && directive.read ? "MISS" : "BYPASS";
+  if (result.status !== 200) {
+    return { ...result, cacheStatus };
   }
-
-  return response;
-}
-
-function isPendingResponseStatus(status) {
-  return status === "queued" || status === "in_progress";
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-async function requestOpenAIWithTimeoutRetry(payload, firstTimeoutMs, label) {
-  return requestWithTimeoutRetry(requestOpenAI, payload, firstTimeoutMs, label);
-}
-
-async function requestChatCompletionWithTimeoutRetry(payload, firstTimeoutMs, label) {
-  return requestWithTimeoutRetry(requestChatCompletion, payload, firstTimeoutMs, label);
-}
-
-async function requestWithTimeoutRetry(requestFn, payload, firstTimeoutMs, label) {
-  let timeoutMs = firstTimeoutMs;
-  let lastTimeoutError = null;
-
-  for (let attempt = 0; attempt <= OPENAI_TIMEOUT_RETRIES; attempt += 1) {
-    const attemptLabel = attempt === 0 ? label : `${label} retry-${attempt}`;
-    try {
-      return await requestFn(payload, timeoutMs, attemptLabel);
-    } catch (error) {
-      if (!isTimeoutError(error)) {
-        throw error;
-      }
-
-      lastTimeoutError = error;
-      if (attempt === OPENAI_TIMEOUT_RETRIES) {
-        lastTimeoutError.attempts = OPENAI_TIMEOUT_RETRIES + 1;
-        throw lastTimeoutError;
+  return {
+    status: result.status,
+    cacheStatus,
+    continuation: result.continuation,
+    body: {
+      ...result.body,
+      cached: false,
+      debug: result.body.debug && {
+        ...result.body.debug,
+        cache: {
+          hit: false,
+          key: cacheKey,
+          bypassed: !directive.read,
+          stored
+        }
       }
-
-      timeoutMs += OPENAI_TIMEOUT_RETRY_DELTA_MS;
     }
-  }
-
-  if (lastTimeoutError) {
-    lastTimeoutError.attempts = OPENAI_TIMEOUT_RETRIES + 1;
-    throw lastTimeoutError;
-  }
+  };
+}
 
-  throw new Error(`${label} failed without timeout details.`);
+function requestsVariants(input) {
+  const variants = input?.variants;
+  return variants !== undefined && variants !== null && Number(variants) !== 1;
 }
 
-async function withTimeout(promise, timeoutMs, label) {
-  let timeoutHandle;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutHandle = setTimeout(() => {
-      const timeoutError = new Error(`${label} timeout (${timeoutMs}ms)`);
-      timeoutError.code = "TIMEOUT";
-      timeoutError.timeoutMs = timeoutMs;
-      timeoutError.label = label;
-      reject(timeoutError);
-    }, timeoutMs);
+function buildResultCacheKey(prompt, profile, format) {
+  return buildCacheKey({
+    prompt,
+    models: providerHops.map((hop) => `${hop.name}:${hop.provider.type}:${hop.provider.model}`),
+    instructionsVersion: profile.instructionsVersion,
+    options: { target: profile.id, format }
   });
-
-  try {
-    return await Promise.race([promise, timeoutPromise]);
-  } finally {
-    clearTimeout(timeoutHandle);
-  }
 }
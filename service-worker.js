@@ -1,11 +1,14 @@
 "use strict";
 
-const CACHE_NAME = "prompt-forge-cache-v7";
+const CACHE_NAME = "prompt-forge-cache-v22";
+const TEMPLATES_URL = "/api/templates";
 const APP_SHELL_FILES = [
   "/",
   "/index.html",
   "/styles.css",
   "/app.js",
+  "/template-renderer.js",
+  "/prompt-analyzer.js",
   "/manifest.webmanifest",
   "/icons/icon-192.png",
   "/icons/icon-512.png",
@@ -14,7 +17,12 @@ const APP_SHELL_FILES = [
 
 self.addEventListener("install", (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL_FILES))
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(APP_SHELL_FILES).then(() =>
+        // Not part of the shell: a static-only deploy has no /api and must still install.
+        cache.add(TEMPLATES_URL).catch(() => undefined)
+      )
+    )
   );
   self.skipWaiting();
 });
@@ -43,6 +51,11 @@ self.addEventListener("fetch", (event) => {
     return;
   }
 
+  if (url.pathname === TEMPLATES_URL) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
   if (url.pathname.startsWith("/api/")) {
     return;
   }
@@ -55,6 +68,9 @@ self.addEventListener("fetch", (event) => {
   const path = url.pathname.toLowerCase();
   if (
     path === "/app.js" ||
+    path === "/admin.js" ||
+    path === "/template-renderer.js" ||
+    path === "/prompt-analyzer.js" ||
     path === "/styles.css" ||
     path === "/manifest.webmanifest" ||
     path === "/index.html"
@@ -0,0 +1,130 @@
+// Shared by server.js (require) and app.js (window.PromptTemplates) so the
+// server fallback and the offline client fallback render the same text, and so
+// structured results are reassembled the same way on both sides.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PromptTemplates = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_TARGET = "chat";
+
+  // Used only when no library could be loaded at all.
+  const MINIMAL_TEMPLATE = {
+    category: "minimal",
+    keywords: [],
+    sections: [
+      {
+        lines: [
+          "Ruolo: Sei un assistente esperto e pragmatico.",
+          "Obiettivo: fornire una risposta chiara, utile e subito applicabile.",
+          "Richiesta utente: {{prompt}}"
+        ]
+      },
+      {
+        title: "Formato output:",
+        style: "numbered",
+        lines: ["Sintesi breve", "Piano pratico a passi numerati", "Checklist finale"]
+      }
+    ]
+  };
+
+  // Sections of a structured result, in output order. `list` sections hold an
+  // array of strings.
+  const STRUCTURED_SECTIONS = [
+    { key: "role", label: "Ruolo", list: false },
+    { key: "objective", label: "Obiettivo", list: false },
+    { key: "context", label: "Contesto", list: false },
+    { key: "constraints", label: "Vincoli", list: true },
+    { key: "output_format", label: "Formato output", list: false },
+    { key: "clarifying_questions", label: "Domande chiarificatrici", list: true }
+  ];
+
+  // Templates are expected in priority order (as served by /api/templates).
+  // Only templates for the requested target are considered (the "chat" ones if
+  // the target has none): the first with a matching keyword wins, then the
+  // `default` one.
+  function selectTemplate(library, userPrompt, target) {
+    const allTemplates = Array.isArray(library?.templates) ? library.templates : [];
+    const wanted = target || DEFAULT_TARGET;
+    let templates = allTemplates.filter((template) => (template.target || DEFAULT_TARGET) === wanted);
+    if (templates.length === 0) {
+      templates = allTemplates.filter((template) => (template.target || DEFAULT_TARGET) === DEFAULT_TARGET);
+    }
+    const lowerPrompt = toConcisePrompt(userPrompt).toLowerCase();
+    const matched = templates.find((template) =>
+      hasAnyKeyword(lowerPrompt, template.keywords)
+    );
+    return matched || templates.find((template) => template.default) || MINIMAL_TEMPLATE;
+  }
+
+  function renderTemplate(template, userPrompt) {
+    const concisePrompt = toConcisePrompt(userPrompt);
+    const fill = (text) => String(text).split("{{prompt}}").join(concisePrompt);
+    const blocks = (template.sections || []).map((section) => {
+      const lines = (section.lines || []).map((line, index) => {
+        if (section.style === "numbered") {
+          return `${index + 1}. ${fill(line)}`;
+        }
+        if (section.style === "bullets") {
+          return `- ${fill(line)}`;
+        }
+        return fill(line);
+      });
+      return (section.title ? [fill(section.title), ...lines] : lines).join("\n");
+    });
+    return blocks.join(template.separator === "blank" ? "\n\n" : "\n");
+  }
+
+  function buildFallbackPrompt(library, userPrompt, target) {
+    return renderTemplate(selectTemplate(library, userPrompt, target), userPrompt);
+  }
+
+  // Empty sections are skipped; single-line text stays on the label line,
+  // constraints become a bulleted list and the clarifying questions a numbered one.
+  function renderStructuredPrompt(sections) {
+    const blocks = STRUCTURED_SECTIONS.map(({ key, label, list }) => {
+      const value = sections ? sections[key] : null;
+      if (list) {
+        const items = (Array.isArray(value) ? value : [])
+          .map((item) => String(item || "").trim())
+          .filter(Boolean);
+        if (items.length === 0) {
+          return "";
+        }
+        const lines = items.map((item, index) =>
+          key === "clarifying_questions" ? `${index + 1}. ${item}` : `- ${item}`
+        );
+        return [`${label}:`, ...lines].join("\n");
+      }
+      const text = String(value || "").trim();
+      if (!text) {
+        return "";
+      }
+      return text.includes("\n") ? `${label}:\n${text}` : `${label}: ${text}`;
+    });
+    return blocks.filter(Boolean).join("\n\n");
+  }
+
+  function toConcisePrompt(userPrompt) {
+    return String(userPrompt || "").replace(/\s+/g, " ").trim();
+  }
+
+  function hasAnyKeyword(text, keywords) {
+    if (!text || !Array.isArray(keywords) || keywords.length === 0) {
+      return false;
+    }
+    return keywords.some((keyword) => text.includes(keyword));
+  }
+
+  return {
+    selectTemplate,
+    renderTemplate,
+    buildFallbackPrompt,
+    STRUCTURED_SECTIONS,
+    renderStructuredPrompt
+  };
+});